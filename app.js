@@ -206,11 +206,16 @@ const App = () => {
         if (!userId || !title || !tasksRef) return;
         try {
             // Menggunakan addDoc untuk ID otomatis
-            await setDoc(doc(tasksRef), { 
-                title,
+            // Bentuk dokumen sama dengan src/App.jsx (lihat src/lib/schemas.js & migrations.js)
+            await setDoc(doc(tasksRef), {
+                name: title,
+                category: 'Pribadi',
+                priority: 'Penting - Non-mendesak',
+                deadline: null,
+                subtasks: [],
                 completed: false,
                 createdAt: new Date(),
-                category: 'Uncategorized'
+                schemaVersion: 1
             });
         } catch (e) {
             console.error("Error adding task:", e);
@@ -323,7 +328,7 @@ const App = () => {
                 <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
                     <h3 className="text-xl font-semibold mb-3 text-white">Tugas yang Belum Selesai</h3>
                     {tasks.filter(t => !t.completed).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)).slice(0, 5).map(task => (
-                        <p key={task.id} className="text-gray-400 mb-1 flex items-center"><ListChecks size={16} className="mr-2 text-purple-400" />{task.title}</p>
+                        <p key={task.id} className="text-gray-400 mb-1 flex items-center"><ListChecks size={16} className="mr-2 text-purple-400" />{task.name || task.title}</p>
                     ))}
                     {tasks.length === 0 && <p className="text-gray-500">Tidak ada tugas hari ini. Santai sejenak!</p>}
                 </div>
@@ -394,7 +399,7 @@ const App = () => {
                 className="form-checkbox h-5 w-5 text-purple-600 bg-gray-700 border-gray-600 rounded focus:ring-purple-500 cursor-pointer"
             />
             <span className={`ml-3 flex-grow text-sm ${task.completed ? 'text-gray-500' : 'text-white'}`}>
-                {task.title}
+                {task.name || task.title}
             </span>
         </div>
     );
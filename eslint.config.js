@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Unit tests run in Node (vitest)
+    files: ['src/**/*.test.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
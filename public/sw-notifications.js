@@ -0,0 +1,17 @@
+// Loaded into the generated service worker (vite.config.js, workbox.importScripts).
+// Clicking a reminder brings an open planner window forward and lets the app route to the
+// reminder's deep link; with no window open, a new one is opened on that link.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const hash = event.notification.data?.url || '#/dashboard';
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows.find(w => w.url.startsWith(self.registration.scope));
+        if (client) {
+            await client.focus();
+            client.postMessage({ type: 'open-url', url: hash });
+            return;
+        }
+        await self.clients.openWindow(new URL(hash, self.registration.scope).href);
+    })());
+});
@@ -1,13 +1,35 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
 import {
-  Home, Calendar as CalendarIcon, Target, Brain, BookOpen, BarChart, Clock, Plus, Trash2, Edit, CheckCircle, Flame, Moon, Sun, TrendingUp, X, Check, Droplet, Coffee, ListChecks // 'Checklist' diganti menjadi 'ListChecks'
+  Home, Calendar as CalendarIcon, Target, Brain, BookOpen, BarChart, Clock, Plus, Trash2, Edit, CheckCircle, Flame, Moon, Sun, TrendingUp, X, Check, Droplet, Coffee, ListChecks, GripVertical, ChevronLeft, ChevronRight, ChevronUp, ChevronDown, History, Download, Upload, Search, Settings, List, LayoutGrid, Columns, Repeat, Wifi, WifiOff, RefreshCw, AlertTriangle, HardDrive, Database, Smartphone, Bell, Command, Keyboard // 'Checklist' diganti menjadi 'ListChecks'
 } from 'lucide-react';
 
 // --- FIREBASE IMPORTS & INITIALIZATION ---
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, collection, onSnapshot, addDoc, setDoc, updateDoc, deleteDoc, query, orderBy } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { getFirestore, initializeFirestore, connectFirestoreEmulator, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
 import { setLogLevel } from 'firebase/firestore';
+import { toDateKey, fromDateKey, isDateKey, addDays, addMonths, diffDays, lastNDays, getWeekStart, getMonthGridDays, timeToMinutes } from './lib/dates';
+import { serializeICS, parseICS, icsEventToTask, getKnownUids } from './lib/ics';
+import { bookStatuses, getStatusForPage, getProgressHistory, getReadingEstimate } from './lib/reading';
+import { defaultFocusSettings, normalizeFocusSettings, createTimerState, getPhaseMs, getRemainingMs, startTimer, pauseTimer, resetTimer, switchPhase, applySettings, advanceTimer, markSessionsSaved } from './lib/focusTimer';
+import { lastDaysRange, getTasksCompletedPerDay, getTasksCompletedPerCategory, getMostProductiveWeekday, getTopHabit, getTotalFocusMinutes, getMonthlyCompletionRate, getHabitHeatmap, getMoodSeries } from './lib/analytics';
+import { priorityOptions, taskCategories, getCompletionUpdate, compareByPriorityThenDeadline, getTodayTasks, groupTasksByQuadrant } from './lib/tasks';
+import { recurrenceFrequencies, weekdayShortNames, createRule, matchesRule, describeRule, getSeriesTemplate, getFutureOccurrences, updateRecurringTask } from './lib/recurrence';
+import { createFirestoreStore } from './lib/firestoreStore';
+import { toAccount, signUpWithEmail, signInWithEmail, sendEmailLink, completeEmailLinkSignIn, signOutAccount, deleteAccount, getAuthErrorMessage } from './lib/account';
+import { LOCAL_USER_ID, createLocalStore, hasLocalData, migrateLocalData } from './lib/localStore';
+import { assertValidRecord } from './lib/schemas';
+import { CURRENT_SCHEMA_VERSION, loadRecords } from './lib/migrations';
+import { restoreModes, createBackup, parseBackup, planRestore, summarizePlan, applyRestore } from './lib/backup';
+import { serializeCSV, parseCSV, dateFormats, detectDateFormats, tasksToCSVRows, habitLogsToCSVRows, taskImportFields, guessTaskMapping, rowsToTasks } from './lib/csv';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { createHashRouter } from './lib/router';
+import { parseQuickAdd, quickAddToTask } from './lib/quickAdd';
+import { searchCommands, shortcutActions, normalizeShortcuts, bindShortcut, getShortcutKey, getActionForKey, isPaletteShortcut, isEditableTarget, formatKey } from './lib/commands';
+import { defaultReminderSettings, reminderOffsetOptions, normalizeReminderSettings, getReminders } from './lib/reminders';
+import { createSyncQueue, getDocSyncStatus, getOverallSyncState } from './lib/syncQueue';
+import { defaultKanbanColumns, DONE_STATUS, getBoardColumns, getTaskStatus, getStatusUpdate, getAdjacentStatus, getWipState, createColumn } from './lib/kanban';
+import { getCheckIns, isCheckedOn, toggleCheckIn, countInWeek, computeStreaks } from './lib/habitStreak';
 
 // Atur log level debug untuk Firestore
 setLogLevel('debug');
@@ -31,6 +53,29 @@ const withRetry = async (fn, maxRetries = 3) => {
     }
 };
 
+const router = createHashRouter();
+
+// Every write from useFirestoreCollection goes through this queue (retried with withRetry)
+const syncQueue = createSyncQueue(withRetry);
+
+// Without a Firebase config the planner runs fully local, backed by localStorage
+const isLocalOnly = Object.keys(firebaseConfig).length === 0;
+const localStore = createLocalStore();
+
+// Per-user collections, used when moving local data into Firestore and for backups
+const userCollections = ['tasks', 'habits', 'routines', 'books', 'focusSessions', 'reflections', 'routineLogs', 'kanbanBoards'];
+
+const collectionLabels = {
+    tasks: 'Tugas',
+    habits: 'Kebiasaan',
+    routines: 'Blok Rutinitas',
+    books: 'Buku',
+    focusSessions: 'Sesi Fokus',
+    reflections: 'Refleksi',
+    routineLogs: 'Log Rutinitas',
+    kanbanBoards: 'Papan Kanban',
+};
+
 // --- DATA STRUCTURES & MOCK DATA (For initial display before data loads) ---
 
 const initialTask = {
@@ -44,33 +89,202 @@ const initialTask = {
 
 const initialHabit = {
     name: "Minum 2 liter air",
-    streak: 5,
-    lastChecked: new Date().toISOString().split('T')[0],
     target: 7, // Target days per week
-    checkedToday: false
+    checkIns: [] // YYYY-MM-DD keys, see src/lib/habitStreak.js
 };
 
-const initialRoutine = {
-    time: "05:00 - 09:00",
-    category: "PAGI",
-    color: "bg-pink-100",
-    activities: [
-        { id: 'p1', text: "Bangun tidur & merapikan tempat tidur", checked: false },
-        { id: 'p2', text: "Minum air putih", checked: false },
-        { id: 'p3', text: "Sholat Subuh (jika Muslim)", checked: false },
-        { id: 'p4', text: "Journaling singkat (3 hal disyukuri, 3 target)", checked: false },
-        { id: 'p5', text: "Sarapan sehat", checked: false },
-        { id: 'p6', text: "Mulai tugas penting (deep work)", checked: false },
-    ]
-};
+// Default routine blocks, seeded into the `routines` collection on first load
+const initialRoutines = [
+    { category: "PAGI", startTime: "05:00", endTime: "09:00", icon: 'sun', order: 0, activities: [
+        { id: 'p1', text: "Bangun tidur & merapikan tempat tidur" },
+        { id: 'p2', text: "Minum air putih" },
+        { id: 'p3', text: "Sholat Subuh (jika Muslim)" },
+        { id: 'p4', text: "Stretching 5 menit" },
+        { id: 'p5', text: "Journaling singkat" },
+        { id: 'p6', text: "Sarapan sehat" },
+        { id: 'p7', text: "Baca buku 10–20 menit" },
+        { id: 'p8', text: "Cek to-do + set prioritas harian" },
+    ]},
+    { category: "SIANG", startTime: "09:00", endTime: "13:00", icon: 'coffee', order: 1, activities: [
+        { id: 's1', text: "Kuliah/tugas utama" },
+        { id: 's2', text: "Ngerjain project penting" },
+        { id: 's3', text: "Istirahat 10 menit setiap 1 jam" },
+        { id: 's4', text: "Sholat Dzuhur" },
+        { id: 's5', text: "Makan siang" },
+    ]},
+    { category: "SORE", startTime: "13:00", endTime: "17:00", icon: 'trending', order: 2, activities: [
+        { id: 'r1', text: "Lanjut tugas/kuliah/kerja" },
+        { id: 'r2', text: "Membuat/mengedit konten" },
+        { id: 'r3', text: "Sholat Ashar" },
+        { id: 'r4', text: "Olahraga 15–30 menit" },
+    ]},
+    { category: "MALAM", startTime: "19:00", endTime: "22:00", icon: 'moon', order: 3, activities: [
+        { id: 'n1', text: "Belajar materi kuliah / baca jurnal" },
+        { id: 'n2', text: "Mengerjakan skripsi atau riset" },
+        { id: 'n3', text: "Editing konten + menjadwalkan posting" },
+        { id: 'n4', text: "Persiapan besok" },
+    ]},
+    { category: "TIDUR", startTime: "22:00", endTime: "23:00", icon: 'brain', order: 4, activities: [
+        { id: 'bt1', text: "Journaling malam" },
+        { id: 'bt2', text: "Meditasi 3–5 menit" },
+        { id: 'bt3', text: "Tidur sebelum jam 23.00" },
+    ]},
+];
 
 const initialLibraryItem = {
     title: "Atomic Habits",
     author: "James Clear",
     currentPage: 150,
     totalPages: 320,
-    highlight: "Kebiasaan kecil menghasilkan perubahan besar.",
-    reflection: "Fokus pada sistem, bukan tujuan."
+    status: 'reading',
+    highlights: [{ id: crypto.randomUUID(), text: "Kebiasaan kecil menghasilkan perubahan besar.", createdAt: new Date().toISOString() }],
+    reflections: [{ id: crypto.randomUUID(), text: "Fokus pada sistem, bukan tujuan.", createdAt: new Date().toISOString() }],
+    sessions: []
+};
+
+
+// Task progress in percent: share of completed subtasks, or 0/100 for tasks without subtasks
+const getTaskProgress = (task) => {
+    const subtasks = task.subtasks || [];
+    if (subtasks.length === 0) return task.completed ? 100 : 0;
+    return Math.round((subtasks.filter(s => s.completed).length / subtasks.length) * 100);
+};
+
+
+// Badge colors for the four Eisenhower priority options
+const getPriorityStyle = (priority) => {
+    switch (priority) {
+        case 'Penting - Mendesak': return 'bg-red-100 text-red-700 border-red-300';
+        case 'Penting - Non-mendesak': return 'bg-yellow-100 text-yellow-700 border-yellow-300';
+        case 'Non-penting - Mendesak': return 'bg-blue-100 text-blue-700 border-blue-300';
+        default: return 'bg-gray-100 text-gray-700 border-gray-300';
+    }
+};
+
+
+// Minutes -> hours with at most one decimal, e.g. 210 -> "3.5"
+const formatHours = (minutes) => (Math.round((minutes / 60) * 10) / 10).toString();
+
+// Trigger a browser download for generated text content (exports work fully offline)
+const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+
+const loadFocusSettings = () => {
+    try {
+        return normalizeFocusSettings(JSON.parse(localStorage.getItem('focusSettings') || '{}'));
+    } catch {
+        return defaultFocusSettings;
+    }
+};
+
+const loadTimerState = (settings) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem('focusTimer') || 'null');
+        return stored ? { ...createTimerState(settings), ...stored } : createTimerState(settings);
+    } catch {
+        return createTimerState(settings);
+    }
+};
+
+const taskViews = ['list', 'matrix', 'kanban'];
+
+const loadTaskView = () => {
+    const stored = localStorage.getItem('taskView');
+    return taskViews.includes(stored) ? stored : 'list';
+};
+
+const loadReminderSettings = () => {
+    try {
+        return normalizeReminderSettings(JSON.parse(localStorage.getItem('reminderSettings') || '{}'));
+    } catch {
+        return defaultReminderSettings;
+    }
+};
+
+// Light/dark theme; the first visit follows the system setting
+const loadTheme = () => {
+    const stored = localStorage.getItem('theme');
+    if (stored === 'light' || stored === 'dark') return stored;
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+};
+
+// Single-key shortcuts (action ID -> key), see src/lib/commands.js
+const loadShortcuts = () => {
+    try {
+        return normalizeShortcuts(JSON.parse(localStorage.getItem('shortcuts') || 'null'));
+    } catch {
+        return normalizeShortcuts(null);
+    }
+};
+
+// IDs of reminders already shown (id -> time), shared by all tabs so each fires once
+const DELIVERED_KEEP_MS = 2 * 24 * 60 * 60 * 1000;
+
+const loadDeliveredReminders = () => {
+    try {
+        return JSON.parse(localStorage.getItem('deliveredReminders') || '{}');
+    } catch {
+        return {};
+    }
+};
+
+const saveDeliveredReminders = (delivered, now) => {
+    const recent = Object.fromEntries(Object.entries(delivered).filter(([, at]) => now - at < DELIVERED_KEEP_MS));
+    localStorage.setItem('deliveredReminders', JSON.stringify(recent));
+};
+
+// Collections whose default data is written once per user, so emptying them on purpose sticks
+const seededKey = (userId, collectionName) => `seeded:${userId}:${collectionName}`;
+const hasSeeded = (userId, collectionName) => localStorage.getItem(seededKey(userId, collectionName)) === '1';
+const markSeeded = (userId, collectionName) => localStorage.setItem(seededKey(userId, collectionName), '1');
+
+// "Nanti Saja" on the local-data banner is remembered per account
+const localMigrationDismissedKey = (userId) => `localMigrationDismissed:${userId}`;
+
+const getNotificationPermission = () => ('Notification' in window ? Notification.permission : 'unsupported');
+
+// Through the service worker when there is one (required on Android, and lets a click
+// focus the app); a plain Notification otherwise, e.g. in development
+const showReminderNotification = async ({ id, title, body, url }) => {
+    if (getNotificationPermission() !== 'granted') return;
+    const options = { body, tag: id, icon: '/pwa-192x192.png', badge: '/pwa-192x192.png', data: { url } };
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+        await registration.showNotification(title, options);
+        return;
+    }
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+        window.focus();
+        window.location.hash = url;
+    };
+};
+
+// Short rising chime for the end of a focus phase, synthesized so no audio file is needed
+const playChime = () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    const context = new AudioContextClass();
+    [523.25, 659.25, 783.99].forEach((frequency, i) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const start = context.currentTime + i * 0.18;
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.6);
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.6);
+    });
+    setTimeout(() => context.close(), 1500);
 };
 
 
@@ -78,32 +292,53 @@ const initialLibraryItem = {
 function useFirebase() {
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [userId, setUserId] = useState(isLocalOnly ? LOCAL_USER_ID : null);
+    const [isAuthReady, setIsAuthReady] = useState(isLocalOnly);
+    const [account, setAccount] = useState(null);
 
     useEffect(() => {
-        if (Object.keys(firebaseConfig).length === 0) {
-            console.error("Firebase config is missing.");
+        if (isLocalOnly) {
+            console.info("Firebase config is missing, using local-only storage.");
             return;
         }
 
         try {
             const app = initializeApp(firebaseConfig);
             const authInstance = getAuth(app);
-            const dbInstance = getFirestore(app);
+            // Persistent cache: data stays readable offline and writes are replayed once back online
+            let dbInstance;
+            try {
+                dbInstance = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+                if (import.meta.env.VITE_FIRESTORE_EMULATOR_HOST) {
+                    const [host, port] = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST.split(':');
+                    connectFirestoreEmulator(dbInstance, host, Number(port));
+                }
+            } catch {
+                // Already initialized (StrictMode runs this effect twice)
+                dbInstance = getFirestore(app);
+            }
+
+            // Local testing against the Firebase emulators, e.g.
+            // VITE_AUTH_EMULATOR_URL=http://127.0.0.1:9099 VITE_FIRESTORE_EMULATOR_HOST=127.0.0.1:8080
+            if (import.meta.env.VITE_AUTH_EMULATOR_URL && !authInstance.emulatorConfig) {
+                connectAuthEmulator(authInstance, import.meta.env.VITE_AUTH_EMULATOR_URL, { disableWarnings: true });
+            }
             setDb(dbInstance);
             setAuth(authInstance);
 
             const unsubscribe = onAuthStateChanged(authInstance, (user) => {
+                setAccount(toAccount(user));
                 if (user) {
                     setUserId(user.uid);
-                } else {
-                    // Sign in anonymously if no token is provided or if user logs out
-                    signInAnonymously(authInstance).then(anonUser => {
-                        setUserId(anonUser.user.uid);
-                    }).catch(error => {
+                    setIsAuthReady(true);
+                    return;
+                }
+                setUserId(null);
+                if (!initialAuthToken) {
+                    // No persisted session (first visit or after signing out): continue as an anonymous
+                    // guest. The listener fires again with the new user.
+                    signInAnonymously(authInstance).catch(error => {
                         console.error("Anonymous sign-in failed:", error);
-                    }).finally(() => {
                         setIsAuthReady(true);
                     });
                 }
@@ -111,19 +346,11 @@ function useFirebase() {
 
             // Use custom token for secure sign-in if available
             if (initialAuthToken) {
-                signInWithCustomToken(authInstance, initialAuthToken).then(userCredential => {
+                signInWithCustomToken(authInstance, initialAuthToken).then(() => {
                     console.log("Signed in with custom token.");
-                    setUserId(userCredential.user.uid);
                 }).catch(error => {
                     console.error("Custom token sign-in failed, trying anonymous:", error);
-                    signInAnonymously(authInstance);
-                }).finally(() => {
-                    setIsAuthReady(true);
-                });
-            } else if (!initialAuthToken && !authInstance.currentUser) {
-                // If no token, and not already signed in, initiate anonymous sign-in
-                signInAnonymously(authInstance).finally(() => {
-                    setIsAuthReady(true);
+                    signInAnonymously(authInstance).catch(() => setIsAuthReady(true));
                 });
             }
 
@@ -133,32 +360,48 @@ function useFirebase() {
         }
     }, []);
 
-    return { db, auth, userId, isAuthReady };
+    // Storage backend for useFirestoreCollection: Firestore for the signed-in user, or the local store
+    const store = useMemo(() => {
+        if (isLocalOnly) return localStore;
+        return db && userId ? createFirestoreStore(db, `artifacts/${appId}/users/${userId}`) : null;
+    }, [db, userId]);
+
+    // Linking a credential keeps the same user, so onAuthStateChanged does not fire: re-read it
+    const refreshAccount = useCallback(() => setAccount(toAccount(auth?.currentUser)), [auth]);
+
+    return { db, auth, userId, account, isAuthReady, store, refreshAccount };
 }
 
-function useFirestoreCollection(db, userId, collectionName, sortField = null) {
+// Live collection from the storage backend (Firestore or local) with add/update/upsert/delete helpers.
+// Documents are migrated and validated on read (invalid ones end up in `quarantined` instead of
+// the views) and validated again before every write.
+function useFirestoreCollection(store, collectionName, sortField = null) {
     const [data, setData] = useState([]);
+    const [quarantined, setQuarantined] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [pendingIds, setPendingIds] = useState([]);
+    const queuedWrites = useSyncExternalStore(syncQueue.subscribe, syncQueue.getSnapshot);
+    const migratingIds = useRef(new Set());
 
     useEffect(() => {
-        if (!db || !userId) {
+        if (!store) {
             setLoading(false);
             return;
         }
 
-        const path = `artifacts/${appId}/users/${userId}/${collectionName}`;
-        const colRef = collection(db, path);
-        let q = colRef;
-
         // NOTE: Firebase queries are sorted client-side to avoid index issues (as per instruction).
         // If necessary, add orderBy(sortField, 'asc') here and ensure index exists in a real environment.
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const list = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+        const unsubscribe = store.subscribe(collectionName, (docs, pending) => {
+            const { valid: list, upgraded, quarantined: invalid } = loadRecords(collectionName, docs);
+
+            // Write upgraded documents back once, so the migration does not run on every read
+            upgraded.filter(d => !migratingIds.current.has(d.id)).forEach(({ id, ...doc }) => {
+                migratingIds.current.add(id);
+                syncQueue.enqueue({ collection: collectionName, docId: id, op: 'migrate' }, () => store.set(collectionName, id, doc))
+                    .catch(e => console.error(`Error migrating ${collectionName}/${id}:`, e));
+            });
 
             // Client-side sorting
             if (sortField) {
@@ -170,6 +413,8 @@ function useFirestoreCollection(db, userId, collectionName, sortField = null) {
             }
 
             setData(list);
+            setQuarantined(invalid);
+            setPendingIds(pending);
             setLoading(false);
             setError(null);
         }, (e) => {
@@ -179,46 +424,355 @@ function useFirestoreCollection(db, userId, collectionName, sortField = null) {
         });
 
         return () => unsubscribe();
-    }, [db, userId, collectionName, sortField]);
+    }, [store, collectionName, sortField]);
 
     const addData = useCallback(async (item) => {
-        if (!db || !userId) return;
-        const path = `artifacts/${appId}/users/${userId}/${collectionName}`;
-        await addDoc(collection(db, path), item);
-    }, [db, userId, collectionName]);
+        if (!store) return;
+        // Generate the ID up front so the pending/failed marker can point at the new document
+        const doc = { ...item, schemaVersion: CURRENT_SCHEMA_VERSION };
+        assertValidRecord(collectionName, doc);
+        const id = store.newId(collectionName);
+        await syncQueue.enqueue({ collection: collectionName, docId: id, op: 'add' }, () => store.set(collectionName, id, doc));
+        return id;
+    }, [store, collectionName]);
 
     const updateData = useCallback(async (id, item) => {
-        if (!db || !userId) return;
-        const path = `artifacts/${appId}/users/${userId}/${collectionName}`;
-        const docRef = doc(db, path, id);
-        await updateDoc(docRef, item);
-    }, [db, userId, collectionName]);
+        if (!store) return;
+        assertValidRecord(collectionName, item, { partial: true });
+        await syncQueue.enqueue({ collection: collectionName, docId: id, op: 'update' }, () => store.update(collectionName, id, item));
+    }, [store, collectionName]);
+
+    // Write a document with a known ID (e.g. one document per day), merging into existing fields
+    const upsertData = useCallback(async (id, item) => {
+        if (!store) return;
+        const doc = { ...item, schemaVersion: CURRENT_SCHEMA_VERSION };
+        assertValidRecord(collectionName, doc, { partial: true });
+        await syncQueue.enqueue({ collection: collectionName, docId: id, op: 'upsert' }, () => store.upsert(collectionName, id, doc));
+    }, [store, collectionName]);
 
     const deleteData = useCallback(async (id) => {
-        if (!db || !userId) return;
-        const path = `artifacts/${appId}/users/${userId}/${collectionName}`;
-        const docRef = doc(db, path, id);
-        await deleteDoc(docRef);
-    }, [db, userId, collectionName]);
+        if (!store) return;
+        await syncQueue.enqueue({ collection: collectionName, docId: id, op: 'delete' }, () => store.remove(collectionName, id));
+    }, [store, collectionName]);
+
+    // Per-document sync marker: 'pending' until the server confirms, 'failed' after the retries ran out
+    const syncStatus = useMemo(() => getDocSyncStatus(queuedWrites, collectionName, pendingIds), [queuedWrites, collectionName, pendingIds]);
+
+    return { data, quarantined, loading, error, syncStatus, addData, updateData, upsertData, deleteData };
+}
+
+// Reminders missed by more than this (app closed, device asleep) are skipped instead of piling up
+const REMINDER_GRACE_MS = 10 * 60 * 1000;
+const REMINDER_MAX_WAIT_MS = 60 * 1000;
+
+// Delivers reminders from src/lib/reminders.js while the app is open (also as a background tab
+// or a backgrounded home-screen app). Browsers cannot schedule notifications for a closed app.
+function useReminders({ tasks, habits, routines, timer }) {
+    const [settings, setSettings] = useState(loadReminderSettings);
+    const [permission, setPermission] = useState(getNotificationPermission);
+    const { status: timerStatus, endsAt, phase } = timer;
+
+    useEffect(() => {
+        if (!settings.enabled) return;
+        const data = { tasks, habits, routines, timer: { status: timerStatus, endsAt, phase } };
+        let timeoutId = null;
+
+        const check = () => {
+            clearTimeout(timeoutId);
+            const now = Date.now();
+            const delivered = loadDeliveredReminders();
+            getReminders(data, settings, now - REMINDER_GRACE_MS, now + 1)
+                .filter(reminder => !delivered[reminder.id])
+                .forEach(reminder => {
+                    delivered[reminder.id] = now;
+                    showReminderNotification(reminder).catch(e => console.error("Error showing reminder:", e));
+                    if (reminder.type === 'focus' && settings.focus.sound) playChime();
+                });
+            saveDeliveredReminders(delivered, now);
+
+            // Sleep until the next reminder, but wake up regularly: timers are throttled in the background
+            const next = getReminders(data, settings, now + 1, now + REMINDER_MAX_WAIT_MS)[0];
+            timeoutId = setTimeout(check, next ? Math.max(0, next.at - now) : REMINDER_MAX_WAIT_MS);
+        };
+
+        check();
+        document.addEventListener('visibilitychange', check);
+        return () => {
+            clearTimeout(timeoutId);
+            document.removeEventListener('visibilitychange', check);
+        };
+    }, [settings, tasks, habits, routines, timerStatus, endsAt, phase]);
+
+    // A click on a notification routes the open window to the reminder's deep link
+    useEffect(() => {
+        if (!navigator.serviceWorker) return;
+        const handleMessage = (event) => {
+            if (event.data?.type === 'open-url') window.location.hash = event.data.url;
+        };
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+        return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+    }, []);
+
+    const updateSettings = useCallback((changes) => {
+        const next = { ...settings, ...changes };
+        setSettings(next);
+        localStorage.setItem('reminderSettings', JSON.stringify(next));
+    }, [settings]);
+
+    // Turning reminders on asks for permission first; they stay off when it is refused
+    const enable = useCallback(async () => {
+        const result = getNotificationPermission() === 'default' ? await Notification.requestPermission() : getNotificationPermission();
+        setPermission(result);
+        if (result === 'granted') updateSettings({ enabled: true });
+    }, [updateSettings]);
+
+    const sendTest = useCallback(() => showReminderNotification({
+        id: 'test',
+        title: 'Tes pengingat GenZ Planner',
+        body: 'Notifikasi berjalan dengan baik 🎉',
+        url: '#/reminders',
+    }), []);
+
+    return { settings, updateSettings, permission, enable, sendTest, data: { tasks, habits, routines, timer } };
+}
+
+// Android/Chrome "add to home screen": keep the install prompt event to show our own button
+function useInstallPrompt() {
+    const [installEvent, setInstallEvent] = useState(null);
+
+    useEffect(() => {
+        const handleBeforeInstall = (e) => {
+            e.preventDefault();
+            setInstallEvent(e);
+        };
+        const handleInstalled = () => setInstallEvent(null);
+        window.addEventListener('beforeinstallprompt', handleBeforeInstall);
+        window.addEventListener('appinstalled', handleInstalled);
+        return () => {
+            window.removeEventListener('beforeinstallprompt', handleBeforeInstall);
+            window.removeEventListener('appinstalled', handleInstalled);
+        };
+    }, []);
+
+    const install = useCallback(async () => {
+        if (!installEvent) return;
+        installEvent.prompt();
+        await installEvent.userChoice;
+        // The event can only be used once
+        setInstallEvent(null);
+    }, [installEvent]);
+
+    return { canInstall: !!installEvent, install };
+}
+
+// The theme is a class on <html>, so the dark palette in index.css also covers modals and the body
+function useTheme() {
+    const [theme, setTheme] = useState(loadTheme);
+
+    useEffect(() => {
+        document.documentElement.classList.toggle('dark', theme === 'dark');
+        localStorage.setItem('theme', theme);
+    }, [theme]);
+
+    const toggleTheme = useCallback(() => setTheme(current => (current === 'dark' ? 'light' : 'dark')), []);
+    return { theme, toggleTheme };
+}
+
+// Ctrl/Cmd+K anywhere, single keys outside text fields and dialogs. The listener is
+// registered once and reads the latest shortcuts and handler from a ref.
+function useKeyboardShortcuts(shortcuts, onAction) {
+    const latest = useRef({ shortcuts, onAction });
+
+    useEffect(() => {
+        latest.current = { shortcuts, onAction };
+    });
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (isPaletteShortcut(e)) {
+                e.preventDefault();
+                latest.current.onAction('palette');
+                return;
+            }
+            if (e.defaultPrevented || e.repeat || isEditableTarget(e.target) || document.querySelector('[aria-modal="true"]')) return;
+            const action = getActionForKey(latest.current.shortcuts, getShortcutKey(e));
+            if (!action) return;
+            e.preventDefault();
+            latest.current.onAction(action);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+}
+
+// Current hash route (#/page/id?query), see src/lib/router.js
+function useRoute() {
+    return useSyncExternalStore(router.subscribe, router.getSnapshot);
+}
+
+// Page state kept in the URL query (filters, view modes), so back/forward and shared links
+// restore it. Values are strings; the fallback is left out of the URL.
+function useRouteQuery(name, fallback) {
+    const route = useRoute();
+    const setValue = useCallback((value) => {
+        const current = router.getSnapshot();
+        router.navigate({ ...current, query: { ...current.query, [name]: value === fallback ? null : value } }, { replace: true });
+    }, [name, fallback]);
+    return [route.query[name] ?? fallback, setValue];
+}
+
+// Day shown by a date-based page, deep-linkable as #/<page>/<YYYY-MM-DD> (today stays out of the URL)
+function useRouteDate(page, today) {
+    const route = useRoute();
+    const setDate = useCallback((date) => {
+        router.navigate({ page, id: date === today ? null : date, query: router.getSnapshot().query }, { replace: true });
+    }, [page, today]);
+    return [isDateKey(route.id) ? route.id : today, setDate];
+}
+
+const subscribeOnlineStatus = (callback) => {
+    window.addEventListener('online', callback);
+    window.addEventListener('offline', callback);
+    return () => {
+        window.removeEventListener('online', callback);
+        window.removeEventListener('offline', callback);
+    };
+};
+
+// Browser connectivity plus the write queue, for the sidebar sync indicator
+function useSyncStatus() {
+    const online = useSyncExternalStore(subscribeOnlineStatus, () => navigator.onLine);
+    const entries = useSyncExternalStore(syncQueue.subscribe, syncQueue.getSnapshot);
+    const state = isLocalOnly ? 'local' : getOverallSyncState(entries, online);
+    return { online, entries, state, retryFailed: syncQueue.retryFailed };
+}
+
+// Pomodoro timer that lives above the pages, so it keeps running while the user
+// navigates, and is persisted to localStorage so a reload restores the session.
+function useFocusTimer() {
+    const [settings, setSettings] = useState(loadFocusSettings);
+    const [timer, setTimer] = useState(() => loadTimerState(settings));
+    const [now, setNow] = useState(() => Date.now());
+    const timerRef = useRef(timer);
+    const settingsRef = useRef(settings);
+
+    useEffect(() => {
+        timerRef.current = timer;
+        localStorage.setItem('focusTimer', JSON.stringify(timer));
+    }, [timer]);
+
+    useEffect(() => {
+        settingsRef.current = settings;
+    }, [settings]);
+
+    const update = useCallback((fn) => {
+        const next = fn(timerRef.current, Date.now());
+        timerRef.current = next;
+        setTimer(next);
+        setNow(Date.now());
+    }, []);
+
+    // Re-render a few times per second while running; remaining time is always derived from endsAt
+    useEffect(() => {
+        if (timer.status !== 'running') return;
+        const tick = () => update((state, current) => advanceTimer(state, settingsRef.current, current));
+        tick();
+        const interval = setInterval(tick, 250);
+        document.addEventListener('visibilitychange', tick);
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', tick);
+        };
+    }, [timer.status, update]);
 
-    return { data, loading, error, addData, updateData, deleteData };
+    const updateSettings = useCallback((key, value) => {
+        const next = normalizeFocusSettings({ ...settingsRef.current, [key]: value });
+        settingsRef.current = next;
+        setSettings(next);
+        localStorage.setItem('focusSettings', JSON.stringify(next));
+        update(state => applySettings(state, next));
+    }, [update]);
+
+    return {
+        timer,
+        settings,
+        remainingMs: getRemainingMs(timer, now),
+        start: () => update((state, current) => startTimer(state, current)),
+        pause: () => update((state, current) => pauseTimer(state, current)),
+        reset: () => update(state => resetTimer(state, settingsRef.current)),
+        switchPhase: (phase) => update(state => switchPhase(state, phase, settingsRef.current)),
+        setTaskId: (taskId) => update(state => ({ ...state, taskId })),
+        setNote: (note) => update(state => ({ ...state, note })),
+        markSaved: (ids) => update(state => markSessionsSaved(state, ids)),
+        updateSettings,
+    };
 }
 
 // --- UTILITY COMPONENTS ---
 
 // Custom Modal (instead of alert/confirm)
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Keyboard behaviour of a dialog: focus moves into it on open (first field of the content,
+// not the close button) and back to where it was on close, Tab cycles inside it, Escape closes.
+// Inner fields that use Escape themselves (e.g. editing a subtask) call preventDefault.
 const Modal = ({ isOpen, title, children, onClose, footer }) => {
+    const dialogRef = useRef(null);
+    const contentRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const previous = document.activeElement;
+        if (!dialogRef.current.contains(document.activeElement)) {
+            (contentRef.current.querySelector(FOCUSABLE_SELECTOR) || dialogRef.current).focus();
+        }
+        return () => {
+            if (previous && previous.isConnected && typeof previous.focus === 'function') previous.focus();
+        };
+    }, [isOpen]);
+
     if (!isOpen) return null;
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape' && !e.defaultPrevented) {
+            e.stopPropagation();
+            onClose();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+        const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => el.offsetParent !== null);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg transform transition-all scale-100 opacity-100">
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onKeyDown={handleKeyDown}>
+            <div
+                ref={dialogRef}
+                role="dialog"
+                aria-modal="true"
+                aria-label={title}
+                tabIndex={-1}
+                className="bg-white rounded-xl shadow-2xl w-full max-w-lg transform transition-all scale-100 opacity-100 outline-none"
+            >
                 <div className="p-5 border-b flex justify-between items-center">
                     <h3 className="text-xl font-bold text-indigo-700">{title}</h3>
-                    <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-100 transition">
+                    <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-100 transition" aria-label="Tutup">
                         <X size={20} />
                     </button>
                 </div>
-                <div className="p-5">
+                <div className="p-5" ref={contentRef}>
                     {children}
                 </div>
                 {footer && <div className="p-5 border-t">{footer}</div>}
@@ -227,395 +781,2987 @@ const Modal = ({ isOpen, title, children, onClose, footer }) => {
     );
 };
 
-// --- FEATURE COMPONENTS ---
+// Service worker lifecycle (vite-plugin-pwa): says when the app is ready offline and asks
+// before switching to a newly deployed build, so unsaved input is not lost to a reload
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
 
-// Component for Adding/Editing Tasks and Habits
-const ActionForm = ({ type, initialData = {}, onSubmit, onCancel }) => {
-    const isTask = type === 'task';
-    const [name, setName] = useState(initialData.name || '');
-    const [category, setCategory] = useState(initialData.category || (isTask ? 'Kuliah' : 'Kesehatan'));
-    const [deadline, setDeadline] = useState(initialData.deadline || new Date().toISOString().split('T')[0]);
-    const [priority, setPriority] = useState(initialData.priority || 'Penting - Mendesak');
-    const [target, setTarget] = useState(initialData.target || 7); // For Habit
+const UpdatePrompt = () => {
+    const {
+        offlineReady: [offlineReady, setOfflineReady],
+        needRefresh: [needRefresh, setNeedRefresh],
+        updateServiceWorker,
+    } = useRegisterSW({
+        // Home-screen apps stay open for days, so look for new builds periodically too
+        onRegisteredSW: (swUrl, registration) => {
+            if (registration) setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL_MS);
+        },
+        onRegisterError: (error) => console.error("Service worker registration failed:", error),
+    });
 
-    const taskCategories = ['Kuliah', 'Kerja', 'Bisnis', 'Konten', 'Pribadi'];
-    const habitCategories = ['Kesehatan', 'Pendidikan', 'Spiritual', 'Kreativitas'];
-    const priorityOptions = ['Penting - Mendesak', 'Penting - Non-mendesak', 'Non-penting - Mendesak', 'Non-penting - Non-mendesak'];
+    if (!offlineReady && !needRefresh) return null;
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        if (isTask) {
-            onSubmit({
-                name,
-                category,
-                deadline,
-                priority,
-                subtasks: initialData.subtasks || [],
-                completed: initialData.completed || false
-            });
-        } else {
-            onSubmit({
-                name,
-                category,
-                target,
-                streak: initialData.streak || 0,
-                lastChecked: initialData.lastChecked || new Date().toISOString().split('T')[0],
-                checkedToday: initialData.checkedToday || false
-            });
-        }
+    const close = () => {
+        setOfflineReady(false);
+        setNeedRefresh(false);
     };
 
     return (
-        <form onSubmit={handleSubmit} className="space-y-4">
-            <input
-                type="text"
-                value={name}
-                onChange={(e) => setName(e.target.value)}
-                placeholder={isTask ? "Nama Tugas" : "Nama Kebiasaan (Contoh: Baca 20 menit)"}
-                required
-                className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
-            />
-            <div className="flex space-x-4">
-                <select
-                    value={category}
-                    onChange={(e) => setCategory(e.target.value)}
-                    className="flex-1 p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
-                >
-                    {(isTask ? taskCategories : habitCategories).map(cat => (
-                        <option key={cat} value={cat}>{cat}</option>
-                    ))}
-                </select>
-                {isTask ? (
-                    <select
-                        value={priority}
-                        onChange={(e) => setPriority(e.target.value)}
-                        className="flex-1 p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
-                    >
-                        {priorityOptions.map(p => (
-                            <option key={p} value={p}>{p}</option>
-                        ))}
-                    </select>
-                ) : (
-                    <div className="flex-1">
-                        <label className="text-sm font-medium text-gray-500 block mb-1">Target/Minggu</label>
-                        <input
-                            type="number"
-                            value={target}
-                            onChange={(e) => setTarget(Math.max(1, parseInt(e.target.value) || 1))}
-                            min="1" max="7"
-                            className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
-                        />
-                    </div>
+        <div role="status" className="fixed bottom-4 left-4 right-4 sm:left-auto sm:w-96 z-50 p-4 bg-white rounded-xl shadow-2xl border-l-4 border-indigo-500">
+            <p className="text-sm text-gray-700 mb-3">
+                {needRefresh ? 'Versi baru GenZ Planner sudah tersedia.' : 'GenZ Planner siap dipakai tanpa internet.'}
+            </p>
+            <div className="flex justify-end space-x-2">
+                <button onClick={close} className="py-2 px-4 bg-gray-200 text-gray-700 text-sm font-semibold rounded-lg hover:bg-gray-300 transition">
+                    {needRefresh ? 'Nanti' : 'Oke'}
+                </button>
+                {needRefresh && (
+                    <button onClick={() => updateServiceWorker(true)} className="py-2 px-4 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 transition">
+                        Muat Ulang
+                    </button>
                 )}
             </div>
+        </div>
+    );
+};
 
-            {isTask && (
-                <div>
-                    <label className="text-sm font-medium text-gray-500 block mb-1">Deadline</label>
-                    <input
-                        type="date"
-                        value={deadline}
-                        onChange={(e) => setDeadline(e.target.value)}
-                        className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
-                    />
-                </div>
-            )}
+// Small per-item marker for writes that are not on the server yet
+const SyncBadge = ({ status }) => {
+    if (status === 'failed') {
+        return (
+            <span className="flex items-center px-2 py-1 rounded-full bg-red-100 text-red-600 text-xs font-medium" title="Perubahan gagal disimpan. Coba lagi dari indikator sinkronisasi.">
+                <AlertTriangle size={12} className="mr-1" /> Gagal disimpan
+            </span>
+        );
+    }
+    if (status === 'pending') {
+        return (
+            <span className="flex items-center px-2 py-1 rounded-full bg-amber-100 text-amber-700 text-xs font-medium" title="Tersimpan di perangkat, menunggu sinkronisasi">
+                <RefreshCw size={12} className="mr-1" /> Menunggu sinkron
+            </span>
+        );
+    }
+    return null;
+};
 
-            <div className="flex justify-end space-x-3 mt-6">
-                <button
-                    type="button"
-                    onClick={onCancel}
-                    className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
-                >
-                    Batal
-                </button>
+const syncStates = {
+    offline: { label: 'Offline', hint: 'Perubahan disimpan di perangkat dan dikirim saat online.', icon: WifiOff, style: 'bg-gray-100 text-gray-600' },
+    syncing: { label: 'Menyinkronkan...', hint: 'Mengirim perubahan ke server.', icon: RefreshCw, style: 'bg-amber-50 text-amber-700' },
+    failed: { label: 'Gagal sinkron', hint: 'Beberapa perubahan gagal disimpan.', icon: AlertTriangle, style: 'bg-red-50 text-red-600' },
+    local: { label: 'Mode Lokal', hint: 'Tanpa konfigurasi Firebase, data hanya tersimpan di perangkat ini.', icon: HardDrive, style: 'bg-indigo-50 text-indigo-700' },
+    synced: { label: 'Online · Tersinkron', hint: 'Semua perubahan sudah tersimpan.', icon: Wifi, style: 'bg-green-50 text-green-700' },
+};
+
+// Global sync indicator for the sidebar: online/offline/syncing, with a retry for failed writes
+const SyncIndicator = ({ sync }) => {
+    const info = syncStates[sync.state];
+    const pending = sync.entries.filter(e => e.status === 'pending').length;
+    const failed = sync.entries.filter(e => e.status === 'failed');
+    return (
+        <div className={`mt-4 p-3 rounded-xl text-xs ${info.style}`} title={failed[0]?.error || info.hint}>
+            <div className="flex items-center font-bold">
+                <info.icon size={14} className={`mr-2 ${sync.state === 'syncing' ? 'animate-spin' : ''}`} />
+                {info.label}
+                {pending > 0 && <span className="ml-auto">{pending} antre</span>}
+            </div>
+            {failed.length > 0 && (
                 <button
-                    type="submit"
-                    className="py-2 px-4 bg-indigo-500 text-white font-semibold rounded-lg hover:bg-indigo-600 transition shadow-md shadow-indigo-300/50"
+                    onClick={sync.retryFailed}
+                    className="mt-2 w-full py-1 bg-white rounded-lg font-semibold text-red-600 hover:bg-red-100 transition"
                 >
-                    {initialData.id ? 'Simpan Perubahan' : 'Tambah Baru'}
+                    Coba lagi ({failed.length})
                 </button>
-            </div>
-        </form>
+            )}
+        </div>
     );
 };
 
-// Component for Task Manager (C)
-const TaskManager = ({ tasks, addTask, updateTask, deleteTask }) => {
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [editingTask, setEditingTask] = useState(null);
-    const [deleteModal, setDeleteModal] = useState(null);
+const accountModes = [
+    { value: 'signup', label: 'Daftar' },
+    { value: 'signin', label: 'Masuk' },
+    { value: 'link', label: 'Link Email' },
+];
 
-    const handleOpenModal = (task = null) => {
-        setEditingTask(task);
-        setIsModalOpen(true);
+// Sign-up / sign-in form. Signing up upgrades the anonymous guest, so existing data is kept.
+const AccountForm = ({ auth, onDone }) => {
+    const [mode, setMode] = useState('signup');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError(null);
+        try {
+            if (mode === 'signup') {
+                await signUpWithEmail(auth, email, password);
+                onDone('Akun tersimpan! Datamu sekarang bisa dibuka di perangkat lain.');
+            } else if (mode === 'signin') {
+                await signInWithEmail(auth, email, password);
+                onDone(`Masuk sebagai ${email}.`);
+            } else {
+                await sendEmailLink(auth, email, window.location.origin + window.location.pathname);
+                onDone(`Link masuk sudah dikirim ke ${email}. Buka link itu di browser ini.`);
+            }
+        } catch (err) {
+            console.error("Account action failed:", err);
+            setError(getAuthErrorMessage(err));
+        } finally {
+            setBusy(false);
+        }
     };
 
-    const handleSave = (data) => {
-        if (editingTask) {
-            updateTask(editingTask.id, data);
-        } else {
-            addTask(data);
-        }
-        setIsModalOpen(false);
-        setEditingTask(null);
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="flex bg-gray-100 rounded-xl p-1">
+                {accountModes.map(option => (
+                    <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => { setMode(option.value); setError(null); }}
+                        className={`flex-1 py-2 rounded-lg text-sm font-semibold transition ${mode === option.value ? 'bg-white text-indigo-700 shadow' : 'text-gray-500 hover:text-indigo-600'}`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+            <p className="text-sm text-gray-600">
+                {mode === 'signup' && 'Simpan data tamu yang sekarang ke akun baru, tanpa ada yang hilang.'}
+                {mode === 'signin' && 'Buka akun yang sudah ada. Data tamu di browser ini tidak ikut dipindahkan.'}
+                {mode === 'link' && 'Masuk tanpa password: kami kirim link sekali pakai ke emailmu. Data tamu ikut tersimpan.'}
+            </p>
+            <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email"
+                required
+                autoComplete="email"
+                className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
+            />
+            {mode !== 'link' && (
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password (min. 6 karakter)"
+                    required
+                    minLength={6}
+                    autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+                    className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
+                />
+            )}
+            {error && <p className="text-sm text-red-600 font-medium">{error}</p>}
+            <button
+                type="submit"
+                disabled={busy}
+                className="w-full py-3 bg-indigo-500 text-white font-semibold rounded-lg hover:bg-indigo-600 transition shadow-md shadow-indigo-300/50 disabled:opacity-50"
+            >
+                {busy ? 'Memproses...' : mode === 'link' ? 'Kirim Link Masuk' : accountModes.find(m => m.value === mode).label}
+            </button>
+        </form>
+    );
+};
+
+// Profile area at the bottom of the sidebar: guest upgrade, sign-out and account deletion
+const AccountPanel = ({ auth, account, onAccountChange, deleteUserData, onNotice }) => {
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+    const [deleteError, setDeleteError] = useState(null);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    if (isLocalOnly) {
+        return (
+            <div className="p-3 bg-gray-50 rounded-lg text-xs text-gray-500">
+                Mode lokal: data tersimpan di perangkat ini
+            </div>
+        );
+    }
+
+    const isGuest = !account || account.isAnonymous;
+
+    const handleDone = (message) => {
+        setIsFormOpen(false);
+        onAccountChange();
+        onNotice(message);
     };
 
-    const toggleCompletion = (task) => {
-        updateTask(task.id, { completed: !task.completed });
+    const handleSignOut = async () => {
+        try {
+            await signOutAccount(auth);
+            onNotice('Kamu sudah keluar.');
+        } catch (err) {
+            console.error("Sign-out failed:", err);
+            onNotice(getAuthErrorMessage(err));
+        }
     };
 
-    const getPriorityStyle = (priority) => {
-        switch (priority) {
-            case 'Penting - Mendesak': return 'bg-red-100 text-red-700 border-red-300';
-            case 'Penting - Non-mendesak': return 'bg-yellow-100 text-yellow-700 border-yellow-300';
-            case 'Non-penting - Mendesak': return 'bg-blue-100 text-blue-700 border-blue-300';
-            default: return 'bg-gray-100 text-gray-700 border-gray-300';
+    const handleDelete = async () => {
+        setIsDeleting(true);
+        setDeleteError(null);
+        try {
+            await deleteAccount(auth, deleteUserData);
+            setIsDeleteOpen(false);
+            onNotice('Akun dan semua datamu sudah dihapus.');
+        } catch (err) {
+            console.error("Account deletion failed:", err);
+            setDeleteError(getAuthErrorMessage(err));
+        } finally {
+            setIsDeleting(false);
         }
     };
 
     return (
-        <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
-                <ListChecks className="mr-3" /> Task Manager
-            </h1>
-
-            <button
-                onClick={() => handleOpenModal()}
-                className="mb-6 flex items-center bg-pink-500 text-white py-3 px-6 rounded-xl font-bold shadow-lg shadow-pink-300/50 hover:bg-pink-600 transition transform hover:scale-[1.02]"
-            >
-                <Plus size={20} className="mr-2" /> Tambah Tugas Baru
-            </button>
-
-            <div className="space-y-4">
-                {tasks.length === 0 ? (
-                    <p className="text-gray-500 italic">Belum ada tugas. Mari tambahkan tugas pertamamu!</p>
-                ) : (
-                    tasks.map(task => (
-                        <div key={task.id} className={`bg-white p-4 rounded-xl shadow-lg border-l-4 ${task.completed ? 'border-green-500 opacity-70' : 'border-indigo-500'} transition hover:shadow-xl`}>
-                            <div className="flex items-start justify-between">
-                                <div className="flex items-start flex-1 min-w-0">
-                                    <button onClick={() => toggleCompletion(task)} className="p-1 mr-3 mt-1">
-                                        {task.completed ? (
-                                            <CheckCircle className="text-green-500" size={24} fill="currentColor" />
-                                        ) : (
-                                            <div className="w-6 h-6 border-2 border-indigo-400 rounded-full"></div>
-                                        )}
-                                    </button>
-                                    <div className="min-w-0 flex-1">
-                                        <h3 className={`text-lg font-semibold ${task.completed ? 'line-through text-gray-500' : 'text-indigo-800'}`}>{task.name}</h3>
-                                        <p className="text-sm text-gray-600 truncate">Kategori: <span className="font-medium text-indigo-600">{task.category}</span></p>
-                                        <div className="flex flex-wrap items-center mt-2 space-x-2 text-xs">
-                                            <span className={`px-2 py-1 rounded-full border font-medium ${getPriorityStyle(task.priority)}`}>
-                                                {task.priority.split(' - ')[0]}
-                                            </span>
-                                            <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-600 font-medium">
-                                                Deadline: {task.deadline}
-                                            </span>
-                                        </div>
-                                    </div>
-                                </div>
-                                <div className="flex space-x-2 ml-4">
-                                    <button
-                                        onClick={() => handleOpenModal(task)}
-                                        className="p-2 text-blue-500 hover:bg-blue-50 rounded-full transition"
-                                        title="Edit Tugas"
-                                    >
-                                        <Edit size={18} />
-                                    </button>
-                                    <button
-                                        onClick={() => setDeleteModal(task)}
-                                        className="p-2 text-red-500 hover:bg-red-50 rounded-full transition"
-                                        title="Hapus Tugas"
-                                    >
-                                        <Trash2 size={18} />
-                                    </button>
-                                </div>
-                            </div>
-                            {/* Subtask Section (Mocked) */}
-                            {task.subtasks && task.subtasks.length > 0 && (
-                                <div className="mt-3 pt-3 border-t border-gray-100 pl-9">
-                                    <p className="text-sm font-medium text-indigo-600 mb-1">Subtasks ({task.subtasks.filter(s => s.completed).length}/{task.subtasks.length})</p>
-                                    <ul className="text-sm space-y-1">
-                                        {task.subtasks.map(sub => (
-                                            <li key={sub.id} className={`flex items-center ${sub.completed ? 'line-through text-gray-500' : 'text-gray-700'}`}>
-                                                <Check size={14} className="mr-2 text-green-400" /> {sub.text}
-                                            </li>
-                                        ))}
-                                    </ul>
-                                </div>
-                            )}
-                        </div>
-                    ))
-                )}
+        <div className="p-3 bg-gray-50 rounded-lg text-xs text-gray-500">
+            <div className="flex items-center">
+                <div className="w-9 h-9 rounded-full bg-indigo-500 text-white flex items-center justify-center font-bold text-sm mr-3 flex-shrink-0">
+                    {isGuest ? '?' : account.email[0].toUpperCase()}
+                </div>
+                <div className="min-w-0">
+                    <p className="font-semibold text-gray-700 truncate">{isGuest ? 'Tamu (anonim)' : account.email}</p>
+                    <p className="truncate">{isGuest ? 'Data hanya ada di browser ini' : 'Tersinkron di semua perangkat'}</p>
+                </div>
             </div>
+            {isGuest ? (
+                <button onClick={() => setIsFormOpen(true)} className="mt-3 w-full py-2 bg-pink-500 text-white rounded-lg font-semibold hover:bg-pink-600 transition">
+                    Simpan Akun / Masuk
+                </button>
+            ) : (
+                <div className="mt-3 flex space-x-2">
+                    <button onClick={handleSignOut} className="flex-1 py-2 bg-white text-indigo-600 rounded-lg font-semibold hover:bg-indigo-50 transition">
+                        Keluar
+                    </button>
+                    <button onClick={() => setIsDeleteOpen(true)} className="flex-1 py-2 bg-white text-red-500 rounded-lg font-semibold hover:bg-red-50 transition">
+                        Hapus Akun
+                    </button>
+                </div>
+            )}
 
-            <Modal
-                isOpen={isModalOpen}
-                title={editingTask ? "Edit Tugas" : "Tambah Tugas Baru"}
-                onClose={() => setIsModalOpen(false)}
-            >
-                <ActionForm
-                    type="task"
-                    initialData={editingTask || {}}
-                    onSubmit={handleSave}
-                    onCancel={() => setIsModalOpen(false)}
-                />
+            <Modal isOpen={isFormOpen} title="Akun GenZ Planner" onClose={() => setIsFormOpen(false)}>
+                <AccountForm auth={auth} onDone={handleDone} />
             </Modal>
 
             <Modal
-                isOpen={!!deleteModal}
-                title="Konfirmasi Hapus"
-                onClose={() => setDeleteModal(null)}
+                isOpen={isDeleteOpen}
+                title="Hapus Akun"
+                onClose={() => setIsDeleteOpen(false)}
                 footer={
                     <div className="flex justify-end space-x-3">
                         <button
-                            onClick={() => setDeleteModal(null)}
+                            onClick={() => setIsDeleteOpen(false)}
                             className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
                         >
                             Batal
                         </button>
                         <button
-                            onClick={() => { deleteTask(deleteModal.id); setDeleteModal(null); }}
-                            className="py-2 px-4 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition"
+                            onClick={handleDelete}
+                            disabled={isDeleting}
+                            className="py-2 px-4 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition disabled:opacity-50"
                         >
-                            Hapus Permanen
+                            {isDeleting ? 'Menghapus...' : 'Hapus Permanen'}
                         </button>
                     </div>
                 }
             >
-                <p>Apakah Anda yakin ingin menghapus tugas **{deleteModal?.name}**?</p>
+                <p>Semua tugas, kebiasaan, refleksi, buku dan sesi fokus di akun **{account?.email}** akan dihapus permanen, begitu juga akunnya. Tindakan ini tidak bisa dibatalkan.</p>
+                {deleteError && <p className="mt-3 text-sm text-red-600 font-medium">{deleteError}</p>}
             </Modal>
         </div>
     );
 };
 
-// Component for Habit Tracker (D)
-const HabitTracker = ({ habits, addHabit, updateHabit, deleteHabit }) => {
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [editingHabit, setEditingHabit] = useState(null);
-    const [deleteModal, setDeleteModal] = useState(null);
-    const today = new Date().toISOString().split('T')[0];
+// Editable subtask checklist, shared by ActionForm and the TaskManager card.
+// The list is controlled: every change is reported as a new array via onChange.
+const SubtaskList = ({ subtasks = [], onChange, compact = false }) => {
+    const [newText, setNewText] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [editingText, setEditingText] = useState('');
+    const [dragIndex, setDragIndex] = useState(null);
 
-    const handleOpenModal = (habit = null) => {
-        setEditingHabit(habit);
-        setIsModalOpen(true);
+    const handleAdd = () => {
+        const text = newText.trim();
+        if (!text) return;
+        onChange([...subtasks, { id: crypto.randomUUID(), text, completed: false }]);
+        setNewText('');
     };
 
-    const handleSave = (data) => {
-        if (editingHabit) {
-            updateHabit(editingHabit.id, data);
-        } else {
-            // New habit starts today with a 0 streak
-            addHabit({ ...data, streak: 0, lastChecked: today, checkedToday: false });
-        }
-        setIsModalOpen(false);
-        setEditingHabit(null);
+    const handleToggle = (id) => {
+        onChange(subtasks.map(s => s.id === id ? { ...s, completed: !s.completed } : s));
+    };
+
+    const handleDelete = (id) => {
+        onChange(subtasks.filter(s => s.id !== id));
     };
 
-    const toggleHabit = (habit) => {
-        const isChecked = habit.checkedToday;
-        let newStreak = habit.streak;
-        let newCheckedToday = !isChecked;
+    const startEditing = (sub) => {
+        setEditingId(sub.id);
+        setEditingText(sub.text);
+    };
 
-        if (newCheckedToday) {
-            // User checks the habit
-            newStreak = habit.lastChecked === today ? habit.streak : habit.streak + 1;
-        } else {
-            // User unchecks the habit (only decrement if it was added today)
-            // For simplicity, we only allow unchecking for today's entry
-            if (habit.lastChecked === today) {
-                 newStreak = habit.streak > 0 ? habit.streak - 1 : 0;
-            }
+    const commitEditing = () => {
+        const text = editingText.trim();
+        if (text) {
+            onChange(subtasks.map(s => s.id === editingId ? { ...s, text } : s));
         }
+        setEditingId(null);
+    };
 
-        updateHabit(habit.id, {
-            checkedToday: newCheckedToday,
-            streak: newStreak,
-            lastChecked: today
-        });
+    const handleDrop = (targetIndex) => {
+        if (dragIndex === null || dragIndex === targetIndex) return;
+        const reordered = [...subtasks];
+        const [moved] = reordered.splice(dragIndex, 1);
+        reordered.splice(targetIndex, 0, moved);
+        onChange(reordered);
+        setDragIndex(null);
     };
 
-    const getBadge = (streak) => {
-        if (streak >= 30) return <span className="text-2xl">👑</span>;
-        if (streak >= 7) return <span className="text-xl">⭐</span>;
-        if (streak >= 3) return <span className="text-xl">🔥</span>;
-        return <span className="text-xl">🌱</span>;
+    return (
+        <div>
+            <ul className="text-sm space-y-1">
+                {subtasks.map((sub, index) => (
+                    <li
+                        key={sub.id}
+                        draggable={editingId !== sub.id}
+                        onDragStart={() => setDragIndex(index)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => handleDrop(index)}
+                        onDragEnd={() => setDragIndex(null)}
+                        className={`group flex items-center rounded-lg px-1 py-0.5 ${dragIndex === index ? 'bg-indigo-50 opacity-60' : 'hover:bg-gray-50'}`}
+                    >
+                        <GripVertical size={14} className="mr-1 text-gray-300 cursor-grab" />
+                        <button
+                            type="button"
+                            onClick={() => handleToggle(sub.id)}
+                            className={`p-0.5 mr-2 rounded-full transition ${sub.completed ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-300 hover:bg-gray-200'}`}
+                            title={sub.completed ? "Tandai Belum Selesai" : "Tandai Selesai"}
+                        >
+                            <Check size={14} />
+                        </button>
+                        {editingId === sub.id ? (
+                            <input
+                                type="text"
+                                value={editingText}
+                                autoFocus
+                                onChange={(e) => setEditingText(e.target.value)}
+                                onBlur={commitEditing}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') { e.preventDefault(); commitEditing(); }
+                                    if (e.key === 'Escape') { e.preventDefault(); setEditingId(null); }
+                                }}
+                                className="flex-1 px-2 py-0.5 border border-indigo-300 rounded focus:border-indigo-500"
+                            />
+                        ) : (
+                            <span
+                                onDoubleClick={() => startEditing(sub)}
+                                className={`flex-1 ${sub.completed ? 'line-through text-gray-500' : 'text-gray-700'}`}
+                                title="Klik dua kali untuk mengubah"
+                            >
+                                {sub.text}
+                            </span>
+                        )}
+                        <button
+                            type="button"
+                            onClick={() => startEditing(sub)}
+                            className="p-1 text-blue-400 opacity-0 group-hover:opacity-100 hover:bg-blue-50 rounded-full transition"
+                            title="Ubah Subtask"
+                        >
+                            <Edit size={12} />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => handleDelete(sub.id)}
+                            className="p-1 text-red-400 opacity-0 group-hover:opacity-100 hover:bg-red-50 rounded-full transition"
+                            title="Hapus Subtask"
+                        >
+                            <Trash2 size={12} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <div className={`flex items-center ${compact ? 'mt-2' : 'mt-3'}`}>
+                <input
+                    type="text"
+                    value={newText}
+                    onChange={(e) => setNewText(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') { e.preventDefault(); handleAdd(); }
+                    }}
+                    placeholder="Tambah subtask..."
+                    className={`flex-1 border border-indigo-200 rounded-lg focus:border-indigo-500 transition ${compact ? 'px-2 py-1 text-sm' : 'p-2'}`}
+                />
+                <button
+                    type="button"
+                    onClick={handleAdd}
+                    className="ml-2 p-1.5 bg-indigo-100 text-indigo-600 rounded-lg hover:bg-indigo-200 transition"
+                    title="Tambah Subtask"
+                >
+                    <Plus size={16} />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- FEATURE COMPONENTS ---
+
+// Recurrence picker for ActionForm: frequency, interval, weekdays / monthly mode and end date
+const RecurrenceFields = ({ rule, deadline, start, onChange }) => {
+    const inputClass = "p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white";
+    const update = (changes) => onChange({ ...rule, ...changes });
+
+    const toggleWeekday = (day) => {
+        const days = rule.byWeekday.includes(day) ? rule.byWeekday.filter(d => d !== day) : [...rule.byWeekday, day];
+        if (days.length > 0) update({ byWeekday: days.sort() });
     };
 
     return (
-        <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
-                <Target className="mr-3" /> Habit Tracker
-            </h1>
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={rule ? rule.freq : 'none'}
+                    onChange={(e) => onChange(e.target.value === 'none' ? null : { ...createRule(e.target.value, deadline), ...(rule ? { interval: rule.interval, until: rule.until } : {}) })}
+                    className={`flex-1 ${inputClass}`}
+                >
+                    <option value="none">Tidak berulang</option>
+                    {recurrenceFrequencies.map(f => (
+                        <option key={f.value} value={f.value}>{f.label}</option>
+                    ))}
+                </select>
+                {rule && (
+                    <label className="flex items-center text-sm text-gray-600">
+                        Setiap
+                        <input
+                            type="number"
+                            min="1"
+                            value={rule.interval}
+                            onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                            className={`w-16 mx-2 ${inputClass}`}
+                        />
+                        {recurrenceFrequencies.find(f => f.value === rule.freq).unit}
+                    </label>
+                )}
+            </div>
 
-            <button
-                onClick={() => handleOpenModal()}
-                className="mb-6 flex items-center bg-green-500 text-white py-3 px-6 rounded-xl font-bold shadow-lg shadow-green-300/50 hover:bg-green-600 transition transform hover:scale-[1.02]"
-            >
-                <Plus size={20} className="mr-2" /> Tambah Kebiasaan Baru
-            </button>
+            {rule?.freq === 'weekly' && (
+                <div className="flex flex-wrap gap-1">
+                    {weekdayShortNames.map((label, day) => (
+                        <button
+                            key={label}
+                            type="button"
+                            onClick={() => toggleWeekday(day)}
+                            className={`w-10 py-1 rounded-lg text-xs font-semibold transition ${rule.byWeekday.includes(day) ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {rule?.freq === 'monthly' && (
+                <select value={rule.monthlyMode} onChange={(e) => update({ monthlyMode: e.target.value })} className={`w-full ${inputClass}`}>
+                    <option value="date">Pada tanggal yang sama</option>
+                    <option value="weekday">Pada hari yang sama (mis. Senin ke-2)</option>
+                </select>
+            )}
+
+            {rule && (
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                    <label htmlFor="recurrence-until">Berakhir</label>
+                    <input
+                        id="recurrence-until"
+                        type="date"
+                        value={rule.until || ''}
+                        min={deadline}
+                        onChange={(e) => update({ until: e.target.value || null })}
+                        className={`flex-1 ${inputClass}`}
+                    />
+                </div>
+            )}
+
+            {rule && <p className="text-xs text-indigo-600 font-medium flex items-center"><Repeat size={12} className="mr-1" /> {describeRule({ ...rule, start })}</p>}
+        </div>
+    );
+};
+
+// Per-task reminder choices; select values are comma-separated offsets in minutes
+const taskReminderChoices = [
+    { value: 'default', label: 'Sesuai pengaturan pengingat' },
+    { value: '', label: 'Tanpa pengingat' },
+    { value: '1440', label: '1 hari sebelum deadline' },
+    { value: '60', label: '1 jam sebelum deadline' },
+    { value: '1440,60', label: '1 hari & 1 jam sebelum deadline' },
+];
+
+// Keeps a custom combination (e.g. set in an older version) selectable
+const getTaskReminderChoices = (offsets) => {
+    const value = offsets?.join(',');
+    if (!offsets || taskReminderChoices.some(choice => choice.value === value)) return taskReminderChoices;
+    const labels = offsets.map(offset => reminderOffsetOptions.find(o => o.value === offset)?.label || `${offset} menit`);
+    return [...taskReminderChoices, { value, label: `${labels.join(' & ')} sebelum deadline` }];
+};
+
+// Component for Adding/Editing Tasks and Habits
+const ActionForm = ({ type, initialData = {}, onSubmit, onCancel }) => {
+    const isTask = type === 'task';
+    const [name, setName] = useState(initialData.name || '');
+    const [category, setCategory] = useState(initialData.category || (isTask ? 'Kuliah' : 'Kesehatan'));
+    const [deadline, setDeadline] = useState(initialData.deadline || toDateKey());
+    const [dueTime, setDueTime] = useState(initialData.dueTime || ''); // For Task, '' = no time
+    const [priority, setPriority] = useState(initialData.priority || 'Penting - Mendesak');
+    const [target, setTarget] = useState(Math.min(7, Math.max(1, initialData.target || 7))); // For Habit, 1-7 per week as in the schema
+    const [subtasks, setSubtasks] = useState(initialData.subtasks || []); // For Task
+    const [recurrence, setRecurrence] = useState(initialData.recurrence || null); // For Task
+    const [reminderOffsets, setReminderOffsets] = useState(initialData.reminderOffsets ?? null); // For Task, null = reminder settings
+
+    const habitCategories = ['Kesehatan', 'Pendidikan', 'Spiritual', 'Kreativitas'];
+
+    // Keep the series anchor while the deadline is still one of its occurrences, so
+    // e.g. a "31st of the month" rule is not shifted by its February occurrence
+    const ruleStart = recurrence?.start && matchesRule(recurrence, deadline) ? recurrence.start : deadline;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (isTask) {
+            onSubmit({
+                name,
+                category,
+                deadline,
+                dueTime: dueTime || null,
+                priority,
+                subtasks,
+                completed: initialData.completed || false,
+                recurrence: recurrence ? { ...recurrence, start: ruleStart } : null,
+                seriesId: recurrence ? (initialData.seriesId || crypto.randomUUID()) : null,
+                reminderOffsets
+            });
+        } else {
+            onSubmit({
+                name,
+                category,
+                target,
+                checkIns: getCheckIns(initialData)
+            });
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={isTask ? "Nama Tugas" : "Nama Kebiasaan (Contoh: Baca 20 menit)"}
+                required
+                className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
+            />
+            <div className="flex space-x-4">
+                <select
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                    className="flex-1 p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
+                >
+                    {(isTask ? taskCategories : habitCategories).map(cat => (
+                        <option key={cat} value={cat}>{cat}</option>
+                    ))}
+                </select>
+                {isTask ? (
+                    <select
+                        value={priority}
+                        onChange={(e) => setPriority(e.target.value)}
+                        className="flex-1 p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
+                    >
+                        {priorityOptions.map(p => (
+                            <option key={p} value={p}>{p}</option>
+                        ))}
+                    </select>
+                ) : (
+                    <div className="flex-1">
+                        <label className="text-sm font-medium text-gray-500 block mb-1">Target/Minggu</label>
+                        <input
+                            type="number"
+                            value={target}
+                            onChange={(e) => setTarget(Math.min(7, Math.max(1, parseInt(e.target.value) || 1)))}
+                            min={1} max={7}
+                            className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
+                        />
+                    </div>
+                )}
+            </div>
+
+            {isTask && (
+                <div>
+                    <label className="text-sm font-medium text-gray-500 block mb-1">Deadline</label>
+                    <div className="flex space-x-4">
+                        <input
+                            type="date"
+                            value={deadline}
+                            onChange={(e) => setDeadline(e.target.value)}
+                            className="flex-1 p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
+                        />
+                        <input
+                            type="time"
+                            value={dueTime}
+                            onChange={(e) => setDueTime(e.target.value)}
+                            title="Jam deadline (opsional)"
+                            className="w-32 p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
+                        />
+                    </div>
+                </div>
+            )}
+
+            {isTask && (
+                <div>
+                    <label className="text-sm font-medium text-gray-500 block mb-1">Pengingat</label>
+                    <select
+                        value={reminderOffsets === null ? 'default' : reminderOffsets.join(',')}
+                        onChange={(e) => setReminderOffsets(e.target.value === 'default' ? null : e.target.value.split(',').filter(Boolean).map(Number))}
+                        className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white"
+                    >
+                        {getTaskReminderChoices(reminderOffsets).map(choice => (
+                            <option key={choice.value} value={choice.value}>{choice.label}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            {isTask && (
+                <div>
+                    <label className="text-sm font-medium text-gray-500 block mb-1">Ulangi</label>
+                    <RecurrenceFields rule={recurrence} deadline={deadline} start={ruleStart} onChange={setRecurrence} />
+                </div>
+            )}
+
+            {isTask && (
+                <div>
+                    <label className="text-sm font-medium text-gray-500 block mb-1">Subtasks</label>
+                    <SubtaskList subtasks={subtasks} onChange={setSubtasks} />
+                </div>
+            )}
+
+            <div className="flex justify-end space-x-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                >
+                    Batal
+                </button>
+                <button
+                    type="submit"
+                    className="py-2 px-4 bg-indigo-500 text-white font-semibold rounded-lg hover:bg-indigo-600 transition shadow-md shadow-indigo-300/50"
+                >
+                    {initialData.id ? 'Simpan Perubahan' : 'Tambah Baru'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// Quadrant labels and colors for the Eisenhower matrix view
+const quadrantInfo = {
+    'Penting - Mendesak': { title: 'Kerjakan Sekarang', hint: 'Penting & mendesak', color: 'border-red-400 bg-red-50', text: 'text-red-700' },
+    'Penting - Non-mendesak': { title: 'Jadwalkan', hint: 'Penting, tidak mendesak', color: 'border-yellow-400 bg-yellow-50', text: 'text-yellow-700' },
+    'Non-penting - Mendesak': { title: 'Delegasikan', hint: 'Mendesak, kurang penting', color: 'border-blue-400 bg-blue-50', text: 'text-blue-700' },
+    'Non-penting - Non-mendesak': { title: 'Eliminasi', hint: 'Tidak penting & tidak mendesak', color: 'border-gray-300 bg-gray-50', text: 'text-gray-600' },
+};
+
+// 2x2 Eisenhower matrix; dropping a card on another quadrant changes its priority
+const TaskMatrix = ({ tasks, onMove, onToggle, onEdit }) => {
+    const [dropTarget, setDropTarget] = useState(null);
+    const groups = groupTasksByQuadrant(tasks);
+
+    const handleDrop = (e, priority) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const task = tasks.find(t => t.id === e.dataTransfer.getData('text/plain'));
+        if (task && task.priority !== priority) onMove(task, priority);
+    };
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {priorityOptions.map(priority => {
+                const info = quadrantInfo[priority];
+                const group = groups[priority];
+                const openCount = group.filter(t => !t.completed).length;
+                return (
+                    <div
+                        key={priority}
+                        onDragOver={(e) => { e.preventDefault(); setDropTarget(priority); }}
+                        onDragLeave={() => setDropTarget(prev => prev === priority ? null : prev)}
+                        onDrop={(e) => handleDrop(e, priority)}
+                        className={`p-4 rounded-2xl border-2 min-h-[12rem] transition ${info.color} ${dropTarget === priority ? 'ring-4 ring-indigo-300' : ''}`}
+                    >
+                        <div className="flex items-center justify-between mb-3">
+                            <div>
+                                <h3 className={`text-lg font-bold ${info.text}`}>{info.title}</h3>
+                                <p className="text-xs text-gray-500">{info.hint}</p>
+                            </div>
+                            <span className={`px-3 py-1 rounded-full bg-white text-sm font-bold shadow ${info.text}`} title="Tugas belum selesai / total">
+                                {openCount} / {group.length}
+                            </span>
+                        </div>
+                        <div className="space-y-2">
+                            {group.length === 0 && <p className="text-sm text-gray-400 italic">Seret tugas ke sini.</p>}
+                            {group.map(task => (
+                                <div
+                                    key={task.id}
+                                    draggable
+                                    onDragStart={(e) => e.dataTransfer.setData('text/plain', task.id)}
+                                    className={`flex items-center p-2 bg-white rounded-lg shadow-sm cursor-grab ${task.completed ? 'opacity-60' : ''}`}
+                                >
+                                    <GripVertical size={14} className="mr-1 text-gray-300 flex-shrink-0" />
+                                    <button onClick={() => onToggle(task)} className="p-0.5 mr-2 flex-shrink-0" title={task.completed ? "Tandai Belum Selesai" : "Tandai Selesai"}>
+                                        {task.completed ? (
+                                            <CheckCircle className="text-green-500" size={18} fill="currentColor" />
+                                        ) : (
+                                            <div className="w-[18px] h-[18px] border-2 border-indigo-400 rounded-full"></div>
+                                        )}
+                                    </button>
+                                    <div className="min-w-0 flex-1">
+                                        <p className={`text-sm font-semibold truncate ${task.completed ? 'line-through text-gray-500' : 'text-indigo-800'}`}>{task.name}</p>
+                                        <p className="text-xs text-gray-500 truncate">{task.category} · {task.deadline || 'Tanpa deadline'}</p>
+                                    </div>
+                                    <button onClick={() => onEdit(task)} className="p-1 text-blue-500 hover:bg-blue-50 rounded-full transition flex-shrink-0" title="Edit Tugas">
+                                        <Edit size={14} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+// Column editor for one category board: rename, reorder, WIP limits, add and remove columns
+const KanbanBoardEditor = ({ category, columns, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(columns);
+    const [newLabel, setNewLabel] = useState('');
+
+    const updateColumn = (id, changes) => setDraft(prev => prev.map(c => c.id === id ? { ...c, ...changes } : c));
+
+    const moveColumn = (index, offset) => {
+        const reordered = [...draft];
+        const [moved] = reordered.splice(index, 1);
+        reordered.splice(index + offset, 0, moved);
+        setDraft(reordered);
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!newLabel.trim()) return;
+        // New columns go before Done, which always stays last
+        setDraft(prev => [...prev.slice(0, -1), createColumn(prev, newLabel), prev[prev.length - 1]]);
+        setNewLabel('');
+    };
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-600">Kolom untuk kategori <span className="font-semibold text-indigo-600">{category}</span>. Tugas di kolom yang dihapus kembali ke kolom pertama.</p>
+            <ul className="space-y-2">
+                {draft.map((column, index) => {
+                    const isDone = column.id === DONE_STATUS;
+                    return (
+                        <li key={column.id} className="flex items-center space-x-2">
+                            <input
+                                type="text"
+                                value={column.label}
+                                onChange={(e) => updateColumn(column.id, { label: e.target.value })}
+                                className="flex-1 p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500"
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                value={column.wipLimit || ''}
+                                placeholder="WIP"
+                                title="Batas WIP (kosong = tanpa batas)"
+                                onChange={(e) => updateColumn(column.id, { wipLimit: parseInt(e.target.value, 10) || null })}
+                                className="w-20 p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500"
+                            />
+                            <button type="button" disabled={isDone || index === 0} onClick={() => moveColumn(index, -1)} className="p-1 text-gray-500 hover:text-indigo-600 disabled:opacity-30" title="Geser ke kiri">
+                                <ChevronLeft size={18} />
+                            </button>
+                            <button type="button" disabled={isDone || index >= draft.length - 2} onClick={() => moveColumn(index, 1)} className="p-1 text-gray-500 hover:text-indigo-600 disabled:opacity-30" title="Geser ke kanan">
+                                <ChevronRight size={18} />
+                            </button>
+                            <button type="button" disabled={isDone || draft.length <= 2} onClick={() => setDraft(prev => prev.filter(c => c.id !== column.id))} className="p-1 text-red-500 hover:bg-red-50 rounded-full disabled:opacity-30" title="Hapus Kolom">
+                                <Trash2 size={16} />
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+            <form onSubmit={handleAdd} className="flex space-x-2">
+                <input
+                    type="text"
+                    value={newLabel}
+                    onChange={(e) => setNewLabel(e.target.value)}
+                    placeholder="Nama kolom baru"
+                    className="flex-1 p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500"
+                />
+                <button type="submit" className="py-2 px-4 bg-indigo-100 text-indigo-700 font-semibold rounded-lg hover:bg-indigo-200 transition">
+                    <Plus size={16} />
+                </button>
+            </form>
+            <div className="flex justify-between pt-2">
+                <button type="button" onClick={() => setDraft(defaultKanbanColumns)} className="text-sm text-gray-500 hover:text-indigo-600">
+                    Kembalikan ke default
+                </button>
+                <div className="flex space-x-3">
+                    <button type="button" onClick={onCancel} className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition">
+                        Batal
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onSave(draft.map(c => ({ ...c, label: c.label.trim() || c.id })))}
+                        className="py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition"
+                    >
+                        Simpan Kolom
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const wipStyles = {
+    ok: 'bg-gray-50 border-gray-200',
+    full: 'bg-amber-50 border-amber-300',
+    over: 'bg-red-50 border-red-400',
+};
+
+// Kanban board per category. Cards move by drag & drop or with the arrow keys (← →) when focused.
+const TaskKanban = ({ tasks, boards, saveBoard, onMove, onEdit }) => {
+    const categories = [...new Set([...taskCategories, ...tasks.map(t => t.category).filter(Boolean)])];
+    const [category, setCategory] = useState(categories[0]);
+    const [dropTarget, setDropTarget] = useState(null);
+    const [isEditorOpen, setIsEditorOpen] = useState(false);
+    const [wipWarning, setWipWarning] = useState(null);
+    const focusTaskId = useRef(null);
+    const boardRef = useRef(null);
+
+    const columns = getBoardColumns(boards, category);
+    const categoryTasks = tasks.filter(t => t.category === category);
+    const tasksByStatus = Object.fromEntries(columns.map(c => [c.id, []]));
+    categoryTasks.forEach(task => tasksByStatus[getTaskStatus(task, columns)].push(task));
+    Object.values(tasksByStatus).forEach(group => group.sort(compareByPriorityThenDeadline));
+
+    // Keep keyboard focus on a card after it moved to another column
+    useEffect(() => {
+        if (!focusTaskId.current || !boardRef.current) return;
+        const card = boardRef.current.querySelector(`[data-task-id="${focusTaskId.current}"]`);
+        if (card) {
+            card.focus();
+            focusTaskId.current = null;
+        }
+    });
+
+    const moveTask = (task, status) => {
+        if (!status || status === getTaskStatus(task, columns)) return;
+        const column = columns.find(c => c.id === status);
+        const wip = getWipState(column, tasksByStatus[status].length + 1);
+        setWipWarning(wip === 'over' ? `Kolom "${column.label}" melebihi batas WIP (${column.wipLimit}). Selesaikan yang ada dulu, yuk!` : null);
+        onMove(task, status);
+    };
+
+    const handleKeyDown = (e, task) => {
+        const offset = e.key === 'ArrowRight' ? 1 : e.key === 'ArrowLeft' ? -1 : 0;
+        if (offset !== 0) {
+            e.preventDefault();
+            focusTaskId.current = task.id;
+            moveTask(task, getAdjacentStatus(columns, getTaskStatus(task, columns), offset));
+        }
+        if (e.key === 'Enter') onEdit(task);
+    };
+
+    const handleDrop = (e, status) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const task = categoryTasks.find(t => t.id === e.dataTransfer.getData('text/plain'));
+        if (task) moveTask(task, status);
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                {categories.map(cat => (
+                    <button
+                        key={cat}
+                        onClick={() => { setCategory(cat); setWipWarning(null); }}
+                        className={`py-1.5 px-4 rounded-full text-sm font-semibold transition ${category === cat ? 'bg-pink-500 text-white shadow' : 'bg-white text-indigo-600 hover:bg-indigo-50'}`}
+                    >
+                        {cat}
+                    </button>
+                ))}
+                <button onClick={() => setIsEditorOpen(true)} className="ml-auto flex items-center py-1.5 px-4 rounded-full text-sm font-semibold bg-white text-gray-600 hover:bg-gray-100 shadow">
+                    <Settings size={16} className="mr-2" /> Atur Kolom
+                </button>
+            </div>
+
+            {wipWarning && (
+                <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-700 text-sm font-medium flex items-center justify-between">
+                    <span>⚠️ {wipWarning}</span>
+                    <button onClick={() => setWipWarning(null)} className="p-1 hover:bg-red-200 rounded-full"><X size={16} /></button>
+                </div>
+            )}
+
+            <p className="text-xs text-gray-500 mb-2">Seret kartu antar kolom, atau fokuskan kartu lalu tekan ← / → untuk memindahkan dan Enter untuk mengedit.</p>
+            <div ref={boardRef} className="flex space-x-4 overflow-x-auto pb-4">
+                {columns.map(column => {
+                    const group = tasksByStatus[column.id];
+                    const wip = getWipState(column, group.length);
+                    return (
+                        <div
+                            key={column.id}
+                            onDragOver={(e) => { e.preventDefault(); setDropTarget(column.id); }}
+                            onDragLeave={() => setDropTarget(prev => prev === column.id ? null : prev)}
+                            onDrop={(e) => handleDrop(e, column.id)}
+                            className={`flex-shrink-0 w-64 p-3 rounded-2xl border-2 transition ${wipStyles[wip]} ${dropTarget === column.id ? 'ring-4 ring-indigo-300' : ''}`}
+                        >
+                            <div className="flex items-center justify-between mb-3">
+                                <h3 className="font-bold text-indigo-800">{column.label}</h3>
+                                <span
+                                    className={`px-2 py-0.5 rounded-full text-xs font-bold ${wip === 'over' ? 'bg-red-500 text-white' : wip === 'full' ? 'bg-amber-400 text-white' : 'bg-white text-gray-600'}`}
+                                    title={column.wipLimit ? 'Jumlah tugas / batas WIP' : 'Jumlah tugas'}
+                                >
+                                    {group.length}{column.wipLimit ? ` / ${column.wipLimit}` : ''}
+                                </span>
+                            </div>
+                            {wip === 'over' && <p className="text-xs text-red-600 font-semibold mb-2">Melebihi batas WIP!</p>}
+                            <div className="space-y-2 min-h-[4rem]">
+                                {group.map(task => (
+                                    <div
+                                        key={task.id}
+                                        data-task-id={task.id}
+                                        tabIndex={0}
+                                        draggable
+                                        onDragStart={(e) => e.dataTransfer.setData('text/plain', task.id)}
+                                        onKeyDown={(e) => handleKeyDown(e, task)}
+                                        onDoubleClick={() => onEdit(task)}
+                                        className={`p-3 bg-white rounded-lg shadow-sm cursor-grab border-l-4 focus:outline-none focus:ring-2 focus:ring-indigo-400 ${task.completed ? 'border-green-500 opacity-70' : 'border-indigo-400'}`}
+                                    >
+                                        <p className={`text-sm font-semibold ${task.completed ? 'line-through text-gray-500' : 'text-indigo-800'}`}>{task.name}</p>
+                                        <div className="flex flex-wrap items-center gap-1 mt-2 text-xs">
+                                            <span className={`px-2 py-0.5 rounded-full border font-medium ${getPriorityStyle(task.priority)}`}>{(task.priority || '').split(' - ')[0] || '-'}</span>
+                                            <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{task.deadline || 'Tanpa deadline'}</span>
+                                            {(task.subtasks || []).length > 0 && <span className="text-gray-500">{getTaskProgress(task)}%</span>}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <Modal isOpen={isEditorOpen} title={`Kolom Kanban: ${category}`} onClose={() => setIsEditorOpen(false)}>
+                <KanbanBoardEditor
+                    category={category}
+                    columns={columns}
+                    onSave={(next) => { saveBoard(category, { category, columns: next }); setIsEditorOpen(false); }}
+                    onCancel={() => setIsEditorOpen(false)}
+                />
+            </Modal>
+        </div>
+    );
+};
+
+// --- Quick add: one line of text becomes a task, with a live preview of what was understood ---
+const quickAddChipStyles = {
+    recurrence: { icon: Repeat, className: 'bg-indigo-50 text-indigo-600' },
+    deadline: { icon: CalendarIcon, className: 'bg-gray-100 text-gray-600' },
+    time: { icon: Clock, className: 'bg-gray-100 text-gray-600' },
+    category: { icon: null, className: 'bg-pink-50 text-pink-600' },
+    priority: { icon: null, className: 'bg-yellow-50 text-yellow-700' },
+};
+
+const QuickAdd = ({ addTask }) => {
+    const [text, setText] = useState('');
+    const parsed = useMemo(() => parseQuickAdd(text), [text]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!parsed.name) return;
+        addTask(quickAddToTask(parsed));
+        setText('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mb-6 bg-white p-4 rounded-xl shadow-lg">
+            <div className="flex gap-3">
+                <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder='Tambah cepat, mis. "Revisi bab 2 besok jam 9 #Kuliah !penting"'
+                    aria-label="Tambah tugas cepat"
+                    className="flex-1 p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
+                />
+                <button
+                    type="submit"
+                    disabled={!parsed.name}
+                    className="py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                >
+                    Tambah
+                </button>
+            </div>
+            {text.trim() && (
+                <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+                    <span className="font-semibold text-indigo-800">{parsed.name || <span className="italic text-gray-400">Nama tugas kosong</span>}</span>
+                    {parsed.chips.map(chip => {
+                        const { icon: Icon, className } = quickAddChipStyles[chip.type];
+                        return (
+                            <span key={chip.type} className={`flex items-center px-2 py-1 rounded-full font-medium ${className}`}>
+                                {Icon && <Icon size={12} className="mr-1" />} {chip.label}
+                            </span>
+                        );
+                    })}
+                </div>
+            )}
+            <p className="mt-2 text-xs text-gray-400">Tanggal (besok, Jumat, 25/12), jam (jam 9, 3pm), pengulangan (tiap Senin), #kategori dan !penting / !mendesak dikenali otomatis.</p>
+        </form>
+    );
+};
+
+// Component for Task Manager (C)
+const TaskManager = ({ tasks, addTask, updateTask, deleteTask, boards, saveBoard, syncStatus = {} }) => {
+    const route = useRoute();
+    const [deleteModal, setDeleteModal] = useState(null);
+    const [completePrompt, setCompletePrompt] = useState(null);
+    const [view, setView] = useRouteQuery('view', loadTaskView());
+
+    const handleViewChange = (next) => {
+        setView(next);
+        localStorage.setItem('taskView', next);
+    };
+
+    // The edit modal is a deep link: #/tasks/<taskId>, or #/tasks/new for a new task.
+    // It opens once the task has loaded.
+    const editingTask = route.id ? tasks.find(t => t.id === route.id) || null : null;
+    const isModalOpen = route.id === 'new' || !!editingTask;
+
+    const handleOpenModal = (task = null) => {
+        router.navigate({ page: 'tasks', id: task ? task.id : 'new', query: route.query });
+    };
+
+    const closeModal = () => router.back({ page: 'tasks', query: route.query });
+
+    const [seriesEdit, setSeriesEdit] = useState(null);
+
+    const handleSave = (data) => {
+        if (editingTask?.seriesId) {
+            // Recurring task: ask whether the change applies to this occurrence only or to the rest of the series
+            setSeriesEdit({ task: editingTask, data });
+        } else if (editingTask) {
+            updateTask(editingTask.id, data);
+        } else {
+            addTask(data);
+        }
+        closeModal();
+    };
+
+    const applySeriesEdit = (scope) => {
+        const { task, data } = seriesEdit;
+        if (scope === 'this') {
+            // Schedule changes only make sense for the series, so this occurrence keeps its rule.
+            // The series' values are kept aside so the next occurrence is not copied from this edit.
+            updateTask(task.id, { ...data, recurrence: task.recurrence, seriesId: task.seriesId, seriesTemplate: getSeriesTemplate(task) });
+        } else {
+            // The open occurrence is the series (see src/lib/recurrence.js): the edit becomes its new template
+            updateTask(task.id, { ...data, seriesTemplate: null });
+            const { name, category, priority, dueTime, recurrence, seriesId, reminderOffsets } = data;
+            getFutureOccurrences(tasks, task).forEach(t => updateTask(t.id, { name, category, priority, dueTime, recurrence, seriesId, reminderOffsets }));
+        }
+        setSeriesEdit(null);
+    };
+
+    const toggleCompletion = (task) => {
+        updateTask(task.id, getCompletionUpdate(!task.completed));
+    };
+
+    // Persist subtask edits from the card; offer to finish the parent once the last one is checked
+    const handleSubtasksChange = (task, subtasks) => {
+        updateTask(task.id, { subtasks });
+        const wasAllDone = (task.subtasks || []).length > 0 && task.subtasks.every(s => s.completed);
+        const isAllDone = subtasks.length > 0 && subtasks.every(s => s.completed);
+        if (!task.completed && !wasAllDone && isAllDone) {
+            setCompletePrompt(task);
+        }
+    };
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
+                <ListChecks className="mr-3" /> Task Manager
+            </h1>
+
+            <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
+                <button
+                    onClick={() => handleOpenModal()}
+                    className="flex items-center bg-pink-500 text-white py-3 px-6 rounded-xl font-bold shadow-lg shadow-pink-300/50 hover:bg-pink-600 transition transform hover:scale-[1.02]"
+                >
+                    <Plus size={20} className="mr-2" /> Tambah Tugas Baru
+                </button>
+                <div className="flex bg-white rounded-xl shadow p-1">
+                    {[{ value: 'list', label: 'Daftar', icon: List }, { value: 'matrix', label: 'Matriks', icon: LayoutGrid }, { value: 'kanban', label: 'Kanban', icon: Columns }].map(option => (
+                        <button
+                            key={option.value}
+                            onClick={() => handleViewChange(option.value)}
+                            className={`flex items-center py-2 px-4 rounded-lg text-sm font-semibold transition ${view === option.value ? 'bg-indigo-600 text-white' : 'text-indigo-600 hover:bg-indigo-50'}`}
+                        >
+                            <option.icon size={16} className="mr-2" /> {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <QuickAdd addTask={addTask} />
+
+            {view === 'kanban' ? (
+                <TaskKanban
+                    tasks={tasks}
+                    boards={boards}
+                    saveBoard={saveBoard}
+                    onMove={(task, status) => updateTask(task.id, getStatusUpdate(task, status))}
+                    onEdit={handleOpenModal}
+                />
+            ) : view === 'matrix' ? (
+                <TaskMatrix
+                    tasks={tasks}
+                    onMove={(task, priority) => updateTask(task.id, { priority })}
+                    onToggle={toggleCompletion}
+                    onEdit={handleOpenModal}
+                />
+            ) : (
+            <div className="space-y-4">
+                {tasks.length === 0 ? (
+                    <p className="text-gray-500 italic">Belum ada tugas. Mari tambahkan tugas pertamamu!</p>
+                ) : (
+                    tasks.map(task => (
+                        <div key={task.id} className={`bg-white p-4 rounded-xl shadow-lg border-l-4 ${task.completed ? 'border-green-500 opacity-70' : 'border-indigo-500'} transition hover:shadow-xl`}>
+                            <div className="flex items-start justify-between">
+                                <div className="flex items-start flex-1 min-w-0">
+                                    <button onClick={() => toggleCompletion(task)} className="p-1 mr-3 mt-1">
+                                        {task.completed ? (
+                                            <CheckCircle className="text-green-500" size={24} fill="currentColor" />
+                                        ) : (
+                                            <div className="w-6 h-6 border-2 border-indigo-400 rounded-full"></div>
+                                        )}
+                                    </button>
+                                    <div className="min-w-0 flex-1">
+                                        <h3 className={`text-lg font-semibold ${task.completed ? 'line-through text-gray-500' : 'text-indigo-800'}`}>{task.name}</h3>
+                                        <p className="text-sm text-gray-600 truncate">Kategori: <span className="font-medium text-indigo-600">{task.category}</span></p>
+                                        <div className="flex flex-wrap items-center mt-2 space-x-2 text-xs">
+                                            <span className={`px-2 py-1 rounded-full border font-medium ${getPriorityStyle(task.priority)}`}>
+                                                {(task.priority || '').split(' - ')[0] || '-'}
+                                            </span>
+                                            <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-600 font-medium">
+                                                Deadline: {task.deadline}{task.dueTime && `, ${task.dueTime}`}
+                                            </span>
+                                            <SyncBadge status={syncStatus[task.id]} />
+                                            {task.recurrence && (
+                                                <span className="flex items-center px-2 py-1 rounded-full bg-indigo-50 text-indigo-600 font-medium">
+                                                    <Repeat size={12} className="mr-1" /> {describeRule(task.recurrence)}
+                                                </span>
+                                            )}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="flex space-x-2 ml-4">
+                                    <button
+                                        onClick={() => handleOpenModal(task)}
+                                        className="p-2 text-blue-500 hover:bg-blue-50 rounded-full transition"
+                                        title="Edit Tugas"
+                                    >
+                                        <Edit size={18} />
+                                    </button>
+                                    <button
+                                        onClick={() => setDeleteModal(task)}
+                                        className="p-2 text-red-500 hover:bg-red-50 rounded-full transition"
+                                        title="Hapus Tugas"
+                                    >
+                                        <Trash2 size={18} />
+                                    </button>
+                                </div>
+                            </div>
+                            {/* Subtask Section */}
+                            <div className="mt-3 pt-3 border-t border-gray-100 pl-9">
+                                <div className="flex items-center justify-between mb-1">
+                                    <p className="text-sm font-medium text-indigo-600">Subtasks ({(task.subtasks || []).filter(s => s.completed).length}/{(task.subtasks || []).length})</p>
+                                    <span className="text-xs font-semibold text-gray-500">{getTaskProgress(task)}%</span>
+                                </div>
+                                <div className="h-1.5 bg-gray-200 rounded-full mb-2">
+                                    <div
+                                        className="h-full bg-indigo-500 rounded-full transition-all duration-500"
+                                        style={{ width: `${getTaskProgress(task)}%` }}
+                                    ></div>
+                                </div>
+                                <SubtaskList
+                                    compact
+                                    subtasks={task.subtasks || []}
+                                    onChange={(next) => handleSubtasksChange(task, next)}
+                                />
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+            )}
+
+            <Modal
+                isOpen={isModalOpen}
+                title={editingTask ? "Edit Tugas" : "Tambah Tugas Baru"}
+                onClose={closeModal}
+            >
+                <ActionForm
+                    type="task"
+                    initialData={editingTask || {}}
+                    onSubmit={handleSave}
+                    onCancel={closeModal}
+                />
+            </Modal>
+
+            <Modal
+                isOpen={!!deleteModal}
+                title="Konfirmasi Hapus"
+                onClose={() => setDeleteModal(null)}
+                footer={
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            onClick={() => setDeleteModal(null)}
+                            className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                        >
+                            Batal
+                        </button>
+                        <button
+                            onClick={() => { deleteTask(deleteModal.id); setDeleteModal(null); }}
+                            className="py-2 px-4 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition"
+                        >
+                            Hapus Permanen
+                        </button>
+                    </div>
+                }
+            >
+                <p>Apakah Anda yakin ingin menghapus tugas **{deleteModal?.name}**?</p>
+            </Modal>
+
+            <Modal
+                isOpen={!!completePrompt}
+                title="Semua Subtask Selesai 🎉"
+                onClose={() => setCompletePrompt(null)}
+                footer={
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            onClick={() => setCompletePrompt(null)}
+                            className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                        >
+                            Nanti Saja
+                        </button>
+                        <button
+                            onClick={() => { updateTask(completePrompt.id, getCompletionUpdate(true)); setCompletePrompt(null); }}
+                            className="py-2 px-4 bg-green-500 text-white font-semibold rounded-lg hover:bg-green-600 transition"
+                        >
+                            Tandai Tugas Selesai
+                        </button>
+                    </div>
+                }
+            >
+                <p>Semua subtask untuk **{completePrompt?.name}** sudah dicentang. Tandai tugas ini sebagai selesai?</p>
+            </Modal>
+
+            <Modal
+                isOpen={!!seriesEdit}
+                title="Ubah Tugas Berulang"
+                onClose={() => setSeriesEdit(null)}
+                footer={
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            onClick={() => applySeriesEdit('this')}
+                            className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                        >
+                            Hanya yang ini
+                        </button>
+                        <button
+                            onClick={() => applySeriesEdit('future')}
+                            className="py-2 px-4 bg-indigo-500 text-white font-semibold rounded-lg hover:bg-indigo-600 transition"
+                        >
+                            Ini & semua berikutnya
+                        </button>
+                    </div>
+                }
+            >
+                <p>**{seriesEdit?.task.name}** adalah tugas berulang. Terapkan perubahan hanya ke kejadian ini, atau juga ke semua kejadian berikutnya? Perubahan jadwal pengulangan hanya berlaku untuk pilihan kedua.</p>
+            </Modal>
+        </div>
+    );
+};
+
+// Component for Habit Tracker (D)
+const HabitTracker = ({ habits, addHabit, updateHabit, deleteHabit, syncStatus = {} }) => {
+    const route = useRoute();
+    const [deleteModal, setDeleteModal] = useState(null);
+    const today = toDateKey();
+    const recentDays = lastNDays(today, 7);
+
+    // Edit modal deep link: #/habits/<habitId> or #/habits/new
+    const editingHabit = route.id ? habits.find(h => h.id === route.id) || null : null;
+    const isModalOpen = route.id === 'new' || !!editingHabit;
+
+    const handleOpenModal = (habit = null) => router.navigate({ page: 'habits', id: habit ? habit.id : 'new' });
+    const closeModal = () => router.back({ page: 'habits' });
+
+    const handleSave = (data) => {
+        if (editingHabit) {
+            updateHabit(editingHabit.id, data);
+        } else {
+            // New habit starts with an empty check-in log
+            addHabit({ ...data, checkIns: [] });
+        }
+        closeModal();
+    };
+
+    // Check or uncheck any day; streaks are always re-derived from the log
+    const toggleHabit = (habit, dateKey = today) => {
+        const checkIns = toggleCheckIn(getCheckIns(habit), dateKey);
+        updateHabit(habit.id, { checkIns });
+    };
+
+    const getBadge = (streak) => {
+        if (streak >= 30) return <span className="text-2xl">👑</span>;
+        if (streak >= 7) return <span className="text-xl">⭐</span>;
+        if (streak >= 3) return <span className="text-xl">🔥</span>;
+        return <span className="text-xl">🌱</span>;
+    };
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
+                <Target className="mr-3" /> Habit Tracker
+            </h1>
+
+            <button
+                onClick={() => handleOpenModal()}
+                className="mb-6 flex items-center bg-green-500 text-white py-3 px-6 rounded-xl font-bold shadow-lg shadow-green-300/50 hover:bg-green-600 transition transform hover:scale-[1.02]"
+            >
+                <Plus size={20} className="mr-2" /> Tambah Kebiasaan Baru
+            </button>
+
+            <div className="space-y-4">
+                {habits.length === 0 ? (
+                    <p className="text-gray-500 italic">Belum ada kebiasaan yang dilacak.</p>
+                ) : (
+                    habits.map(habit => {
+                        const checkIns = getCheckIns(habit);
+                        const checkedToday = isCheckedOn(checkIns, today);
+                        const { current, longest } = computeStreaks(checkIns, habit.target, today);
+                        return (
+                            <div key={habit.id} className={`bg-white p-4 rounded-xl shadow-lg border-l-4 ${checkedToday ? 'border-amber-500' : 'border-indigo-500'} transition hover:shadow-xl`}>
+                                <div className="flex items-center justify-between">
+                                    <div className="flex items-center flex-1 min-w-0">
+                                        <button onClick={() => toggleHabit(habit)} className="p-1 mr-3">
+                                            {checkedToday ? (
+                                                <Flame className="text-amber-500" size={28} fill="currentColor" />
+                                            ) : (
+                                                <div className="w-7 h-7 border-2 border-indigo-400 rounded-full"></div>
+                                            )}
+                                        </button>
+                                        <div className="min-w-0 flex-1">
+                                            <h3 className={`text-xl font-semibold ${checkedToday ? 'text-amber-700' : 'text-indigo-800'}`}>{habit.name}</h3>
+                                            <p className="text-sm text-gray-600">Target: {countInWeek(checkIns, today)}/{habit.target}x minggu ini · Terlama: {longest} hari</p>
+                                        </div>
+                                    </div>
+                                    <div className="flex items-center space-x-4">
+                                        <SyncBadge status={syncStatus[habit.id]} />
+                                        <div className="flex items-center text-lg font-bold text-gray-700 bg-gray-100 px-3 py-1 rounded-full">
+                                            {getBadge(current)}
+                                            <span className="ml-2">{current}</span>
+                                            <span className="ml-1 text-sm font-medium text-gray-500">hari</span>
+                                        </div>
+                                        <button
+                                            onClick={() => handleOpenModal(habit)}
+                                            className="p-2 text-blue-500 hover:bg-blue-50 rounded-full transition"
+                                            title="Edit Kebiasaan"
+                                        >
+                                            <Edit size={18} />
+                                        </button>
+                                        <button
+                                            onClick={() => setDeleteModal(habit)}
+                                            className="p-2 text-red-500 hover:bg-red-50 rounded-full transition"
+                                            title="Hapus Kebiasaan"
+                                        >
+                                            <Trash2 size={18} />
+                                        </button>
+                                    </div>
+                                </div>
+                                {/* Last 7 days: click to fix a forgotten or mistaken check-in */}
+                                <div className="flex items-center mt-3 pt-3 border-t border-gray-100 pl-11 space-x-2">
+                                    {recentDays.map(day => {
+                                        const isChecked = isCheckedOn(checkIns, day);
+                                        return (
+                                            <button
+                                                key={day}
+                                                onClick={() => toggleHabit(habit, day)}
+                                                className={`flex flex-col items-center w-9 py-1 rounded-lg text-xs font-semibold transition ${isChecked ? 'bg-amber-100 text-amber-700' : 'bg-gray-100 text-gray-400 hover:bg-gray-200'} ${day === today ? 'ring-2 ring-indigo-300' : ''}`}
+                                                title={isChecked ? `Batalkan check-in ${day}` : `Check-in ${day}`}
+                                            >
+                                                <span>{fromDateKey(day).toLocaleDateString('id-ID', { weekday: 'narrow' })}</span>
+                                                <span>{fromDateKey(day).getDate()}</span>
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+
+            <Modal
+                isOpen={isModalOpen}
+                title={editingHabit ? "Edit Kebiasaan" : "Tambah Kebiasaan Baru"}
+                onClose={closeModal}
+            >
+                <ActionForm
+                    type="habit"
+                    initialData={editingHabit || {}}
+                    onSubmit={handleSave}
+                    onCancel={closeModal}
+                />
+            </Modal>
+
+            <Modal
+                isOpen={!!deleteModal}
+                title="Konfirmasi Hapus"
+                onClose={() => setDeleteModal(null)}
+                footer={
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            onClick={() => setDeleteModal(null)}
+                            className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                        >
+                            Batal
+                        </button>
+                        <button
+                            onClick={() => { deleteHabit(deleteModal.id); setDeleteModal(null); }}
+                            className="py-2 px-4 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition"
+                        >
+                            Hapus Permanen
+                        </button>
+                    </div>
+                }
+            >
+                <p>Apakah Anda yakin ingin menghapus kebiasaan **{deleteModal?.name}**?</p>
+            </Modal>
+        </div>
+    );
+};
+
+// Component for Daily Routine (B)
+const routineIcons = { sun: Sun, coffee: Coffee, trending: TrendingUp, moon: Moon, brain: Brain, clock: Clock };
+
+// Share of a block's current activities that were checked in a day's log (0..1), or null if the block is empty
+const getRoutineCompletion = (block, log) => {
+    const activities = block.activities || [];
+    if (activities.length === 0) return null;
+    const checked = log?.checked?.[block.id] || [];
+    return activities.filter(a => checked.includes(a.id)).length / activities.length;
+};
+
+// Routine block running at `minutes` past midnight, or else the next one starting later today
+const getCurrentRoutineBlock = (blocks, minutes) => {
+    const sorted = [...blocks].sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+    const current = sorted.find(block => timeToMinutes(block.startTime) <= minutes && minutes < timeToMinutes(block.endTime));
+    if (current) return { block: current, isCurrent: true };
+    const upcoming = sorted.find(block => timeToMinutes(block.startTime) > minutes);
+    return upcoming ? { block: upcoming, isCurrent: false } : null;
+};
+
+const DailyRoutine = ({ routines, routineLogs, addRoutine, updateRoutine, deleteRoutine, saveRoutineLog }) => {
+    const todayKey = toDateKey();
+    const [selectedDate, setSelectedDate] = useRouteDate('routine', todayKey);
+    const [isEditing, setIsEditing] = useState(false);
+    const [deleteModal, setDeleteModal] = useState(null);
+    const [newActivityText, setNewActivityText] = useState({});
+
+    const blocks = useMemo(() => [...routines].sort((a, b) => (a.order ?? 0) - (b.order ?? 0)), [routines]);
+    const logsByDate = useMemo(() => Object.fromEntries(routineLogs.map(log => [log.id, log])), [routineLogs]);
+    const selectedLog = logsByDate[selectedDate];
+    const historyDays = useMemo(() => lastNDays(todayKey, 28), [todayKey]);
+
+    const handleCheck = (blockId, activityId) => {
+        const checked = { ...(selectedLog?.checked || {}) };
+        const current = checked[blockId] || [];
+        checked[blockId] = current.includes(activityId)
+            ? current.filter(id => id !== activityId)
+            : [...current, activityId];
+        saveRoutineLog(selectedDate, { date: selectedDate, checked, updatedAt: new Date().toISOString() });
+    };
+
+    // --- Block editing ---
+    const handleAddBlock = () => {
+        const lastOrder = blocks.length > 0 ? (blocks[blocks.length - 1].order ?? 0) : -1;
+        addRoutine({ category: 'BLOK BARU', startTime: '12:00', endTime: '13:00', icon: 'clock', order: lastOrder + 1, activities: [] });
+    };
+
+    const moveBlock = (index, direction) => {
+        const target = blocks[index + direction];
+        if (!target) return;
+        const block = blocks[index];
+        // Normalise orders to indexes first so swapping works even for legacy duplicates
+        updateRoutine(block.id, { order: index + direction });
+        updateRoutine(target.id, { order: index });
+    };
+
+    const updateActivities = (block, activities) => {
+        updateRoutine(block.id, { activities });
+    };
+
+    const moveActivity = (block, index, direction) => {
+        const activities = [...block.activities];
+        const targetIndex = index + direction;
+        if (targetIndex < 0 || targetIndex >= activities.length) return;
+        [activities[index], activities[targetIndex]] = [activities[targetIndex], activities[index]];
+        updateActivities(block, activities);
+    };
+
+    const handleAddActivity = (block) => {
+        const text = (newActivityText[block.id] || '').trim();
+        if (!text) return;
+        updateActivities(block, [...(block.activities || []), { id: crypto.randomUUID(), text }]);
+        setNewActivityText(prev => ({ ...prev, [block.id]: '' }));
+    };
+
+    const formatDateLabel = (key) => fromDateKey(key).toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+    const getHeatColor = (ratio) => {
+        if (ratio === null || ratio === undefined) return 'bg-gray-100';
+        if (ratio >= 1) return 'bg-green-500';
+        if (ratio >= 0.66) return 'bg-green-400';
+        if (ratio >= 0.33) return 'bg-green-200';
+        if (ratio > 0) return 'bg-green-100';
+        return 'bg-gray-200';
+    };
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
+                <Clock className="mr-3" /> Daily Routine
+            </h1>
+            <p className="text-gray-600 mb-6">Daftar kegiatan produktif dari bangun sampai tidur. *Checklist tersimpan per hari, jadi besok mulai dari awal lagi.</p>
+
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <div className="flex items-center space-x-2">
+                    <button onClick={() => setSelectedDate(addDays(selectedDate, -1))} className="p-2 bg-white rounded-full shadow hover:bg-indigo-50 transition" title="Hari Sebelumnya">
+                        <ChevronLeft size={18} />
+                    </button>
+                    <span className="font-semibold text-indigo-700">{formatDateLabel(selectedDate)}</span>
+                    <button
+                        onClick={() => setSelectedDate(addDays(selectedDate, 1))}
+                        disabled={selectedDate >= todayKey}
+                        className="p-2 bg-white rounded-full shadow hover:bg-indigo-50 transition disabled:opacity-40"
+                        title="Hari Berikutnya"
+                    >
+                        <ChevronRight size={18} />
+                    </button>
+                    {selectedDate !== todayKey && (
+                        <button onClick={() => setSelectedDate(todayKey)} className="text-sm text-indigo-600 font-semibold hover:text-indigo-800">Hari Ini</button>
+                    )}
+                </div>
+                <button
+                    onClick={() => setIsEditing(prev => !prev)}
+                    className={`flex items-center py-2 px-4 rounded-xl font-bold transition ${isEditing ? 'bg-indigo-500 text-white shadow-lg shadow-indigo-300/50' : 'bg-white text-indigo-600 shadow hover:bg-indigo-50'}`}
+                >
+                    <Edit size={16} className="mr-2" /> {isEditing ? 'Selesai Mengedit' : 'Edit Rutinitas'}
+                </button>
+            </div>
+
+            <div className="space-y-8">
+                {blocks.length === 0 && (
+                    <p className="text-gray-500 italic">Belum ada blok rutinitas. Tambahkan blok pertamamu!</p>
+                )}
+                {blocks.map((routine, rIndex) => {
+                    const Icon = routineIcons[routine.icon] || Clock;
+                    const checked = selectedLog?.checked?.[routine.id] || [];
+                    return (
+                        <div key={routine.id} className="bg-white p-5 rounded-2xl shadow-xl border-l-8 border-indigo-400">
+                            <div className="flex items-center space-x-3 mb-4">
+                                <span className="p-3 rounded-full bg-indigo-500 text-white shadow-md"><Icon size={20} /></span>
+                                {isEditing ? (
+                                    <div className="flex flex-wrap items-center gap-2 flex-1">
+                                        <input
+                                            type="text"
+                                            defaultValue={routine.category}
+                                            onBlur={(e) => e.target.value.trim() && updateRoutine(routine.id, { category: e.target.value.trim() })}
+                                            className="flex-1 min-w-[8rem] p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 font-bold text-indigo-700"
+                                        />
+                                        <input
+                                            type="time"
+                                            value={routine.startTime}
+                                            onChange={(e) => updateRoutine(routine.id, { startTime: e.target.value })}
+                                            className="p-2 border-2 border-indigo-200 rounded-lg"
+                                        />
+                                        <span className="text-gray-400">-</span>
+                                        <input
+                                            type="time"
+                                            value={routine.endTime}
+                                            onChange={(e) => updateRoutine(routine.id, { endTime: e.target.value })}
+                                            className="p-2 border-2 border-indigo-200 rounded-lg"
+                                        />
+                                        <button onClick={() => moveBlock(rIndex, -1)} disabled={rIndex === 0} className="p-2 text-gray-500 hover:bg-gray-100 rounded-full disabled:opacity-30" title="Naikkan Blok">
+                                            <ChevronUp size={18} />
+                                        </button>
+                                        <button onClick={() => moveBlock(rIndex, 1)} disabled={rIndex === blocks.length - 1} className="p-2 text-gray-500 hover:bg-gray-100 rounded-full disabled:opacity-30" title="Turunkan Blok">
+                                            <ChevronDown size={18} />
+                                        </button>
+                                        <button onClick={() => setDeleteModal(routine)} className="p-2 text-red-500 hover:bg-red-50 rounded-full transition" title="Hapus Blok">
+                                            <Trash2 size={18} />
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <div>
+                                        <h2 className="text-xl font-bold text-indigo-700">{routine.category} Routine</h2>
+                                        <p className="text-sm text-gray-500">{routine.startTime} - {routine.endTime}</p>
+                                    </div>
+                                )}
+                            </div>
+
+                            <ul className="space-y-3">
+                                {(routine.activities || []).map((activity, aIndex) => {
+                                    const isChecked = checked.includes(activity.id);
+                                    return (
+                                        <li key={activity.id} className="flex items-center">
+                                            {isEditing ? (
+                                                <>
+                                                    <input
+                                                        type="text"
+                                                        defaultValue={activity.text}
+                                                        onBlur={(e) => {
+                                                            const text = e.target.value.trim();
+                                                            if (text && text !== activity.text) {
+                                                                updateActivities(routine, routine.activities.map(a => a.id === activity.id ? { ...a, text } : a));
+                                                            }
+                                                        }}
+                                                        className="flex-1 p-2 border border-indigo-200 rounded-lg focus:border-indigo-500"
+                                                    />
+                                                    <button onClick={() => moveActivity(routine, aIndex, -1)} disabled={aIndex === 0} className="p-1 ml-2 text-gray-500 hover:bg-gray-100 rounded-full disabled:opacity-30" title="Naikkan">
+                                                        <ChevronUp size={16} />
+                                                    </button>
+                                                    <button onClick={() => moveActivity(routine, aIndex, 1)} disabled={aIndex === routine.activities.length - 1} className="p-1 text-gray-500 hover:bg-gray-100 rounded-full disabled:opacity-30" title="Turunkan">
+                                                        <ChevronDown size={16} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => updateActivities(routine, routine.activities.filter(a => a.id !== activity.id))}
+                                                        className="p-1 text-red-500 hover:bg-red-50 rounded-full transition"
+                                                        title="Hapus Kegiatan"
+                                                    >
+                                                        <Trash2 size={16} />
+                                                    </button>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleCheck(routine.id, activity.id)}
+                                                        className={`p-1 mr-3 rounded-full transition ${isChecked ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-400 hover:bg-gray-200'}`}
+                                                        title={isChecked ? "Tandai Belum Selesai" : "Tandai Selesai"}
+                                                    >
+                                                        <Check size={18} />
+                                                    </button>
+                                                    <span className={`text-base font-medium ${isChecked ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                                                        {activity.text}
+                                                    </span>
+                                                </>
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+
+                            {isEditing && (
+                                <div className="flex items-center mt-3">
+                                    <input
+                                        type="text"
+                                        value={newActivityText[routine.id] || ''}
+                                        onChange={(e) => setNewActivityText(prev => ({ ...prev, [routine.id]: e.target.value }))}
+                                        onKeyDown={(e) => e.key === 'Enter' && handleAddActivity(routine)}
+                                        placeholder="Tambah kegiatan..."
+                                        className="flex-1 p-2 border border-indigo-200 rounded-lg focus:border-indigo-500"
+                                    />
+                                    <button onClick={() => handleAddActivity(routine)} className="ml-2 p-2 bg-indigo-100 text-indigo-600 rounded-lg hover:bg-indigo-200 transition" title="Tambah Kegiatan">
+                                        <Plus size={16} />
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {isEditing && (
+                <button
+                    onClick={handleAddBlock}
+                    className="mt-6 flex items-center bg-pink-500 text-white py-3 px-6 rounded-xl font-bold shadow-lg shadow-pink-300/50 hover:bg-pink-600 transition transform hover:scale-[1.02]"
+                >
+                    <Plus size={20} className="mr-2" /> Tambah Blok Rutinitas
+                </button>
+            )}
+
+            {/* Riwayat konsistensi 4 minggu terakhir */}
+            {blocks.length > 0 && (
+                <div className="mt-10 bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-2xl font-extrabold text-indigo-800 mb-4 flex items-center">
+                        <History className="mr-2" /> Konsistensi 4 Minggu Terakhir
+                    </h2>
+                    <div className="space-y-4">
+                        {blocks.map(routine => {
+                            const ratios = historyDays.map(day => getRoutineCompletion(routine, logsByDate[day]));
+                            const tracked = ratios.filter(r => r !== null);
+                            const average = tracked.length > 0 ? Math.round((tracked.reduce((sum, r) => sum + r, 0) / tracked.length) * 100) : 0;
+                            return (
+                                <div key={routine.id} className="flex flex-wrap items-center gap-3">
+                                    <span className="w-28 text-sm font-bold text-indigo-700">{routine.category}</span>
+                                    <div className="grid grid-cols-[repeat(14,minmax(0,1fr))] md:grid-cols-[repeat(28,minmax(0,1fr))] gap-1 flex-1 min-w-[12rem]">
+                                        {historyDays.map((day, i) => (
+                                            <button
+                                                key={day}
+                                                onClick={() => setSelectedDate(day)}
+                                                className={`h-4 rounded-sm ${getHeatColor(ratios[i])} ${day === selectedDate ? 'ring-2 ring-indigo-500' : ''}`}
+                                                title={`${day}: ${ratios[i] === null ? '-' : Math.round(ratios[i] * 100) + '%'}`}
+                                            />
+                                        ))}
+                                    </div>
+                                    <span className="w-12 text-right text-sm font-semibold text-gray-600">{average}%</span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <Modal
+                isOpen={!!deleteModal}
+                title="Konfirmasi Hapus"
+                onClose={() => setDeleteModal(null)}
+                footer={
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            onClick={() => setDeleteModal(null)}
+                            className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                        >
+                            Batal
+                        </button>
+                        <button
+                            onClick={() => { deleteRoutine(deleteModal.id); setDeleteModal(null); }}
+                            className="py-2 px-4 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition"
+                        >
+                            Hapus Permanen
+                        </button>
+                    </div>
+                }
+            >
+                <p>Apakah Anda yakin ingin menghapus blok rutinitas **{deleteModal?.category}**?</p>
+            </Modal>
+        </div>
+    );
+};
+
+// Component for Dashboard (A)
+const Dashboard = ({ tasks, habits, focusSessions, reflections, routines, routineLogs }) => {
+    const today = toDateKey();
+    const now = new Date();
+    const todayFocusMinutes = focusSessions
+        .filter(session => session.date === today)
+        .reduce((sum, session) => sum + (session.durationMinutes || 0), 0);
+    const todayTasks = getTodayTasks(tasks, today);
+    const completedTasks = todayTasks.filter(t => t.completed).length;
+    const totalTasks = todayTasks.length;
+    const overdueTasks = todayTasks.filter(t => !t.completed && t.deadline < today).length;
+    const todayHabits = habits.filter(h => isCheckedOn(getCheckIns(h), today)).length;
+    const totalHabits = habits.length;
+
+    const top3Priorities = tasks
+        .filter(t => !t.completed)
+        .sort(compareByPriorityThenDeadline)
+        .slice(0, 3);
+
+    const longestStreak = habits.reduce((max, habit) => Math.max(max, computeStreaks(getCheckIns(habit), habit.target, today).longest), 0);
+
+    const todayReflection = reflections.find(entry => entry.id === today);
+    const todayMood = todayReflection?.mood ? moodOptions.find(option => option.value === todayReflection.mood) : null;
+
+    const nextRoutine = getCurrentRoutineBlock(routines, now.getHours() * 60 + now.getMinutes());
+    const todayRoutineLog = routineLogs.find(log => log.id === today);
+    const nextRoutineRemaining = nextRoutine
+        ? (nextRoutine.block.activities || []).filter(a => !(todayRoutineLog?.checked?.[nextRoutine.block.id] || []).includes(a.id))
+        : [];
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-8">Selamat Datang di Portal Produktifmu!</h1>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {/* 1. Progress To-Do Hari Ini */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-indigo-500 transform hover:scale-[1.01] transition">
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-xl font-bold text-indigo-600">Progress To-Do</h2>
+                        <ListChecks className="text-indigo-400" size={28} />
+                    </div>
+                    <p className="text-4xl font-extrabold mt-3 text-indigo-800">
+                        {completedTasks} / {totalTasks}
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">Tugas jatuh tempo hari ini selesai{overdueTasks > 0 && <span className="text-red-500 font-semibold"> · {overdueTasks} terlambat</span>}</p>
+                    <div className="h-2 bg-gray-200 rounded-full mt-4">
+                        <div
+                            className="h-full bg-indigo-500 rounded-full transition-all duration-500"
+                            style={{ width: `${totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0}%` }}
+                        ></div>
+                    </div>
+                </div>
+
+                {/* 2. Grafik Kebiasaan (Habits Streak) */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-pink-500 transform hover:scale-[1.01] transition">
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-xl font-bold text-pink-600">Kebiasaan Hari Ini</h2>
+                        <Flame className="text-pink-400" size={28} />
+                    </div>
+                    <p className="text-4xl font-extrabold mt-3 text-pink-800">
+                        {todayHabits} / {totalHabits}
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">Kebiasaan dicentang</p>
+                    <p className="text-xs font-semibold text-gray-700 mt-4">Streak Terlama: {longestStreak} hari 👑</p>
+                </div>
+
+                {/* 3. Jam Produktif */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-green-500 transform hover:scale-[1.01] transition">
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-xl font-bold text-green-600">Jam Produktif</h2>
+                        <Clock className="text-green-400" size={28} />
+                    </div>
+                    <p className="text-4xl font-extrabold mt-3 text-green-800">
+                        {formatHours(todayFocusMinutes)} Jam
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">Fokus Mode Selesai</p>
+                    <div className="flex items-center mt-4 text-sm font-medium text-gray-700">
+                        <CheckCircle size={16} className="mr-2 text-green-500" /> Waktu idealmu: 4 Jam
+                    </div>
+                </div>
+
+                {/* 4. Mood Tracking */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-yellow-500 transform hover:scale-[1.01] transition">
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-xl font-bold text-yellow-600">Mood Hari Ini</h2>
+                        <Brain className="text-yellow-400" size={28} />
+                    </div>
+                    <p className="text-5xl mt-2">{todayMood ? todayMood.value : '📝'}</p>
+                    <p className="text-lg font-semibold text-yellow-800 mt-2">{todayMood ? todayMood.label + '!' : 'Belum diisi'}</p>
+                    <p className="text-xs text-gray-500 mt-1">Dari Refleksi Harian</p>
+                </div>
+
+                {/* 5. Rutinitas Berikutnya */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-purple-500 transform hover:scale-[1.01] transition">
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-xl font-bold text-purple-600">{nextRoutine?.isCurrent ? 'Rutinitas Sekarang' : 'Rutinitas Berikutnya'}</h2>
+                        <Sun className="text-purple-400" size={28} />
+                    </div>
+                    {nextRoutine ? (
+                        <>
+                            <p className="text-3xl font-extrabold mt-3 text-purple-800">{nextRoutine.block.category}</p>
+                            <p className="text-sm text-gray-500 mt-1">{nextRoutine.block.startTime} - {nextRoutine.block.endTime}</p>
+                            <ul className="mt-3 text-sm text-gray-700 space-y-1">
+                                {nextRoutineRemaining.slice(0, 3).map(activity => (
+                                    <li key={activity.id} className="flex items-center"><Check size={14} className="mr-2 text-purple-400" /> {activity.text}</li>
+                                ))}
+                                {nextRoutineRemaining.length === 0 && <li className="text-green-600 font-medium">Semua kegiatan sudah dicentang 🎉</li>}
+                            </ul>
+                        </>
+                    ) : (
+                        <p className="text-lg font-semibold text-purple-800 mt-3">Tidak ada blok rutinitas lagi hari ini. Selamat istirahat!</p>
+                    )}
+                </div>
+            </div>
+
+            {/* Agenda 3 Prioritas Utama Hari Ini */}
+            <div className="mt-8 bg-white p-6 rounded-2xl shadow-2xl">
+                <h2 className="text-2xl font-extrabold text-indigo-800 mb-4 flex items-center">
+                    <Target className="mr-2 text-red-500" /> Top 3 Priorities ({today})
+                </h2>
+                <div className="space-y-3">
+                    {top3Priorities.length > 0 ? (
+                        top3Priorities.map((task, index) => (
+                            <div key={task.id} className="flex items-center p-3 bg-red-50 rounded-lg border-l-4 border-red-500">
+                                <span className="text-xl font-bold text-red-600 mr-3">{index + 1}.</span>
+                                <p className="text-lg text-gray-800 font-medium flex-1">{task.name}</p>
+                                <span className={`mr-2 px-2 py-0.5 rounded-full border text-xs font-medium ${getPriorityStyle(task.priority)}`}>{(task.priority || '').split(' - ')[0] || '-'}</span>
+                                <span className="text-sm text-gray-500 bg-white px-2 py-0.5 rounded-full shadow">Deadline: {task.deadline}</span>
+                            </div>
+                        ))
+                    ) : (
+                        <p className="text-gray-500 italic">Tidak ada prioritas utama yang harus diselesaikan hari ini. Waktunya santai atau cari tugas baru!</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Component for Focus Mode (F) - Pomodoro Timer
+const focusPhases = {
+    focus: { label: 'FOCUS', color: 'text-red-500', button: 'Focus Mode' },
+    shortBreak: { label: 'BREAK', color: 'text-green-500', button: 'Break Mode' },
+    longBreak: { label: 'LONG BREAK', color: 'text-blue-500', button: 'Long Break' },
+};
+
+const formatTime = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const FocusMode = ({ tasks, focusTimer }) => {
+    const [showSettings, setShowSettings] = useState(false);
+    const { timer, settings, remainingMs } = focusTimer;
+    const { phase, completedFocus } = timer;
+    const isActive = timer.status === 'running';
+
+    const totalSeconds = getPhaseMs(phase, settings) / 1000;
+    const time = Math.ceil(remainingMs / 1000);
+    const openTasks = tasks.filter(t => !t.completed);
+    const phaseInfo = focusPhases[phase];
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
+                <Brain className="mr-3" /> Focus Mode (Pomodoro)
+            </h1>
+
+            <div className="max-w-md mx-auto bg-white p-8 rounded-2xl shadow-2xl text-center">
+                <p className="text-xl font-semibold mb-2 text-gray-700">
+                    Mode Saat Ini: <span className={`font-extrabold ${phaseInfo.color}`}>{phaseInfo.label} ({Math.round(totalSeconds / 60)} Min)</span>
+                </p>
+                <p className="text-sm text-gray-500 mb-6">
+                    Siklus {(completedFocus % settings.cyclesBeforeLongBreak) + (phase === 'focus' ? 1 : 0)}/{settings.cyclesBeforeLongBreak} · {completedFocus} sesi fokus selesai
+                </p>
+
+                {/* Timer Display */}
+                <div className="relative inline-block">
+                    <svg className="w-64 h-64">
+                        <circle
+                            className="text-gray-200"
+                            strokeWidth="10"
+                            stroke="currentColor"
+                            fill="transparent"
+                            r="120"
+                            cx="128"
+                            cy="128"
+                        />
+                        <circle
+                            className={phaseInfo.color}
+                            strokeWidth="10"
+                            strokeDasharray={2 * Math.PI * 120}
+                            strokeDashoffset={(2 * Math.PI * 120) * (1 - (remainingMs / 1000 / totalSeconds))}
+                            strokeLinecap="round"
+                            stroke="currentColor"
+                            fill="transparent"
+                            r="120"
+                            cx="128"
+                            cy="128"
+                            style={{ transition: 'stroke-dashoffset 0.25s linear' }}
+                        />
+                    </svg>
+                    <div className="absolute inset-0 flex items-center justify-center">
+                        <span className="text-6xl font-black text-indigo-800">{formatTime(time)}</span>
+                    </div>
+                </div>
+
+
+                {/* Controls */}
+                <div className="flex justify-center space-x-4 mt-6">
+                    <button
+                        onClick={isActive ? focusTimer.pause : focusTimer.start}
+                        className={`py-3 px-8 text-white font-bold rounded-xl transition transform hover:scale-105 shadow-lg ${isActive ? 'bg-red-500 hover:bg-red-600 shadow-red-300/50' : 'bg-green-500 hover:bg-green-600 shadow-green-300/50'}`}
+                    >
+                        {isActive ? 'Pause' : 'Mulai'}
+                    </button>
+                    <button
+                        onClick={focusTimer.reset}
+                        className="py-3 px-8 bg-gray-200 text-gray-800 font-bold rounded-xl hover:bg-gray-300 transition transform hover:scale-105"
+                    >
+                        Reset
+                    </button>
+                </div>
+                <div className="flex justify-center space-x-4 mt-4">
+                    {Object.entries(focusPhases).filter(([id]) => id !== phase).map(([id, info]) => (
+                        <button
+                            key={id}
+                            onClick={() => focusTimer.switchPhase(id)}
+                            className="text-sm text-indigo-600 font-semibold hover:text-indigo-800 transition"
+                        >
+                            Switch ke {info.button}
+                        </button>
+                    ))}
+                </div>
+
+                {/* Pengaturan Siklus */}
+                <div className="mt-6 text-left">
+                    <button
+                        onClick={() => setShowSettings(prev => !prev)}
+                        className="flex items-center text-sm font-semibold text-gray-600 hover:text-indigo-700 transition"
+                    >
+                        <Settings size={16} className="mr-2" /> Pengaturan Siklus
+                    </button>
+                    {showSettings && (
+                        <div className="grid grid-cols-2 gap-3 mt-3">
+                            {[{ key: 'focusMinutes', label: 'Fokus (menit)' },
+                              { key: 'shortBreakMinutes', label: 'Istirahat (menit)' },
+                              { key: 'longBreakMinutes', label: 'Istirahat Panjang (menit)' },
+                              { key: 'cyclesBeforeLongBreak', label: 'Siklus sebelum istirahat panjang' }].map(field => (
+                                <label key={field.key} className="text-xs font-medium text-gray-500">
+                                    {field.label}
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={settings[field.key]}
+                                        onChange={(e) => focusTimer.updateSettings(field.key, e.target.value)}
+                                        className="w-full mt-1 p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 text-sm text-gray-800"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Notes and Music */}
+                <div className="mt-8 pt-6 border-t border-gray-100">
+                    <h3 className="text-lg font-bold text-indigo-700 mb-3">Catatan Sesi Fokus</h3>
+                    <select
+                        value={timer.taskId}
+                        onChange={(e) => focusTimer.setTaskId(e.target.value)}
+                        className="w-full p-3 mb-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm bg-white text-sm"
+                    >
+                        <option value="">Tanpa tugas terkait</option>
+                        {openTasks.map(task => (
+                            <option key={task.id} value={task.id}>{task.name}</option>
+                        ))}
+                    </select>
+                    <textarea
+                        className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm h-24"
+                        placeholder="Apa yang kamu kerjakan? Catatan hasil sesi..."
+                        value={timer.note}
+                        onChange={(e) => focusTimer.setNote(e.target.value)}
+                    ></textarea>
+
+                    <div className="mt-4 text-sm text-gray-600 flex items-center justify-center">
+                        <div className="p-2 bg-indigo-50 rounded-full mr-2">🎶</div> Musik Fokus/White Noise (Integrasi Mock)
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Component for Calendar (E)
+const HOUR_HEIGHT = 32; // px per hour in the week/day timelines
+
+const CalendarView = ({ tasks, habits, routines, addTask, updateTask }) => {
+    const todayKey = toDateKey();
+    const route = useRoute();
+    // View mode and visible period live in the URL (#/calendar?view=week&date=...),
+    // the day detail modal is a deep link of its own (#/calendar/<YYYY-MM-DD>)
+    const [viewParam, setView] = useRouteQuery('view', 'month');
+    const view = ['week', 'day'].includes(viewParam) ? viewParam : 'month';
+    const [cursorParam, setCursor] = useRouteQuery('date', todayKey);
+    const cursor = isDateKey(cursorParam) ? cursorParam : todayKey;
+    const selectedDay = isDateKey(route.id) ? route.id : null;
+    const setSelectedDay = (day) => {
+        if (day) router.navigate({ page: 'calendar', id: day, query: route.query });
+        else router.back({ page: 'calendar', query: route.query });
+    };
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [dropTarget, setDropTarget] = useState(null);
+
+    const tasksByDay = useMemo(() => {
+        const map = {};
+        tasks.filter(t => t.deadline).forEach(task => {
+            (map[task.deadline] = map[task.deadline] || []).push(task);
+        });
+        return map;
+    }, [tasks]);
+
+    const habitsByDay = useMemo(() => {
+        const map = {};
+        habits.forEach(habit => {
+            getCheckIns(habit).forEach(day => {
+                (map[day] = map[day] || []).push(habit);
+            });
+        });
+        return map;
+    }, [habits]);
+
+    const blocks = useMemo(() => [...routines].sort((a, b) => (a.order ?? 0) - (b.order ?? 0)), [routines]);
+
+    // --- iCalendar exchange ---
+    const [importPreview, setImportPreview] = useState(null);
+
+    const handleExportICS = () => {
+        downloadFile(`genz-planner-${todayKey}.ics`, serializeICS({ tasks, routines: blocks }), 'text/calendar;charset=utf-8');
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const knownUids = getKnownUids(tasks);
+        const events = parseICS(await file.text()).filter(event => event.date);
+        setImportPreview(events.map((event, index) => {
+            const isDuplicate = !!event.uid && knownUids.has(event.uid);
+            // Our own routine export comes back as recurring events; those are not tasks
+            const isRoutine = event.recurring && event.uid?.startsWith('routine-');
+            return { key: `${index}-${event.uid}`, event, isDuplicate, isRoutine, selected: !isDuplicate && !isRoutine };
+        }));
+    };
+
+    const handleConfirmImport = () => {
+        importPreview.filter(item => item.selected).forEach(item => addTask(icsEventToTask(item.event)));
+        setImportPreview(null);
+    };
+
+    const navigate = (direction) => {
+        if (view === 'month') setCursor(addMonths(cursor, direction));
+        else setCursor(addDays(cursor, direction * (view === 'week' ? 7 : 1)));
+    };
+
+    const periodLabel = () => {
+        const date = fromDateKey(cursor);
+        if (view === 'month') return date.toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+        if (view === 'day') return date.toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+        const start = getWeekStart(cursor);
+        const end = addDays(start, 6);
+        return `${fromDateKey(start).toLocaleDateString('id-ID', { day: 'numeric', month: 'short' })} – ${fromDateKey(end).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+    };
+
+    // --- Drag a task onto another day to move its deadline ---
+    const dropProps = (day) => ({
+        onDragOver: (e) => { e.preventDefault(); setDropTarget(day); },
+        onDragLeave: () => setDropTarget(prev => prev === day ? null : prev),
+        onDrop: (e) => {
+            e.preventDefault();
+            setDropTarget(null);
+            const taskId = e.dataTransfer.getData('text/plain');
+            const task = tasks.find(t => t.id === taskId);
+            if (task && task.deadline !== day) updateTask(task.id, { deadline: day });
+        },
+    });
+
+    const TaskChip = ({ task }) => (
+        <div
+            draggable
+            onDragStart={(e) => e.dataTransfer.setData('text/plain', task.id)}
+            onClick={(e) => e.stopPropagation()}
+            className={`truncate px-1.5 py-0.5 mb-0.5 rounded border text-xs font-medium cursor-grab ${task.completed ? 'bg-green-50 text-gray-400 line-through border-green-200' : getPriorityStyle(task.priority)}`}
+            title={`${task.name} (${task.category})`}
+        >
+            {task.name}
+        </div>
+    );
+
+    const HabitBadge = ({ day }) => {
+        const checked = habitsByDay[day] || [];
+        if (checked.length === 0) return null;
+        return (
+            <span className="text-xs font-semibold text-amber-600" title={checked.map(h => h.name).join(', ')}>
+                🔥 {checked.length}
+            </span>
+        );
+    };
+
+    const renderMonth = () => {
+        const days = getMonthGridDays(cursor);
+        const month = cursor.slice(0, 7);
+        return (
+            <>
+                <div className="grid grid-cols-7 gap-1 text-center font-bold text-sm">
+                    {['Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab', 'Min'].map(day => <div key={day} className="text-blue-600">{day}</div>)}
+                </div>
+                <div className="grid grid-cols-7 gap-1 mt-1">
+                    {days.map(day => {
+                        const dayTasks = tasksByDay[day] || [];
+                        return (
+                            <div
+                                key={day}
+                                onClick={() => setSelectedDay(day)}
+                                {...dropProps(day)}
+                                className={`min-h-[6rem] p-1 border rounded-lg text-left cursor-pointer transition hover:bg-blue-50 ${day.slice(0, 7) === month ? 'bg-white' : 'bg-gray-50 text-gray-400'} ${dropTarget === day ? 'ring-2 ring-blue-400' : ''}`}
+                            >
+                                <div className="flex items-center justify-between mb-1">
+                                    <span className={`text-xs font-bold w-6 h-6 flex items-center justify-center rounded-full ${day === todayKey ? 'bg-blue-500 text-white' : ''}`}>
+                                        {fromDateKey(day).getDate()}
+                                    </span>
+                                    <HabitBadge day={day} />
+                                </div>
+                                {dayTasks.slice(0, 3).map(task => <TaskChip key={task.id} task={task} />)}
+                                {dayTasks.length > 3 && <p className="text-xs text-gray-500">+{dayTasks.length - 3} lagi</p>}
+                            </div>
+                        );
+                    })}
+                </div>
+            </>
+        );
+    };
+
+    // Routine blocks placed on a 24h timeline, with the day's tasks on top as all-day items
+    const renderTimelineColumn = (day, wide = false) => (
+        <div key={day} className="flex-1 min-w-0" {...dropProps(day)}>
+            <button
+                onClick={() => setSelectedDay(day)}
+                className={`w-full text-center py-1 rounded-lg text-sm font-bold transition hover:bg-blue-50 ${day === todayKey ? 'text-blue-600' : 'text-gray-700'}`}
+            >
+                {fromDateKey(day).toLocaleDateString('id-ID', wide ? { weekday: 'long', day: 'numeric', month: 'long' } : { weekday: 'short', day: 'numeric' })}
+            </button>
+            <div className={`min-h-[2rem] p-1 mb-1 rounded-lg border ${dropTarget === day ? 'ring-2 ring-blue-400' : 'border-dashed'}`}>
+                {(tasksByDay[day] || []).map(task => <TaskChip key={task.id} task={task} />)}
+                <HabitBadge day={day} />
+            </div>
+            <div className="relative border-l border-gray-200" style={{ height: 24 * HOUR_HEIGHT }}>
+                {Array.from({ length: 24 }, (_, hour) => (
+                    <div key={hour} className="absolute left-0 right-0 border-t border-gray-100" style={{ top: hour * HOUR_HEIGHT }} />
+                ))}
+                {blocks.map(block => {
+                    const start = timeToMinutes(block.startTime);
+                    const end = Math.max(start + 15, timeToMinutes(block.endTime));
+                    return (
+                        <div
+                            key={block.id}
+                            className="absolute left-1 right-1 rounded-md bg-indigo-100 border-l-4 border-indigo-400 px-1 overflow-hidden text-xs text-indigo-800"
+                            style={{ top: (start / 60) * HOUR_HEIGHT, height: ((end - start) / 60) * HOUR_HEIGHT }}
+                            title={`${block.category} ${block.startTime} - ${block.endTime}`}
+                        >
+                            <span className="font-bold">{block.category}</span>
+                            {wide && <span className="ml-2 text-indigo-500">{block.startTime} - {block.endTime}</span>}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+
+    const renderTimeline = (days) => (
+        <div className="flex">
+            <div className="w-10 shrink-0 text-right pr-1 text-xs text-gray-400" style={{ paddingTop: '4.75rem' }}>
+                {Array.from({ length: 24 }, (_, hour) => (
+                    <div key={hour} style={{ height: HOUR_HEIGHT }}>{hour.toString().padStart(2, '0')}</div>
+                ))}
+            </div>
+            <div className="flex flex-1 gap-1 overflow-x-auto">
+                {days.map(day => renderTimelineColumn(day, days.length === 1))}
+            </div>
+        </div>
+    );
+
+    const selectedTasks = selectedDay ? (tasksByDay[selectedDay] || []) : [];
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center"><CalendarIcon className="mr-3" /> Kalender</h1>
+            <div className="bg-white p-6 rounded-xl shadow-xl border-l-4 border-blue-500">
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <div className="flex items-center space-x-2">
+                        <button onClick={() => navigate(-1)} className="p-2 rounded-full hover:bg-blue-50 transition" title="Sebelumnya">
+                            <ChevronLeft size={18} />
+                        </button>
+                        <button onClick={() => navigate(1)} className="p-2 rounded-full hover:bg-blue-50 transition" title="Berikutnya">
+                            <ChevronRight size={18} />
+                        </button>
+                        <button onClick={() => setCursor(todayKey)} className="py-1 px-3 text-sm font-semibold text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition">
+                            Hari Ini
+                        </button>
+                        <h2 className="text-lg font-bold text-indigo-700 capitalize ml-2">{periodLabel()}</h2>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                        <button onClick={handleExportICS} className="flex items-center py-1 px-3 text-sm font-semibold text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 transition" title="Ekspor tugas & rutinitas (.ics)">
+                            <Download size={16} className="mr-1" /> Ekspor .ics
+                        </button>
+                        <label className="flex items-center py-1 px-3 text-sm font-semibold text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 transition cursor-pointer" title="Impor tugas dari file .ics">
+                            <Upload size={16} className="mr-1" /> Impor .ics
+                            <input type="file" accept=".ics,text/calendar" onChange={handleImportFile} className="hidden" />
+                        </label>
+                    </div>
+                    <div className="flex bg-gray-100 rounded-lg p-1">
+                        {[{ id: 'month', label: 'Bulan' }, { id: 'week', label: 'Minggu' }, { id: 'day', label: 'Hari' }].map(option => (
+                            <button
+                                key={option.id}
+                                onClick={() => setView(option.id)}
+                                className={`py-1 px-3 text-sm font-semibold rounded-md transition ${view === option.id ? 'bg-white text-blue-600 shadow' : 'text-gray-500 hover:text-gray-700'}`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {view === 'month' && renderMonth()}
+                {view === 'week' && renderTimeline(Array.from({ length: 7 }, (_, i) => addDays(getWeekStart(cursor), i)))}
+                {view === 'day' && renderTimeline([cursor])}
+
+                <p className="mt-4 text-xs text-gray-500">Tip: seret tugas ke tanggal lain untuk mengubah deadline-nya.</p>
+            </div>
+
+            <Modal
+                isOpen={!!selectedDay && !isFormOpen}
+                title={selectedDay ? fromDateKey(selectedDay).toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) : ''}
+                onClose={() => setSelectedDay(null)}
+                footer={
+                    <div className="flex justify-between">
+                        <button
+                            onClick={() => router.navigate({ page: 'calendar', query: { ...route.query, view: 'day', date: selectedDay } }, { replace: true })}
+                            className="py-2 px-4 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 transition"
+                        >
+                            Buka Tampilan Harian
+                        </button>
+                        <button
+                            onClick={() => setIsFormOpen(true)}
+                            className="flex items-center py-2 px-4 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition"
+                        >
+                            <Plus size={16} className="mr-1" /> Tambah Tugas
+                        </button>
+                    </div>
+                }
+            >
+                {selectedTasks.length === 0 ? (
+                    <p className="text-gray-500 italic">Tidak ada deadline di tanggal ini.</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {selectedTasks.map(task => (
+                            <li key={task.id} className="flex items-center">
+                                <button onClick={() => updateTask(task.id, getCompletionUpdate(!task.completed))} className="p-1 mr-2">
+                                    {task.completed ? (
+                                        <CheckCircle className="text-green-500" size={20} fill="currentColor" />
+                                    ) : (
+                                        <div className="w-5 h-5 border-2 border-indigo-400 rounded-full"></div>
+                                    )}
+                                </button>
+                                <span className={`flex-1 ${task.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>{task.name}</span>
+                                <span className={`px-2 py-0.5 rounded-full border text-xs font-medium ${getPriorityStyle(task.priority)}`}>{task.category}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {(habitsByDay[selectedDay] || []).length > 0 && (
+                    <p className="mt-4 text-sm text-amber-700">🔥 Kebiasaan tercapai: {habitsByDay[selectedDay].map(h => h.name).join(', ')}</p>
+                )}
+            </Modal>
+
+            <Modal
+                isOpen={!!importPreview}
+                title="Pratinjau Impor Kalender"
+                onClose={() => setImportPreview(null)}
+                footer={
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            onClick={() => setImportPreview(null)}
+                            className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                        >
+                            Batal
+                        </button>
+                        <button
+                            onClick={handleConfirmImport}
+                            disabled={!importPreview?.some(item => item.selected)}
+                            className="py-2 px-4 bg-indigo-500 text-white font-semibold rounded-lg hover:bg-indigo-600 transition disabled:opacity-50"
+                        >
+                            Impor {importPreview?.filter(item => item.selected).length || 0} Tugas
+                        </button>
+                    </div>
+                }
+            >
+                {importPreview?.length === 0 ? (
+                    <p className="text-gray-500 italic">Tidak ada acara bertanggal di file ini.</p>
+                ) : (
+                    <ul className="space-y-2 max-h-80 overflow-y-auto">
+                        {importPreview?.map(item => (
+                            <li key={item.key} className="flex items-center">
+                                <input
+                                    type="checkbox"
+                                    checked={item.selected}
+                                    onChange={() => setImportPreview(prev => prev.map(p => p.key === item.key ? { ...p, selected: !p.selected } : p))}
+                                    className="h-4 w-4 mr-3"
+                                />
+                                <span className="flex-1 min-w-0 truncate text-gray-800">{item.event.summary || '(Tanpa judul)'}</span>
+                                <span className="text-xs text-gray-500 ml-2">{item.event.date}</span>
+                                {item.isDuplicate && <span className="ml-2 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-700 text-xs font-medium">Duplikat</span>}
+                                {item.isRoutine && <span className="ml-2 px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700 text-xs font-medium">Rutinitas</span>}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </Modal>
+
+            <Modal
+                isOpen={isFormOpen}
+                title="Tambah Tugas Baru"
+                onClose={() => setIsFormOpen(false)}
+            >
+                <ActionForm
+                    type="task"
+                    initialData={{ deadline: selectedDay }}
+                    onSubmit={(data) => { addTask(data); setIsFormOpen(false); }}
+                    onCancel={() => setIsFormOpen(false)}
+                />
+            </Modal>
+        </div>
+    );
+};
+
+// Placeholder components for other pages (G, H, I)
+const moodOptions = [
+    { value: '😊', label: 'Semangat' },
+    { value: '😐', label: 'Biasa Saja' },
+    { value: '😭', label: 'Sedih/Lelah' },
+    { value: '🥳', label: 'Luar Biasa' },
+];
+
+// Reflections written by app.js only carry a single `content` string; show it as the achievement
+const getReflectionFields = (entry = {}) => ({
+    mood: entry.mood || '😊',
+    achievement: entry.achievement ?? entry.content ?? '',
+    challenge: entry.challenge || '',
+    improvement: entry.improvement || '',
+});
+
+// Editor for a single day; remounted (via key) whenever another day is selected
+const ReflectionEditor = ({ date, entry, onSave }) => {
+    const initial = getReflectionFields(entry);
+    const [mood, setMood] = useState(initial.mood);
+    const [achievement, setAchievement] = useState(initial.achievement);
+    const [challenge, setChallenge] = useState(initial.challenge);
+    const [improvement, setImprovement] = useState(initial.improvement);
+    const [saveStatus, setSaveStatus] = useState(null);
+    const statusTimeout = useRef(null);
+
+    useEffect(() => () => clearTimeout(statusTimeout.current), []);
+
+    const showStatus = (status) => {
+        setSaveStatus(status);
+        clearTimeout(statusTimeout.current);
+        statusTimeout.current = setTimeout(() => setSaveStatus(null), 3000);
+    };
+
+    // The local copy is written right away, but the promise only settles once the server has
+    // confirmed it (never, while offline): report success now and let a failure replace it
+    const handleSave = () => {
+        onSave(date, {
+            date,
+            mood,
+            achievement,
+            challenge,
+            improvement,
+            // Plain-text summary kept for app.js, which only reads `content`
+            content: [achievement, challenge, improvement].filter(Boolean).join('\n\n'),
+            updatedAt: new Date().toISOString(),
+        }).catch(e => {
+            console.error("Error saving reflection:", e);
+            showStatus('Gagal menyimpan.');
+        });
+        showStatus('Tersimpan!');
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center space-x-4">
+                <label className="text-xl font-semibold text-indigo-600">Mood Hari Ini?</label>
+                <select
+                    value={mood}
+                    onChange={(e) => setMood(e.target.value)}
+                    className="text-4xl p-2 bg-gray-100 rounded-xl"
+                >
+                    {moodOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.value} {option.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Question Blocks */}
+            <div className="space-y-4">
+                {[{ title: 'Apa pencapaian hari ini?', value: achievement, setter: setAchievement },
+                  { title: 'Apa tantangan hari ini?', value: challenge, setter: setChallenge },
+                  { title: 'Apa yang perlu diperbaiki?', value: improvement, setter: setImprovement }].map((item, index) => (
+                    <div key={index} className="border-l-4 border-pink-400 pl-4 py-2 bg-pink-50 rounded-lg">
+                        <label className="block text-lg font-semibold text-pink-700 mb-2">{item.title}</label>
+                        <textarea
+                            className="w-full p-3 border border-pink-200 rounded-lg focus:border-pink-500 transition shadow-sm h-20"
+                            value={item.value}
+                            onChange={(e) => item.setter(e.target.value)}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex items-center space-x-4">
+                <button
+                    onClick={handleSave}
+                    className="flex-1 py-3 text-white font-bold rounded-xl transition shadow-lg shadow-indigo-300/50 bg-indigo-500 hover:bg-indigo-600"
+                >
+                    Simpan Refleksi
+                </button>
+                {saveStatus && <span className={`text-sm font-semibold ${saveStatus === 'Tersimpan!' ? 'text-green-500' : 'text-red-500'}`}>{saveStatus}</span>}
+            </div>
+        </div>
+    );
+};
+
+const ReflectionPage = ({ reflections, isLoading, saveReflection }) => {
+    const todayKey = toDateKey();
+    // A day's reflection is a deep link (#/reflection/<YYYY-MM-DD>); search and mood filter stay in the query
+    const [selectedDate, setSelectedDate] = useRouteDate('reflection', todayKey);
+    const [searchQuery, setSearchQuery] = useRouteQuery('q', '');
+    const [moodFilter, setMoodFilter] = useRouteQuery('mood', null);
+
+    const entriesByDate = useMemo(() => Object.fromEntries(reflections.map(entry => [entry.id, entry])), [reflections]);
+
+    const timeline = useMemo(() => {
+        const terms = searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+        return reflections
+            .map(entry => ({ ...entry, ...getReflectionFields(entry) }))
+            .filter(entry => !moodFilter || entry.mood === moodFilter)
+            .filter(entry => {
+                if (terms.length === 0) return true;
+                const haystack = [entry.achievement, entry.challenge, entry.improvement].join(' ').toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort((a, b) => b.id.localeCompare(a.id));
+    }, [reflections, searchQuery, moodFilter]);
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center"><CheckCircle className="mr-3" /> Reflection Page (Refleksi Harian)</h1>
+            <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+                <div className="lg:col-span-3 bg-white p-8 rounded-2xl shadow-2xl space-y-6">
+                    <div className="flex flex-wrap items-center justify-between gap-3 border-b pb-3">
+                        <p className="text-lg font-bold text-gray-700">Refleksi untuk {fromDateKey(selectedDate).toLocaleDateString('id-ID', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
+                        <input
+                            type="date"
+                            value={selectedDate}
+                            max={todayKey}
+                            onChange={(e) => e.target.value && setSelectedDate(e.target.value)}
+                            className="p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 text-sm"
+                        />
+                    </div>
+                    {/* The editor copies the entry once, so it waits for the stored reflections */}
+                    {isLoading ? (
+                        <p className="text-gray-500">Memuat refleksi...</p>
+                    ) : (
+                        <ReflectionEditor
+                            key={selectedDate}
+                            date={selectedDate}
+                            entry={entriesByDate[selectedDate]}
+                            onSave={saveReflection}
+                        />
+                    )}
+                </div>
+
+                {/* Timeline refleksi sebelumnya */}
+                <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-xl font-extrabold text-indigo-800 mb-4 flex items-center"><History className="mr-2" size={20} /> Riwayat Refleksi</h2>
+                    <div className="relative mb-3">
+                        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                        <input
+                            type="text"
+                            value={searchQuery}
+                            onChange={(e) => setSearchQuery(e.target.value)}
+                            placeholder="Cari di semua refleksi..."
+                            className="w-full pl-9 p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 text-sm"
+                        />
+                    </div>
+                    <div className="flex flex-wrap gap-2 mb-4">
+                        <button
+                            onClick={() => setMoodFilter(null)}
+                            className={`py-1 px-3 rounded-full text-sm font-semibold transition ${!moodFilter ? 'bg-indigo-500 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                        >
+                            Semua
+                        </button>
+                        {moodOptions.map(option => (
+                            <button
+                                key={option.value}
+                                onClick={() => setMoodFilter(moodFilter === option.value ? null : option.value)}
+                                className={`py-1 px-2 rounded-full text-lg transition ${moodFilter === option.value ? 'bg-indigo-100 ring-2 ring-indigo-400' : 'bg-gray-100 hover:bg-gray-200'}`}
+                                title={option.label}
+                            >
+                                {option.value}
+                            </button>
+                        ))}
+                    </div>
+                    <ul className="space-y-3 max-h-[32rem] overflow-y-auto">
+                        {timeline.length === 0 && (
+                            <p className="text-gray-500 italic text-sm">{reflections.length === 0 ? 'Belum ada refleksi tersimpan.' : 'Tidak ada refleksi yang cocok.'}</p>
+                        )}
+                        {timeline.map(entry => (
+                            <li key={entry.id}>
+                                <button
+                                    onClick={() => setSelectedDate(entry.id)}
+                                    className={`w-full text-left p-3 rounded-lg border-l-4 transition ${entry.id === selectedDate ? 'border-indigo-500 bg-indigo-50' : 'border-pink-300 bg-gray-50 hover:bg-pink-50'}`}
+                                >
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-sm font-bold text-indigo-700">{fromDateKey(entry.id).toLocaleDateString('id-ID', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}</span>
+                                        <span className="text-xl">{entry.mood}</span>
+                                    </div>
+                                    <p className="text-sm text-gray-600 line-clamp-2">{entry.achievement || entry.challenge || entry.improvement || '—'}</p>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Component for Adding/Editing Books
+const BookForm = ({ initialData = {}, onSubmit, onCancel }) => {
+    const [title, setTitle] = useState(initialData.title || '');
+    const [author, setAuthor] = useState(initialData.author || '');
+    const [totalPages, setTotalPages] = useState(initialData.totalPages || 100);
+    const [currentPage, setCurrentPage] = useState(initialData.currentPage || 0);
+    const [status, setStatus] = useState(initialData.status || 'to-read');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit({
+            title,
+            author,
+            totalPages,
+            currentPage: Math.min(currentPage, totalPages),
+            status,
+            highlights: initialData.highlights || [],
+            reflections: initialData.reflections || [],
+            sessions: initialData.sessions || [],
+        });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="Judul Buku"
+                required
+                className="w-full p-3 border-2 border-amber-200 rounded-lg focus:border-amber-500 transition shadow-sm"
+            />
+            <input
+                type="text"
+                value={author}
+                onChange={(e) => setAuthor(e.target.value)}
+                placeholder="Penulis"
+                className="w-full p-3 border-2 border-amber-200 rounded-lg focus:border-amber-500 transition shadow-sm"
+            />
+            <div className="flex space-x-4">
+                <div className="flex-1">
+                    <label className="text-sm font-medium text-gray-500 block mb-1">Halaman Saat Ini</label>
+                    <input
+                        type="number"
+                        value={currentPage}
+                        onChange={(e) => setCurrentPage(Math.max(0, parseInt(e.target.value) || 0))}
+                        min="0"
+                        className="w-full p-3 border-2 border-amber-200 rounded-lg focus:border-amber-500 transition shadow-sm"
+                    />
+                </div>
+                <div className="flex-1">
+                    <label className="text-sm font-medium text-gray-500 block mb-1">Total Halaman</label>
+                    <input
+                        type="number"
+                        value={totalPages}
+                        onChange={(e) => setTotalPages(Math.max(1, parseInt(e.target.value) || 1))}
+                        min="1"
+                        className="w-full p-3 border-2 border-amber-200 rounded-lg focus:border-amber-500 transition shadow-sm"
+                    />
+                </div>
+            </div>
+            <div>
+                <label className="text-sm font-medium text-gray-500 block mb-1">Status</label>
+                <select
+                    value={status}
+                    onChange={(e) => setStatus(e.target.value)}
+                    className="w-full p-3 border-2 border-amber-200 rounded-lg focus:border-amber-500 transition shadow-sm bg-white"
+                >
+                    {bookStatuses.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                >
+                    Batal
+                </button>
+                <button
+                    type="submit"
+                    className="py-2 px-4 bg-amber-500 text-white font-semibold rounded-lg hover:bg-amber-600 transition shadow-md shadow-amber-300/50"
+                >
+                    {initialData.id ? 'Simpan Perubahan' : 'Tambah Buku'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// Highlights, reflections, reading sessions and progress history of one book
+const BookDetail = ({ book, updateBook }) => {
+    const todayKey = toDateKey();
+    const [sessionDate, setSessionDate] = useState(todayKey);
+    const [sessionPage, setSessionPage] = useState(book.currentPage || 0);
+    const [sessionMinutes, setSessionMinutes] = useState(30);
+    const [newHighlight, setNewHighlight] = useState('');
+    const [newReflection, setNewReflection] = useState('');
+
+    const history = getProgressHistory(book);
+    const { pagesPerDay, finishDate } = getReadingEstimate(book, todayKey);
+
+    const handleLogSession = (e) => {
+        e.preventDefault();
+        const toPage = Math.min(book.totalPages, Math.max(0, sessionPage));
+        const session = { id: crypto.randomUUID(), date: sessionDate, fromPage: book.currentPage || 0, toPage, minutes: sessionMinutes };
+        updateBook(book.id, {
+            sessions: [...(book.sessions || []), session],
+            currentPage: toPage,
+            status: getStatusForPage(toPage, book.totalPages),
+        });
+    };
+
+    const addNote = (field, text, reset) => {
+        if (!text.trim()) return;
+        updateBook(book.id, { [field]: [...(book[field] || []), { id: crypto.randomUUID(), text: text.trim(), createdAt: new Date().toISOString() }] });
+        reset('');
+    };
+
+    const removeNote = (field, id) => {
+        updateBook(book.id, { [field]: (book[field] || []).filter(note => note.id !== id) });
+    };
+
+    // Cumulative page line over logged sessions
+    const chartPoints = history.map((entry, i) => {
+        const x = history.length === 1 ? 150 : (i / (history.length - 1)) * 300;
+        const y = 80 - (entry.page / Math.max(1, book.totalPages)) * 80;
+        return `${x},${y}`;
+    }).join(' ');
+
+    return (
+        <div className="space-y-6 max-h-[70vh] overflow-y-auto pr-1">
+            {/* Log Sesi Membaca */}
+            <form onSubmit={handleLogSession} className="bg-amber-50 p-4 rounded-xl space-y-3">
+                <h4 className="font-bold text-amber-700">Catat Sesi Membaca</h4>
+                <div className="flex flex-wrap gap-3">
+                    <input type="date" value={sessionDate} max={todayKey} onChange={(e) => setSessionDate(e.target.value)} className="p-2 border border-amber-200 rounded-lg" />
+                    <label className="flex items-center text-sm text-gray-600">
+                        Sampai hal.
+                        <input type="number" value={sessionPage} min="0" max={book.totalPages} onChange={(e) => setSessionPage(parseInt(e.target.value) || 0)} className="w-20 ml-2 p-2 border border-amber-200 rounded-lg" />
+                    </label>
+                    <label className="flex items-center text-sm text-gray-600">
+                        Menit
+                        <input type="number" value={sessionMinutes} min="0" onChange={(e) => setSessionMinutes(Math.max(0, parseInt(e.target.value) || 0))} className="w-20 ml-2 p-2 border border-amber-200 rounded-lg" />
+                    </label>
+                    <button type="submit" className="py-2 px-4 bg-amber-500 text-white font-semibold rounded-lg hover:bg-amber-600 transition">Simpan Sesi</button>
+                </div>
+            </form>
+
+            {/* Riwayat Progress */}
+            <div>
+                <h4 className="font-bold text-indigo-700 mb-2">Riwayat Progress</h4>
+                {history.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">Belum ada sesi membaca.</p>
+                ) : (
+                    <>
+                        <svg viewBox="-5 -5 310 90" className="w-full h-24 bg-gray-50 rounded-lg">
+                            <polyline points={chartPoints} fill="none" stroke="#f59e0b" strokeWidth="2" />
+                            {chartPoints.split(' ').map((point, i) => {
+                                const [cx, cy] = point.split(',');
+                                return <circle key={i} cx={cx} cy={cy} r="3" fill="#d97706" />;
+                            })}
+                        </svg>
+                        <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                            {[...history].reverse().slice(0, 5).map((entry, i) => (
+                                <li key={i}>{entry.date}: +{entry.pagesRead} halaman (sampai hal. {entry.page})</li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+                <p className="mt-2 text-sm font-medium text-gray-700">
+                    {pagesPerDay === null
+                        ? 'Catat sesi untuk melihat estimasi selesai.'
+                        : `Rata-rata ${pagesPerDay.toFixed(1)} halaman/hari · Estimasi selesai: ${finishDate ? fromDateKey(finishDate).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' }) : '-'}`}
+                </p>
+            </div>
+
+            {/* Highlights & Refleksi */}
+            {[{ field: 'highlights', title: 'Highlight', value: newHighlight, setter: setNewHighlight, placeholder: 'Kutipan favorit...' },
+              { field: 'reflections', title: 'Refleksi', value: newReflection, setter: setNewReflection, placeholder: 'Apa pelajaran dari buku ini?' }].map(section => (
+                <div key={section.field}>
+                    <h4 className="font-bold text-indigo-700 mb-2">{section.title}</h4>
+                    <ul className="space-y-2 mb-2">
+                        {(book[section.field] || []).map(note => (
+                            <li key={note.id} className="group flex items-start text-sm">
+                                <blockquote className="flex-1 italic border-l-2 border-amber-400 pl-2 text-gray-700">{note.text}</blockquote>
+                                <button onClick={() => removeNote(section.field, note.id)} className="p-1 text-red-400 opacity-0 group-hover:opacity-100 hover:bg-red-50 rounded-full transition" title="Hapus">
+                                    <Trash2 size={14} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="flex items-center">
+                        <input
+                            type="text"
+                            value={section.value}
+                            onChange={(e) => section.setter(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && addNote(section.field, section.value, section.setter)}
+                            placeholder={section.placeholder}
+                            className="flex-1 p-2 border border-amber-200 rounded-lg focus:border-amber-500 text-sm"
+                        />
+                        <button onClick={() => addNote(section.field, section.value, section.setter)} className="ml-2 p-2 bg-amber-100 text-amber-600 rounded-lg hover:bg-amber-200 transition" title={`Tambah ${section.title}`}>
+                            <Plus size={16} />
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const LibraryPage = ({ books, addBook, updateBook, deleteBook }) => {
+    const route = useRoute();
+    const [deleteModal, setDeleteModal] = useState(null);
+    const [statusFilter, setStatusFilter] = useRouteQuery('status', 'all');
+
+    // Deep links: #/library/<bookId> opens the book detail, ?edit=1 its edit form, #/library/new the add form
+    const { edit, ...listQuery } = route.query;
+    const routeBook = books.find(book => book.id === route.id);
+    const detailBook = edit ? undefined : routeBook;
+    const editingBook = edit ? routeBook || null : null;
+    const isModalOpen = route.id === 'new' || !!editingBook;
+    const visibleBooks = statusFilter === 'all' ? books : books.filter(book => (book.status || 'reading') === statusFilter);
+
+    const openBook = (book) => router.navigate({ page: 'library', id: book.id, query: listQuery });
+    const closeBook = () => router.back({ page: 'library', query: listQuery });
+
+    const handleOpenModal = (book = null) => {
+        router.navigate({ page: 'library', id: book ? book.id : 'new', query: { ...listQuery, edit: book ? '1' : null } });
+    };
+
+    const handleSave = (data) => {
+        if (editingBook) {
+            updateBook(editingBook.id, data);
+        } else {
+            addBook({ ...data, createdAt: new Date().toISOString() });
+        }
+        closeBook();
+    };
+
+    const getStatusStyle = (status) => {
+        switch (status) {
+            case 'finished': return 'bg-green-100 text-green-700';
+            case 'to-read': return 'bg-gray-100 text-gray-600';
+            default: return 'bg-amber-100 text-amber-700';
+        }
+    };
+
+    const ReadingCard = ({ book }) => {
+        const progress = Math.min(100, ((book.currentPage || 0) / (book.totalPages || 1)) * 100);
+        const latestHighlight = (book.highlights || []).at(-1);
+        const latestReflection = (book.reflections || []).at(-1);
+        const status = book.status || 'reading';
+        return (
+            <div className="bg-white p-5 rounded-2xl shadow-xl border-l-4 border-amber-500 transform hover:scale-[1.01] transition">
+                <div className="flex items-start justify-between">
+                    <div className="min-w-0">
+                        <h2 className="text-xl font-extrabold text-amber-700">{book.title}</h2>
+                        <p className="text-sm text-gray-500 italic mb-3">Oleh {book.author || '-'}</p>
+                    </div>
+                    <div className="flex space-x-1">
+                        <button onClick={() => handleOpenModal(book)} className="p-2 text-blue-500 hover:bg-blue-50 rounded-full transition" title="Edit Buku">
+                            <Edit size={16} />
+                        </button>
+                        <button onClick={() => setDeleteModal(book)} className="p-2 text-red-500 hover:bg-red-50 rounded-full transition" title="Hapus Buku">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                </div>
+
+                <span className={`inline-block mb-3 px-2 py-0.5 rounded-full text-xs font-semibold ${getStatusStyle(status)}`}>
+                    {bookStatuses.find(option => option.value === status)?.label}
+                </span>
+
+                {latestHighlight && (
+                    <div className="text-sm text-gray-800 mb-3">
+                        <p className="font-semibold">Highlight:</p>
+                        <blockquote className="italic border-l-2 pl-2 text-gray-600">"{latestHighlight.text}"</blockquote>
+                    </div>
+                )}
+
+                <div className="mb-4">
+                    <p className="text-sm font-semibold text-gray-700">Progress: {book.currentPage || 0} / {book.totalPages} halaman</p>
+                    <div className="h-2 bg-gray-200 rounded-full mt-1">
+                        <div
+                            className="h-full bg-amber-500 rounded-full"
+                            style={{ width: `${progress}%` }}
+                        ></div>
+                    </div>
+                </div>
+
+                {latestReflection && <p className="text-xs font-medium text-gray-600 border-t pt-3">Refleksi: {latestReflection.text}</p>}
+                <button
+                    onClick={() => openBook(book)}
+                    className="mt-3 text-sm text-amber-600 font-semibold hover:text-amber-800 transition"
+                >
+                    Catat sesi, highlight & riwayat →
+                </button>
+            </div>
+        );
+    };
+
+    return (
+        <div className="p-6">
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
+                <BookOpen className="mr-3" /> Library Page (Bacaan/Belajar)
+            </h1>
+
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <button
+                    onClick={() => handleOpenModal()}
+                    className="flex items-center bg-amber-500 text-white py-3 px-6 rounded-xl font-bold shadow-lg shadow-amber-300/50 hover:bg-amber-600 transition transform hover:scale-[1.02]"
+                >
+                    <Plus size={20} className="mr-2" /> Tambah Buku Baru
+                </button>
+                <div className="flex bg-white rounded-lg p-1 shadow">
+                    {[{ value: 'all', label: 'Semua' }, ...bookStatuses].map(option => (
+                        <button
+                            key={option.value}
+                            onClick={() => setStatusFilter(option.value)}
+                            className={`py-1 px-3 text-sm font-semibold rounded-md transition ${statusFilter === option.value ? 'bg-amber-500 text-white' : 'text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
 
-            <div className="space-y-4">
-                {habits.length === 0 ? (
-                    <p className="text-gray-500 italic">Belum ada kebiasaan yang dilacak.</p>
-                ) : (
-                    habits.map(habit => (
-                        <div key={habit.id} className={`bg-white p-4 rounded-xl shadow-lg border-l-4 ${habit.checkedToday ? 'border-amber-500' : 'border-indigo-500'} transition hover:shadow-xl`}>
-                            <div className="flex items-center justify-between">
-                                <div className="flex items-center flex-1 min-w-0">
-                                    <button onClick={() => toggleHabit(habit)} className="p-1 mr-3">
-                                        {habit.checkedToday ? (
-                                            <Flame className="text-amber-500" size={28} fill="currentColor" />
-                                        ) : (
-                                            <div className="w-7 h-7 border-2 border-indigo-400 rounded-full"></div>
-                                        )}
-                                    </button>
-                                    <div className="min-w-0 flex-1">
-                                        <h3 className={`text-xl font-semibold ${habit.checkedToday ? 'text-amber-700' : 'text-indigo-800'}`}>{habit.name}</h3>
-                                        <p className="text-sm text-gray-600">Target: {habit.target}x/minggu</p>
-                                    </div>
-                                </div>
-                                <div className="flex items-center space-x-4">
-                                    <div className="flex items-center text-lg font-bold text-gray-700 bg-gray-100 px-3 py-1 rounded-full">
-                                        {getBadge(habit.streak)}
-                                        <span className="ml-2">{habit.streak}</span>
-                                        <span className="ml-1 text-sm font-medium text-gray-500">hari</span>
-                                    </div>
-                                    <button
-                                        onClick={() => handleOpenModal(habit)}
-                                        className="p-2 text-blue-500 hover:bg-blue-50 rounded-full transition"
-                                        title="Edit Kebiasaan"
-                                    >
-                                        <Edit size={18} />
-                                    </button>
-                                    <button
-                                        onClick={() => setDeleteModal(habit)}
-                                        className="p-2 text-red-500 hover:bg-red-50 rounded-full transition"
-                                        title="Hapus Kebiasaan"
-                                    >
-                                        <Trash2 size={18} />
-                                    </button>
-                                </div>
-                            </div>
-                        </div>
-                    ))
-                )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {visibleBooks.length === 0 && <p className="text-gray-500 italic">Belum ada buku di sini.</p>}
+                {visibleBooks.map(book => <ReadingCard key={book.id} book={book} />)}
             </div>
 
-            <Modal
-                isOpen={isModalOpen}
-                title={editingHabit ? "Edit Kebiasaan" : "Tambah Kebiasaan Baru"}
-                onClose={() => setIsModalOpen(false)}
-            >
-                <ActionForm
-                    type="habit"
-                    initialData={editingHabit || {}}
+            <Modal isOpen={isModalOpen} title={editingBook ? "Edit Buku" : "Tambah Buku Baru"} onClose={closeBook}>
+                <BookForm
+                    initialData={editingBook || {}}
                     onSubmit={handleSave}
-                    onCancel={() => setIsModalOpen(false)}
+                    onCancel={closeBook}
                 />
             </Modal>
 
+            <Modal isOpen={!!detailBook} title={detailBook?.title} onClose={closeBook}>
+                {detailBook && <BookDetail key={detailBook.id} book={detailBook} updateBook={updateBook} />}
+            </Modal>
+
             <Modal
                 isOpen={!!deleteModal}
                 title="Konfirmasi Hapus"
@@ -629,7 +3775,7 @@ const HabitTracker = ({ habits, addHabit, updateHabit, deleteHabit }) => {
                             Batal
                         </button>
                         <button
-                            onClick={() => { deleteHabit(deleteModal.id); setDeleteModal(null); }}
+                            onClick={() => { deleteBook(deleteModal.id); setDeleteModal(null); }}
                             className="py-2 px-4 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition"
                         >
                             Hapus Permanen
@@ -637,208 +3783,321 @@ const HabitTracker = ({ habits, addHabit, updateHabit, deleteHabit }) => {
                     </div>
                 }
             >
-                <p>Apakah Anda yakin ingin menghapus kebiasaan **{deleteModal?.name}**?</p>
+                <p>Apakah Anda yakin ingin menghapus buku **{deleteModal?.title}** beserta highlight dan riwayat bacanya?</p>
             </Modal>
         </div>
     );
 };
 
-// Component for Daily Routine (B)
-const DailyRoutine = ({ updateTask, tasks, habits }) => {
-    const dailyRoutines = useMemo(() => [
-        { ...initialRoutine, time: "05:00 - 09:00", category: "PAGI", icon: <Sun size={20} />, activities: [
-            { id: 'p1', text: "Bangun tidur & merapikan tempat tidur", icon: <Check /> },
-            { id: 'p2', text: "Minum air putih", icon: <Droplet /> },
-            { id: 'p3', text: "Sholat Subuh (jika Muslim)", icon: <Check /> },
-            { id: 'p4', text: "Stretching 5 menit", icon: <Check /> },
-            { id: 'p5', text: "Journaling singkat", icon: <Check /> },
-            { id: 'p6', text: "Sarapan sehat", icon: <Coffee /> },
-            { id: 'p7', text: "Baca buku 10–20 menit", icon: <BookOpen /> },
-            { id: 'p8', text: "Cek to-do + set prioritas harian", icon: <ListChecks /> },
-        ]},
-        { ...initialRoutine, time: "09:00 - 13:00", category: "SIANG", icon: <Coffee size={20} />, activities: [
-            { id: 's1', text: "Kuliah/tugas utama", icon: <Check /> },
-            { id: 's2', text: "Ngerjain project penting", icon: <Check /> },
-            { id: 's3', text: "Istirahat 10 menit setiap 1 jam", icon: <Clock /> },
-            { id: 's4', text: "Sholat Dzuhur", icon: <Check /> },
-            { id: 's5', text: "Makan siang", icon: <Check /> },
-        ]},
-        { ...initialRoutine, time: "13:00 - 17:00", category: "SORE", icon: <TrendingUp size={20} />, activities: [
-            { id: 'r1', text: "Lanjut tugas/kuliah/kerja", icon: <Check /> },
-            { id: 'r2', text: "Membuat/mengedit konten", icon: <Check /> },
-            { id: 'r3', text: "Sholat Ashar", icon: <Check /> },
-            { id: 'r4', text: "Olahraga 15–30 menit", icon: <Target /> },
-        ]},
-        { ...initialRoutine, time: "19:00 - 22:00", category: "MALAM", icon: <Moon size={20} />, activities: [
-            { id: 'n1', text: "Belajar materi kuliah / baca jurnal", icon: <BookOpen /> },
-            { id: 'n2', text: "Mengerjakan skripsi atau riset", icon: <Check /> },
-            { id: 'n3', text: "Editing konten + menjadwalkan posting", icon: <Check /> },
-            { id: 'n4', text: "Persiapan besok", icon: <Check /> },
-        ]},
-        { ...initialRoutine, time: "22:00 - 23:00", category: "TIDUR", icon: <Brain size={20} />, activities: [
-            { id: 'bt1', text: "Journaling malam", icon: <Check /> },
-            { id: 'bt2', text: "Meditasi 3–5 menit", icon: <Check /> },
-            { id: 'bt3', text: "Tidur sebelum jam 23.00", icon: <Check /> },
-        ]},
-    ], []);
-
-    // Placeholder state for checking routines (in a real app, this would be stored in Firestore)
-    const [checkedState, setCheckedState] = useState(dailyRoutines.map(r => r.activities.map(a => a.id)));
-
-    const handleCheck = (routineIndex, activityId) => {
-        setCheckedState(prev => {
-            const newState = [...prev];
-            const activityIndex = newState[routineIndex].indexOf(activityId);
-
-            if (activityIndex > -1) {
-                // Uncheck
-                newState[routineIndex].splice(activityIndex, 1);
-            } else {
-                // Check
-                newState[routineIndex].push(activityId);
-            }
-            return newState;
-        });
+const AnalyticsPage = ({ tasks, habits, focusSessions, reflections }) => {
+    const todayKey = toDateKey();
+    // Range kept in the URL: #/analytics?range=7|30|90|custom&from=...&to=...
+    const [rangeParam, setRangeDays] = useRouteQuery('range', '30');
+    const rangeDays = ['7', '90', 'custom'].includes(rangeParam) ? rangeParam : '30';
+    const [fromParam, setFrom] = useRouteQuery('from', null);
+    const [toParam, setTo] = useRouteQuery('to', null);
+    const customRange = {
+        start: isDateKey(fromParam) ? fromParam : addDays(todayKey, -29),
+        end: isDateKey(toParam) ? toParam : todayKey,
     };
+    const range = rangeDays === 'custom' ? customRange : lastDaysRange(todayKey, Number(rangeDays));
+
+    const productiveDay = getMostProductiveWeekday(tasks, range);
+    const topHabit = getTopHabit(habits, todayKey);
+    const totalFocusMinutes = getTotalFocusMinutes(focusSessions, range);
+    const monthly = getMonthlyCompletionRate(tasks, todayKey.slice(0, 7));
+    const perDay = getTasksCompletedPerDay(tasks, range);
+    const perCategory = getTasksCompletedPerCategory(tasks, range);
+    const moodSeries = getMoodSeries(reflections, range);
+    const rangeDayCount = perDay.length;
+
+    const stats = [
+        { title: "Hari Paling Produktif", value: productiveDay ? `${productiveDay.name} (${productiveDay.count} tugas)` : '-', icon: <BarChart />, color: "text-green-500" },
+        { title: "Kebiasaan Terbanyak", value: topHabit ? `${topHabit.habit.name} (Streak ${topHabit.current})` : '-', icon: <Flame />, color: "text-red-500" },
+        { title: "Waktu Fokus Terbanyak", value: `${formatHours(totalFocusMinutes)} Jam`, icon: <Clock />, color: "text-blue-500" },
+        { title: "Target Bulan Berjalan", value: `${monthly.rate}% Selesai (${monthly.completed}/${monthly.total})`, icon: <Target />, color: "text-pink-500" },
+    ];
+
+    const maxPerDay = Math.max(1, ...perDay.map(d => d.count));
+    const maxPerCategory = Math.max(1, ...perCategory.map(c => c.count));
+    const moodPoints = moodSeries.map(entry => {
+        const x = rangeDayCount <= 1 ? 150 : (diffDays(range.start, entry.date) / (rangeDayCount - 1)) * 300;
+        const y = 90 - ((entry.score - 1) / 3) * 80;
+        return { ...entry, x, y };
+    });
 
     return (
         <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
-                <Clock className="mr-3" /> Daily Routine
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-8 flex items-center">
+                <BarChart className="mr-3" /> Analytics / Insight
             </h1>
-            <p className="text-gray-600 mb-6">Daftar kegiatan produktif dari bangun sampai tidur. *Checklist direset otomatis setiap hari.</p>
 
-            <div className="space-y-8">
-                {dailyRoutines.map((routine, rIndex) => (
-                    <div key={routine.category} className="bg-white p-5 rounded-2xl shadow-xl border-l-8 border-indigo-400">
-                        <div className="flex items-center space-x-3 mb-4">
-                            <span className="p-3 rounded-full bg-indigo-500 text-white shadow-md">{routine.icon}</span>
-                            <div>
-                                <h2 className="text-xl font-bold text-indigo-700">{routine.category} Routine</h2>
-                                <p className="text-sm text-gray-500">{routine.time}</p>
-                            </div>
+            {/* Rentang Tanggal */}
+            <div className="flex flex-wrap items-center gap-3 mb-6">
+                <div className="flex bg-white rounded-lg p-1 shadow">
+                    {[{ value: '7', label: '7 Hari' }, { value: '30', label: '30 Hari' }, { value: '90', label: '90 Hari' }, { value: 'custom', label: 'Kustom' }].map(option => (
+                        <button
+                            key={option.value}
+                            onClick={() => setRangeDays(option.value)}
+                            className={`py-1 px-3 text-sm font-semibold rounded-md transition ${rangeDays === option.value ? 'bg-indigo-500 text-white' : 'text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                {rangeDays === 'custom' && (
+                    <div className="flex items-center space-x-2 text-sm">
+                        <input type="date" value={customRange.start} max={customRange.end} onChange={(e) => e.target.value && setFrom(e.target.value)} className="p-2 border-2 border-indigo-200 rounded-lg" />
+                        <span className="text-gray-500">s/d</span>
+                        <input type="date" value={customRange.end} min={customRange.start} onChange={(e) => e.target.value && setTo(e.target.value)} className="p-2 border-2 border-indigo-200 rounded-lg" />
+                    </div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                {stats.map((stat, index) => (
+                    <div key={index} className="bg-white p-6 rounded-2xl shadow-xl border-t-8 border-indigo-200 hover:shadow-2xl transition">
+                        <div className={`text-3xl font-extrabold ${stat.color} mb-2`}>{stat.icon}</div>
+                        <h2 className="text-sm font-medium text-gray-500">{stat.title}</h2>
+                        <p className="text-xl font-bold text-indigo-800 mt-1">{stat.value}</p>
+                    </div>
+                ))}
+            </div>
+
+            <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Tugas selesai per hari */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-xl font-extrabold text-indigo-800 mb-4">Tugas Selesai per Hari</h2>
+                    <div className="h-48 flex items-end gap-px border-b border-gray-200">
+                        {perDay.map(day => (
+                            <div
+                                key={day.date}
+                                className="flex-1 bg-indigo-400 hover:bg-indigo-600 rounded-t transition"
+                                style={{ height: `${(day.count / maxPerDay) * 100}%`, minHeight: day.count > 0 ? 4 : 0 }}
+                                title={`${day.date}: ${day.count} tugas`}
+                            />
+                        ))}
+                    </div>
+                    <div className="flex justify-between mt-1 text-xs text-gray-400">
+                        <span>{range.start}</span>
+                        <span>{range.end}</span>
+                    </div>
+                </div>
+
+                {/* Tugas selesai per kategori */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-xl font-extrabold text-indigo-800 mb-4">Tugas Selesai per Kategori</h2>
+                    {perCategory.length === 0 ? (
+                        <p className="text-gray-500 italic">Belum ada tugas selesai di rentang ini.</p>
+                    ) : (
+                        <div className="space-y-3">
+                            {perCategory.map(entry => (
+                                <div key={entry.category}>
+                                    <div className="flex justify-between text-sm font-medium text-gray-700">
+                                        <span>{entry.category}</span>
+                                        <span>{entry.count}</span>
+                                    </div>
+                                    <div className="h-3 bg-gray-100 rounded-full">
+                                        <div className="h-full bg-pink-400 rounded-full" style={{ width: `${(entry.count / maxPerCategory) * 100}%` }} />
+                                    </div>
+                                </div>
+                            ))}
                         </div>
+                    )}
+                </div>
 
-                        <ul className="space-y-3">
-                            {routine.activities.map((activity) => {
-                                const isChecked = checkedState[rIndex].includes(activity.id);
+                {/* Heatmap kebiasaan */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-xl font-extrabold text-indigo-800 mb-4">Heatmap Kebiasaan</h2>
+                    {habits.length === 0 ? (
+                        <p className="text-gray-500 italic">Belum ada kebiasaan yang dilacak.</p>
+                    ) : (
+                        <div className="space-y-4">
+                            {habits.map(habit => {
+                                const heatmap = getHabitHeatmap(habit, range);
+                                const checkedCount = heatmap.filter(d => d.checked).length;
                                 return (
-                                    <li key={activity.id} className="flex items-center">
-                                        <button
-                                            onClick={() => handleCheck(rIndex, activity.id)}
-                                            className={`p-1 mr-3 rounded-full transition ${isChecked ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-400 hover:bg-gray-200'}`}
-                                            title={isChecked ? "Tandai Belum Selesai" : "Tandai Selesai"}
-                                        >
-                                            <Check size={18} />
-                                        </button>
-                                        <span className={`text-base font-medium ${isChecked ? 'line-through text-gray-500' : 'text-gray-800'}`}>
-                                            {activity.text}
-                                        </span>
-                                    </li>
+                                    <div key={habit.id}>
+                                        <div className="flex justify-between text-sm font-medium text-gray-700 mb-1">
+                                            <span>{habit.name}</span>
+                                            <span>{checkedCount}/{heatmap.length} hari</span>
+                                        </div>
+                                        <div className="flex flex-wrap gap-0.5">
+                                            {heatmap.map(day => (
+                                                <div key={day.date} className={`w-3 h-3 rounded-sm ${day.checked ? 'bg-green-500' : 'bg-gray-200'}`} title={day.date} />
+                                            ))}
+                                        </div>
+                                    </div>
                                 );
                             })}
-                        </ul>
-                    </div>
-                ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Mood dari refleksi */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-xl font-extrabold text-indigo-800 mb-4">Mood dari Waktu ke Waktu</h2>
+                    {moodPoints.length === 0 ? (
+                        <p className="text-gray-500 italic">Belum ada refleksi dengan mood di rentang ini.</p>
+                    ) : (
+                        <div className="flex">
+                            <div className="flex flex-col justify-between text-sm pr-2 py-1">
+                                {['🥳', '😊', '😐', '😭'].map(mood => <span key={mood}>{mood}</span>)}
+                            </div>
+                            <svg viewBox="-5 0 310 100" className="flex-1 h-40 bg-gray-50 rounded-lg">
+                                <polyline points={moodPoints.map(p => `${p.x},${p.y}`).join(' ')} fill="none" stroke="#eab308" strokeWidth="2" />
+                                {moodPoints.map(point => (
+                                    <circle key={point.date} cx={point.x} cy={point.y} r="3" fill="#ca8a04">
+                                        <title>{`${point.date}: ${point.mood}`}</title>
+                                    </circle>
+                                ))}
+                            </svg>
+                        </div>
+                    )}
+                </div>
             </div>
         </div>
     );
 };
 
-// Component for Dashboard (A)
-const Dashboard = ({ tasks, habits }) => {
-    const today = new Date().toISOString().split('T')[0];
-    const completedTasks = tasks.filter(t => t.completed).length;
-    const totalTasks = tasks.length;
-    const todayHabits = habits.filter(h => h.checkedToday).length;
-    const totalHabits = habits.length;
 
-    const top3Priorities = tasks
-        .filter(t => !t.completed)
-        .sort((a, b) => a.priority === 'Penting - Mendesak' ? -1 : 1) // Simple sort
-        .slice(0, 3);
+const routineLeadOptions = [0, 5, 10, 15, 30];
+
+const Toggle = ({ checked, onChange, label }) => (
+    <label className="flex items-center space-x-2 cursor-pointer">
+        <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} className="form-checkbox h-5 w-5 text-indigo-600 rounded" />
+        <span className="font-semibold text-gray-700">{label}</span>
+    </label>
+);
 
-    const longestStreak = habits.reduce((max, habit) => Math.max(max, habit.streak), 0);
+// Reminder settings per type, quiet hours and a preview of the next 24 hours
+const ReminderPage = ({ reminders }) => {
+    const { settings, updateSettings, permission, enable, sendTest, data } = reminders;
+    const [now] = useState(Date.now);
+    const upcoming = useMemo(() => getReminders(data, settings, now, now + 24 * 60 * 60 * 1000), [data, settings, now]);
+
+    const updateSection = (key, changes) => updateSettings({ [key]: { ...settings[key], ...changes } });
+
+    const toggleOffset = (offset) => {
+        const offsets = settings.tasks.offsets.includes(offset)
+            ? settings.tasks.offsets.filter(o => o !== offset)
+            : [...settings.tasks.offsets, offset].sort((a, b) => b - a);
+        updateSection('tasks', { offsets });
+    };
+
+    const inputClass = "p-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 bg-white";
+    const sectionClass = `bg-white p-6 rounded-2xl shadow-xl space-y-3 ${settings.enabled ? '' : 'opacity-50 pointer-events-none'}`;
 
     return (
         <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-8">Selamat Datang di Portal Produktifmu!</h1>
+            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
+                <Bell className="mr-3" /> Pengingat
+            </h1>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {/* 1. Progress To-Do Hari Ini */}
-                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-indigo-500 transform hover:scale-[1.01] transition">
-                    <div className="flex justify-between items-center">
-                        <h2 className="text-xl font-bold text-indigo-600">Progress To-Do</h2>
-                        <ListChecks className="text-indigo-400" size={28} />
+            <div className="bg-white p-6 rounded-2xl shadow-xl mb-6 flex flex-wrap items-center justify-between gap-4">
+                <div className="text-sm text-gray-600 max-w-xl">
+                    {permission === 'unsupported' && <p className="text-red-600 font-semibold">Browser ini tidak mendukung notifikasi.</p>}
+                    {permission === 'denied' && <p className="text-red-600 font-semibold">Notifikasi diblokir. Izinkan lewat pengaturan situs di browser, lalu coba lagi.</p>}
+                    <p>Pengingat muncul selama GenZ Planner terbuka, termasuk saat berjalan di latar belakang. Pasang aplikasinya di layar utama supaya lebih andal.</p>
+                </div>
+                {settings.enabled ? (
+                    <div className="flex space-x-2">
+                        <button onClick={sendTest} className="py-2 px-4 text-sm font-semibold text-indigo-600 border-2 border-indigo-200 rounded-xl hover:bg-indigo-50 transition">
+                            Kirim Tes
+                        </button>
+                        <button onClick={() => updateSettings({ enabled: false })} className="py-2 px-4 bg-gray-200 text-gray-700 text-sm font-semibold rounded-xl hover:bg-gray-300 transition">
+                            Matikan Pengingat
+                        </button>
                     </div>
-                    <p className="text-4xl font-extrabold mt-3 text-indigo-800">
-                        {completedTasks} / {totalTasks}
-                    </p>
-                    <p className="text-sm text-gray-500 mt-1">Tugas selesai hari ini</p>
-                    <div className="h-2 bg-gray-200 rounded-full mt-4">
-                        <div
-                            className="h-full bg-indigo-500 rounded-full transition-all duration-500"
-                            style={{ width: `${totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0}%` }}
-                        ></div>
+                ) : (
+                    <button
+                        onClick={enable}
+                        disabled={permission === 'unsupported' || permission === 'denied'}
+                        className="flex items-center bg-indigo-600 text-white py-2 px-5 rounded-xl font-bold shadow-lg shadow-indigo-300/50 hover:bg-indigo-700 transition disabled:opacity-50"
+                    >
+                        <Bell size={18} className="mr-2" /> Aktifkan Pengingat
+                    </button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className={sectionClass}>
+                    <Toggle checked={settings.tasks.enabled} onChange={(enabled) => updateSection('tasks', { enabled })} label="Deadline Tugas" />
+                    <p className="text-sm text-gray-500">Ingatkan sebelum deadline (bisa diatur per tugas di form tugas):</p>
+                    <div className="flex flex-wrap gap-2">
+                        {reminderOffsetOptions.map(option => (
+                            <button
+                                key={option.value}
+                                onClick={() => toggleOffset(option.value)}
+                                className={`py-1 px-3 rounded-full text-sm font-semibold transition ${settings.tasks.offsets.includes(option.value) ? 'bg-indigo-500 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
                     </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-600">
+                        Deadline dianggap jatuh pukul
+                        <input type="time" value={settings.tasks.deadlineTime} onChange={(e) => e.target.value && updateSection('tasks', { deadlineTime: e.target.value })} className={inputClass} />
+                    </label>
                 </div>
 
-                {/* 2. Grafik Kebiasaan (Habits Streak) */}
-                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-pink-500 transform hover:scale-[1.01] transition">
-                    <div className="flex justify-between items-center">
-                        <h2 className="text-xl font-bold text-pink-600">Kebiasaan Hari Ini</h2>
-                        <Flame className="text-pink-400" size={28} />
-                    </div>
-                    <p className="text-4xl font-extrabold mt-3 text-pink-800">
-                        {todayHabits} / {totalHabits}
-                    </p>
-                    <p className="text-sm text-gray-500 mt-1">Kebiasaan dicentang</p>
-                    <p className="text-xs font-semibold text-gray-700 mt-4">Streak Terlama: {longestStreak} hari 👑</p>
+                <div className={sectionClass}>
+                    <Toggle checked={settings.habits.enabled} onChange={(enabled) => updateSection('habits', { enabled })} label="Kebiasaan Harian" />
+                    <label className="flex items-center gap-2 text-sm text-gray-600">
+                        Ingatkan kebiasaan yang belum dicentang pukul
+                        <input type="time" value={settings.habits.time} onChange={(e) => e.target.value && updateSection('habits', { time: e.target.value })} className={inputClass} />
+                    </label>
                 </div>
 
-                {/* 3. Jam Produktif (Mock) */}
-                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-green-500 transform hover:scale-[1.01] transition">
-                    <div className="flex justify-between items-center">
-                        <h2 className="text-xl font-bold text-green-600">Jam Produktif</h2>
-                        <Clock className="text-green-400" size={28} />
-                    </div>
-                    <p className="text-4xl font-extrabold mt-3 text-green-800">
-                        3.5 Jam
-                    </p>
-                    <p className="text-sm text-gray-500 mt-1">Fokus Mode Selesai</p>
-                    <div className="flex items-center mt-4 text-sm font-medium text-gray-700">
-                        <CheckCircle size={16} className="mr-2 text-green-500" /> Waktu idealmu: 4 Jam
+                <div className={sectionClass}>
+                    <Toggle checked={settings.routines.enabled} onChange={(enabled) => updateSection('routines', { enabled })} label="Mulai Blok Rutinitas" />
+                    <label className="flex items-center gap-2 text-sm text-gray-600">
+                        Ingatkan
+                        <select value={settings.routines.leadMinutes} onChange={(e) => updateSection('routines', { leadMinutes: Number(e.target.value) })} className={inputClass}>
+                            {routineLeadOptions.map(minutes => (
+                                <option key={minutes} value={minutes}>{minutes === 0 ? 'tepat saat mulai' : `${minutes} menit sebelumnya`}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+
+                <div className={sectionClass}>
+                    <Toggle checked={settings.focus.enabled} onChange={(enabled) => updateSection('focus', { enabled })} label="Timer Fokus Selesai" />
+                    <div className="flex items-center justify-between">
+                        <Toggle checked={settings.focus.sound} onChange={(sound) => updateSection('focus', { sound })} label="Bunyikan chime" />
+                        <button onClick={playChime} className="py-1 px-3 text-sm font-semibold text-indigo-600 rounded-lg hover:bg-indigo-50 transition">Tes Suara</button>
                     </div>
                 </div>
 
-                {/* 4. Mood Tracking (Mock) */}
-                <div className="bg-white p-6 rounded-2xl shadow-xl border-l-4 border-yellow-500 transform hover:scale-[1.01] transition">
-                    <div className="flex justify-between items-center">
-                        <h2 className="text-xl font-bold text-yellow-600">Mood Hari Ini</h2>
-                        <Brain className="text-yellow-400" size={28} />
+                <div className={`${sectionClass} lg:col-span-2`}>
+                    <Toggle checked={settings.quietHours.enabled} onChange={(enabled) => updateSection('quietHours', { enabled })} label="Jam Tenang" />
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                        Tahan pengingat dari
+                        <input type="time" value={settings.quietHours.start} onChange={(e) => e.target.value && updateSection('quietHours', { start: e.target.value })} className={inputClass} />
+                        sampai
+                        <input type="time" value={settings.quietHours.end} onChange={(e) => e.target.value && updateSection('quietHours', { end: e.target.value })} className={inputClass} />
                     </div>
-                    <p className="text-5xl mt-2">😊</p>
-                    <p className="text-lg font-semibold text-yellow-800 mt-2">Semangat!</p>
-                    <p className="text-xs text-gray-500 mt-1">Dari Refleksi Harian</p>
+                    <p className="text-xs text-gray-500">Pengingat di jam tenang dikirim saat jam tenang berakhir. Timer fokus tetap berbunyi.</p>
                 </div>
-            </div>
 
-            {/* Agenda 3 Prioritas Utama Hari Ini */}
-            <div className="mt-8 bg-white p-6 rounded-2xl shadow-2xl">
-                <h2 className="text-2xl font-extrabold text-indigo-800 mb-4 flex items-center">
-                    <Target className="mr-2 text-red-500" /> Top 3 Priorities ({today})
-                </h2>
-                <div className="space-y-3">
-                    {top3Priorities.length > 0 ? (
-                        top3Priorities.map((task, index) => (
-                            <div key={task.id} className="flex items-center p-3 bg-red-50 rounded-lg border-l-4 border-red-500">
-                                <span className="text-xl font-bold text-red-600 mr-3">{index + 1}.</span>
-                                <p className="text-lg text-gray-800 font-medium flex-1">{task.name}</p>
-                                <span className="text-sm text-gray-500 bg-white px-2 py-0.5 rounded-full shadow">Deadline: {task.deadline}</span>
-                            </div>
-                        ))
+                <div className={`${sectionClass} lg:col-span-2`}>
+                    <h2 className="font-bold text-indigo-700">24 Jam ke Depan</h2>
+                    {upcoming.length === 0 ? (
+                        <p className="text-sm text-gray-500">Tidak ada pengingat terjadwal.</p>
                     ) : (
-                        <p className="text-gray-500 italic">Tidak ada prioritas utama yang harus diselesaikan hari ini. Waktunya santai atau cari tugas baru!</p>
+                        <ul className="divide-y divide-gray-100">
+                            {upcoming.map(reminder => (
+                                <li key={reminder.id} className="py-2 flex items-start text-sm">
+                                    <span className="w-28 flex-shrink-0 font-mono text-indigo-600">
+                                        {new Date(reminder.at).toLocaleString('id-ID', { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+                                    </span>
+                                    <span>
+                                        <span className="font-semibold text-gray-800">{reminder.title}</span>
+                                        <span className="block text-gray-500">{reminder.body}</span>
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
                     )}
                 </div>
             </div>
@@ -846,339 +4105,883 @@ const Dashboard = ({ tasks, habits }) => {
     );
 };
 
-// Component for Focus Mode (F) - Pomodoro Timer (MOCK)
-const FocusMode = () => {
-    const [isPomodoro, setIsPomodoro] = useState(true);
-    const [time, setTime] = useState(25 * 60); // 25 minutes in seconds
-    const [isActive, setIsActive] = useState(false);
-    const [note, setNote] = useState('');
+// Documents that failed migration or validation: listed with their problems so they can be
+// downloaded for manual repair or deleted
+const QuarantineSection = ({ quarantined, store }) => {
+    const entries = Object.entries(quarantined).flatMap(([collectionName, docs]) => docs.map(doc => ({ collectionName, ...doc })));
+    if (entries.length === 0) return null;
+
+    const handleDelete = async ({ collectionName, id }) => {
+        try {
+            await syncQueue.enqueue({ collection: collectionName, docId: id, op: 'delete' }, () => store.remove(collectionName, id));
+        } catch (e) {
+            console.error("Error deleting quarantined document:", e);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-xl lg:col-span-2 border-l-4 border-yellow-400">
+            <h2 className="text-xl font-bold text-yellow-700 mb-2 flex items-center"><AlertTriangle size={20} className="mr-2" /> Data Dikarantina ({entries.length})</h2>
+            <p className="text-sm text-gray-600 mb-4">Dokumen ini tidak sesuai format terbaru, jadi disembunyikan dari halaman lain. Unduh untuk diperbaiki manual, atau hapus.</p>
+            <ul className="space-y-2">
+                {entries.map(entry => (
+                    <li key={`${entry.collectionName}/${entry.id}`} className="p-3 bg-yellow-50 rounded-lg flex flex-wrap items-start justify-between gap-2">
+                        <div className="text-sm">
+                            <p className="font-semibold text-gray-800">{collectionLabels[entry.collectionName]} · <span className="font-mono text-xs">{entry.id}</span></p>
+                            <ul className="text-xs text-yellow-800 list-disc list-inside">
+                                {entry.errors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                        </div>
+                        <div className="flex space-x-2">
+                            <button
+                                onClick={() => downloadFile(`${entry.collectionName}-${entry.id}.json`, JSON.stringify(entry.record, null, 2), 'application/json')}
+                                className="p-2 text-indigo-600 hover:bg-indigo-100 rounded-lg"
+                                title="Unduh dokumen"
+                            >
+                                <Download size={16} />
+                            </button>
+                            <button onClick={() => handleDelete(entry)} className="p-2 text-red-500 hover:bg-red-100 rounded-lg" title="Hapus dokumen">
+                                <Trash2 size={16} />
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Date format for the mapped deadline column; several fitting formats need the user's confirmation
+const detectDeadlineFormat = (rows, index, fallback) => {
+    const formats = index >= 0 ? detectDateFormats(rows.map(row => row[index])) : [];
+    return { dateFormat: formats[0] || fallback, dateFormats: formats, dateFormatConfirmed: formats.length <= 1 };
+};
+
+// CSV exchange with spreadsheets: task and habit-log export, task import with column mapping
+const CsvSection = ({ tasks, habits, addTask }) => {
+    const [csvImport, setCsvImport] = useState(null); // { fileName, headers, rows, mapping, dateFormat, dateFormats, dateFormatConfirmed }
+    const [message, setMessage] = useState(null);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setMessage(null);
+        const [headers = [], ...rows] = parseCSV(await file.text());
+        if (rows.length === 0) {
+            setMessage(`${file.name}: tidak ada baris data.`);
+            return;
+        }
+        const mapping = guessTaskMapping(headers);
+        setCsvImport({ fileName: file.name, headers, rows, mapping, ...detectDeadlineFormat(rows, mapping.deadline, 'YYYY-MM-DD') });
+    };
+
+    const updateMapping = (key, index) => {
+        const mapping = { ...csvImport.mapping, [key]: index };
+        // Re-detect the date format when the deadline column changes
+        const detected = key === 'deadline' ? detectDeadlineFormat(csvImport.rows, index, csvImport.dateFormat) : {};
+        setCsvImport({ ...csvImport, mapping, ...detected });
+    };
+
+    const isDateFormatAmbiguous = csvImport && !csvImport.dateFormatConfirmed;
+
+    const preview = csvImport ? rowsToTasks(csvImport.rows, csvImport.mapping, csvImport.dateFormat) : null;
+
+    const handleImport = async () => {
+        try {
+            await Promise.all(preview.tasks.map(task => addTask(task)));
+            setMessage(`${preview.tasks.length} tugas berhasil diimpor dari ${csvImport.fileName}.`);
+            setCsvImport(null);
+        } catch (e) {
+            console.error("Error importing CSV:", e);
+            setMessage("Sebagian tugas gagal diimpor. Cek indikator sinkronisasi untuk mencoba lagi.");
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-xl lg:col-span-2">
+            <h2 className="text-xl font-bold text-indigo-700 mb-2">CSV untuk Spreadsheet</h2>
+            <p className="text-sm text-gray-600 mb-4">Ekspor daftar tugas atau log kebiasaan untuk laporan, atau impor tugas dari Excel / Google Sheets.</p>
+            <div className="flex flex-wrap gap-3">
+                <button
+                    onClick={() => downloadFile(`genz-planner-tugas-${toDateKey()}.csv`, serializeCSV(tasksToCSVRows(tasks)), 'text/csv;charset=utf-8')}
+                    className="flex items-center py-2 px-4 text-sm font-semibold text-indigo-600 border-2 border-indigo-200 rounded-xl hover:bg-indigo-50 transition"
+                >
+                    <Download size={16} className="mr-2" /> Tugas (.csv)
+                </button>
+                <button
+                    onClick={() => downloadFile(`genz-planner-log-kebiasaan-${toDateKey()}.csv`, serializeCSV(habitLogsToCSVRows(habits)), 'text/csv;charset=utf-8')}
+                    className="flex items-center py-2 px-4 text-sm font-semibold text-indigo-600 border-2 border-indigo-200 rounded-xl hover:bg-indigo-50 transition"
+                >
+                    <Download size={16} className="mr-2" /> Log Kebiasaan (.csv)
+                </button>
+                <label className="flex items-center py-2 px-4 text-sm font-semibold text-pink-600 border-2 border-pink-200 rounded-xl hover:bg-pink-50 transition cursor-pointer">
+                    <Upload size={16} className="mr-2" /> Impor Tugas (.csv)
+                    <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+                </label>
+            </div>
+
+            {message && <p className="mt-4 text-sm font-medium text-indigo-700">{message}</p>}
+
+            {csvImport && (
+                <div className="mt-6 space-y-4">
+                    <p className="text-sm font-semibold text-gray-700">{csvImport.fileName} · {csvImport.rows.length} baris</p>
+
+                    {/* Step 1: column mapping */}
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                        {taskImportFields.map(field => (
+                            <label key={field.key} className="text-sm">
+                                <span className="block text-gray-500 mb-1">{field.label}{field.required && ' *'}</span>
+                                <select
+                                    value={csvImport.mapping[field.key]}
+                                    onChange={(e) => updateMapping(field.key, Number(e.target.value))}
+                                    className="w-full p-2 border-2 border-indigo-200 rounded-lg bg-white focus:border-indigo-500"
+                                >
+                                    <option value={-1}>(tidak dipakai)</option>
+                                    {csvImport.headers.map((header, index) => (
+                                        <option key={index} value={index}>{header || `Kolom ${index + 1}`}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                        <label className="text-sm">
+                            <span className="block text-gray-500 mb-1">Format Tanggal</span>
+                            <select
+                                value={csvImport.dateFormat}
+                                onChange={(e) => setCsvImport({ ...csvImport, dateFormat: e.target.value, dateFormatConfirmed: true })}
+                                className={`w-full p-2 border-2 rounded-lg bg-white focus:border-indigo-500 ${isDateFormatAmbiguous ? 'border-amber-400' : 'border-indigo-200'}`}
+                            >
+                                {dateFormats.map(format => (
+                                    <option key={format.value} value={format.value}>{format.value} ({format.label})</option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+
+                    {isDateFormatAmbiguous && (
+                        <div className="p-3 bg-amber-50 rounded-lg text-sm text-amber-800">
+                            Tanggal di kolom deadline cocok dengan {csvImport.dateFormats.join(' dan ')} (misalnya 03/04 bisa 3 April atau 4 Maret).
+                            Pilih format tanggal yang benar sebelum mengimpor.
+                            <button
+                                onClick={() => setCsvImport({ ...csvImport, dateFormatConfirmed: true })}
+                                className="ml-2 font-semibold underline hover:text-amber-900"
+                            >
+                                {csvImport.dateFormat} sudah benar
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Step 2: preview */}
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500 border-b">
+                                    <th className="py-1 pr-3">Nama</th>
+                                    <th className="py-1 pr-3">Kategori</th>
+                                    <th className="py-1 pr-3">Prioritas</th>
+                                    <th className="py-1 pr-3">Deadline ({csvImport.dateFormat})</th>
+                                    <th className="py-1">Selesai</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {preview.tasks.slice(0, 10).map((task, index) => (
+                                    <tr key={index} className="border-b border-gray-100">
+                                        <td className="py-1 pr-3 font-medium text-indigo-800">{task.name}</td>
+                                        <td className="py-1 pr-3">{task.category}</td>
+                                        <td className="py-1 pr-3"><span className={`px-2 py-0.5 rounded-full border text-xs ${getPriorityStyle(task.priority)}`}>{task.priority}</span></td>
+                                        <td className="py-1 pr-3">{task.deadline || '-'}</td>
+                                        <td className="py-1">{task.completed ? 'Ya' : 'Tidak'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {preview.tasks.length > 10 && <p className="text-xs text-gray-500 mt-1">…dan {preview.tasks.length - 10} tugas lainnya</p>}
+                    </div>
+
+                    {preview.errors.length > 0 && (
+                        <div className="p-3 bg-red-50 rounded-lg">
+                            <p className="text-sm font-semibold text-red-700 mb-1">{preview.errors.length} baris akan dilewati:</p>
+                            <ul className="text-xs text-red-600 space-y-1 max-h-32 overflow-y-auto">
+                                {preview.errors.map(error => (
+                                    <li key={error.row}>Baris {error.row}: {error.message}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    <div className="flex justify-end space-x-3">
+                        <button onClick={() => setCsvImport(null)} className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition">
+                            Batal
+                        </button>
+                        <button
+                            onClick={handleImport}
+                            disabled={preview.tasks.length === 0 || isDateFormatAmbiguous}
+                            className="py-2 px-4 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition disabled:opacity-50"
+                        >
+                            Impor {preview.tasks.length} Tugas
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Backup & restore of every collection the user owns, as one versioned JSON file
+const DataPage = ({ data, store, addTask, quarantined }) => {
+    const [restore, setRestore] = useState(null); // { fileName, error, records, invalid }
+    const [mode, setMode] = useState('merge');
+    const [dryRun, setDryRun] = useState(true);
+    const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+    const [message, setMessage] = useState(null);
 
-    const toggleMode = () => {
-        setIsPomodoro(prev => !prev);
-        setTime(isPomodoro ? (5 * 60) : (25 * 60)); // Toggle between 25/5
-        setIsActive(false);
+    const handleExport = () => {
+        downloadFile(`genz-planner-backup-${toDateKey()}.json`, JSON.stringify(createBackup(data, quarantined), null, 2), 'application/json');
     };
 
-    const resetTimer = () => {
-        setIsActive(false);
-        setTime(isPomodoro ? (25 * 60) : (5 * 60));
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setMessage(null);
+        setDryRun(true);
+        setRestore({ fileName: file.name, ...parseBackup(await file.text(), userCollections) });
     };
 
-    useEffect(() => {
-        let interval = null;
-        if (isActive && time > 0) {
-            interval = setInterval(() => {
-                setTime(time => time - 1);
-            }, 1000);
-        } else if (time === 0) {
-            clearInterval(interval);
-            setIsActive(false);
-            // In a real app, this would trigger a notification/sound
-            // Menggunakan konsol.log sebagai ganti alert()
-            console.log('Sesi selesai! Ambil istirahat.');
-        }
-        return () => clearInterval(interval);
-    }, [isActive, time, isPomodoro]);
+    // Dry-run preview: what the chosen mode would create, overwrite and delete
+    const plan = restore && !restore.error ? planRestore(restore.records, data, mode) : null;
+    const summary = plan ? summarizePlan(plan) : null;
 
-    const formatTime = (seconds) => {
-        const minutes = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    // Restore writes are queued like every other write: they show up at once, sync in the
+    // background (also after coming back online) and failed ones can be retried from the sync indicator
+    const handleRestore = () => {
+        setIsConfirmOpen(false);
+        applyRestore(plan, store, syncQueue.enqueue).catch(e => {
+            console.error("Error restoring backup:", e);
+            setMessage("Sebagian data backup gagal disimpan. Cek indikator sinkronisasi untuk mencoba lagi.");
+        });
+        setMessage(`Backup dipulihkan: ${summary.create} dibuat, ${summary.update} ditimpa, ${summary.remove} dihapus.`);
+        setRestore(null);
     };
 
     return (
         <div className="p-6">
             <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
-                <Brain className="mr-3" /> Focus Mode (Pomodoro)
+                <Database className="mr-3" /> Data & Backup
             </h1>
 
-            <div className="max-w-md mx-auto bg-white p-8 rounded-2xl shadow-2xl text-center">
-                <p className="text-xl font-semibold mb-6 text-gray-700">
-                    Mode Saat Ini: <span className={`font-extrabold ${isPomodoro ? 'text-red-500' : 'text-green-500'}`}>{isPomodoro ? 'FOCUS (25 Min)' : 'BREAK (5 Min)'}</span>
-                </p>
-
-                {/* Timer Display */}
-                <div className="relative inline-block">
-                    <svg className="w-64 h-64">
-                        <circle
-                            className="text-gray-200"
-                            strokeWidth="10"
-                            stroke="currentColor"
-                            fill="transparent"
-                            r="120"
-                            cx="128"
-                            cy="128"
-                        />
-                        <circle
-                            className={`${isPomodoro ? 'text-red-500' : 'text-green-500'}`}
-                            strokeWidth="10"
-                            strokeDasharray={2 * Math.PI * 120}
-                            strokeDashoffset={(2 * Math.PI * 120) * (1 - (time / (isPomodoro ? 1500 : 300)))}
-                            strokeLinecap="round"
-                            stroke="currentColor"
-                            fill="transparent"
-                            r="120"
-                            cx="128"
-                            cy="128"
-                            style={{ transition: 'stroke-dashoffset 1s linear' }}
-                        />
-                    </svg>
-                    <div className="absolute inset-0 flex items-center justify-center">
-                        <span className="text-6xl font-black text-indigo-800">{formatTime(time)}</span>
-                    </div>
+            {message && (
+                <div className="mb-6 p-3 bg-indigo-50 text-indigo-700 rounded-xl text-sm font-medium flex items-center justify-between">
+                    {message}
+                    <button onClick={() => setMessage(null)} className="p-1 hover:bg-indigo-100 rounded-full"><X size={16} /></button>
                 </div>
+            )}
 
-
-                {/* Controls */}
-                <div className="flex justify-center space-x-4 mt-6">
-                    <button
-                        onClick={() => setIsActive(prev => !prev)}
-                        className={`py-3 px-8 text-white font-bold rounded-xl transition transform hover:scale-105 shadow-lg ${isActive ? 'bg-red-500 hover:bg-red-600 shadow-red-300/50' : 'bg-green-500 hover:bg-green-600 shadow-green-300/50'}`}
-                    >
-                        {isActive ? 'Pause' : 'Mulai'}
-                    </button>
-                    <button
-                        onClick={resetTimer}
-                        className="py-3 px-8 bg-gray-200 text-gray-800 font-bold rounded-xl hover:bg-gray-300 transition transform hover:scale-105"
-                    >
-                        Reset
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Backup */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-xl font-bold text-indigo-700 mb-2">Backup Lengkap</h2>
+                    <p className="text-sm text-gray-600 mb-4">Unduh semua datamu dalam satu file JSON. ID, waktu dan riwayat kebiasaan ikut tersimpan.</p>
+                    <ul className="text-sm text-gray-700 space-y-1 mb-4">
+                        {userCollections.map(name => (
+                            <li key={name} className="flex justify-between border-b border-gray-100 py-1">
+                                <span>{collectionLabels[name]}</span>
+                                <span className="font-semibold text-indigo-600">{(data[name] || []).length}</span>
+                            </li>
+                        ))}
+                    </ul>
+                    <button onClick={handleExport} className="flex items-center bg-indigo-600 text-white py-2 px-5 rounded-xl font-bold shadow-lg shadow-indigo-300/50 hover:bg-indigo-700 transition">
+                        <Download size={18} className="mr-2" /> Unduh Backup (.json)
                     </button>
                 </div>
-                <button
-                    onClick={toggleMode}
-                    className="mt-4 text-sm text-indigo-600 font-semibold hover:text-indigo-800 transition"
-                >
-                    Switch ke {isPomodoro ? 'Break Mode (5 Min)' : 'Focus Mode (25 Min)'}
-                </button>
-
-                {/* Notes and Music */}
-                <div className="mt-8 pt-6 border-t border-gray-100">
-                    <h3 className="text-lg font-bold text-indigo-700 mb-3">Catatan Sesi Fokus</h3>
-                    <textarea
-                        className="w-full p-3 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm h-24"
-                        placeholder="Apa yang kamu kerjakan? Catatan hasil sesi..."
-                        value={note}
-                        onChange={(e) => setNote(e.target.value)}
-                    ></textarea>
 
-                    <div className="mt-4 text-sm text-gray-600 flex items-center justify-center">
-                        <div className="p-2 bg-indigo-50 rounded-full mr-2">🎶</div> Musik Fokus/White Noise (Integrasi Mock)
-                    </div>
-                </div>
-            </div>
-        </div>
-    );
-};
+                {/* Restore */}
+                <div className="bg-white p-6 rounded-2xl shadow-xl">
+                    <h2 className="text-xl font-bold text-indigo-700 mb-2">Pulihkan dari Backup</h2>
+                    <p className="text-sm text-gray-600 mb-4">Pilih file backup. Kamu akan melihat pratinjau perubahannya dulu sebelum ada yang disimpan.</p>
+                    <label className="inline-flex items-center py-2 px-5 text-sm font-semibold text-indigo-600 border-2 border-indigo-200 rounded-xl hover:bg-indigo-50 transition cursor-pointer">
+                        <Upload size={18} className="mr-2" /> Pilih File Backup
+                        <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                    </label>
 
-// Placeholder components for other pages (E, G, H, I)
-const CalendarView = () => (
-    <div className="p-6">
-        <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center"><CalendarIcon className="mr-3" /> Kalender</h1>
-        <div className="bg-white p-6 rounded-xl shadow-xl border-l-4 border-blue-500">
-            <p className="text-gray-700">Tampilan Kalender (Daily–Weekly–Monthly View) untuk melihat jadwal kuliah, kerja, konten, deadline, dan event. (Mock: Integrasi kalender kompleks memerlukan library pihak ketiga).</p>
-            <div className="mt-4 grid grid-cols-7 gap-1 text-center font-bold text-sm">
-                {['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'].map(day => <div key={day} className="text-blue-600">{day}</div>)}
-            </div>
-            <div className="grid grid-cols-7 gap-1 mt-1 text-center h-48 border p-1 rounded-lg">
-                <div className="col-span-full text-gray-400 flex items-center justify-center">...Tampilan tanggal dan event...</div>
-            </div>
-        </div>
-    </div>
-);
+                    {restore?.error && <p className="mt-4 text-sm text-red-600 font-medium">{restore.fileName}: {restore.error}</p>}
 
-const ReflectionPage = () => {
-    const [mood, setMood] = useState('😊');
-    const [achievement, setAchievement] = useState('Mengerjakan tugas skripsi 2 jam tanpa distraksi.');
-    const [challenge, setChallenge] = useState('Terlalu banyak distraksi dari media sosial.');
-    const [improvement, setImprovement] = useState('Mulai Focus Mode segera setelah selesai rutinitas pagi.');
+                    {plan && (
+                        <div className="mt-4 space-y-4">
+                            <p className="text-sm font-semibold text-gray-700">{restore.fileName}</p>
+                            <div className="space-y-2">
+                                {restoreModes.map(option => (
+                                    <label key={option.value} className="flex items-start text-sm cursor-pointer">
+                                        <input type="radio" name="restore-mode" value={option.value} checked={mode === option.value} onChange={() => setMode(option.value)} className="mt-1 mr-2" />
+                                        <span><span className="font-semibold text-indigo-700">{option.label}</span> · <span className="text-gray-600">{option.hint}</span></span>
+                                    </label>
+                                ))}
+                                <label className="flex items-center text-sm cursor-pointer">
+                                    <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} className="mr-2" />
+                                    Pratinjau saja (dry-run), jangan simpan apa pun
+                                </label>
+                            </div>
 
-    return (
-        <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center"><CheckCircle className="mr-3" /> Reflection Page (Refleksi Harian)</h1>
-            <div className="max-w-2xl mx-auto bg-white p-8 rounded-2xl shadow-2xl space-y-6">
-                <p className="text-lg font-bold text-gray-700 border-b pb-3">Refleksi Otomatis untuk {new Date().toLocaleDateString('id-ID', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500 border-b">
+                                        <th className="py-1">Koleksi</th>
+                                        <th className="py-1 text-green-600">Baru</th>
+                                        <th className="py-1 text-amber-600">Ditimpa</th>
+                                        <th className="py-1 text-red-600">Dihapus</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {Object.entries(plan).map(([name, p]) => (
+                                        <tr key={name} className="border-b border-gray-100">
+                                            <td className="py-1">{collectionLabels[name]}</td>
+                                            <td className="py-1">{p.create.length}</td>
+                                            <td className="py-1">{p.update.length}</td>
+                                            <td className="py-1">{p.remove.length}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
 
-                <div className="flex items-center space-x-4">
-                    <label className="text-xl font-semibold text-indigo-600">Mood Hari Ini?</label>
-                    <select
-                        value={mood}
-                        onChange={(e) => setMood(e.target.value)}
-                        className="text-4xl p-2 bg-gray-100 rounded-xl"
-                    >
-                        <option value="😊">😊 Semangat</option>
-                        <option value="😐">😐 Biasa Saja</option>
-                        <option value="😭">😭 Sedih/Lelah</option>
-                        <option value="🥳">🥳 Luar Biasa</option>
-                    </select>
-                </div>
+                            {restore.invalid.length > 0 && (
+                                <div className="p-3 bg-red-50 rounded-lg">
+                                    <p className="text-sm font-semibold text-red-700 mb-1">{restore.invalid.length} data tidak valid dan akan dilewati:</p>
+                                    <ul className="text-xs text-red-600 space-y-1 max-h-40 overflow-y-auto">
+                                        {restore.invalid.map(item => (
+                                            <li key={`${item.collection}-${item.index}`}>
+                                                <span className="font-semibold">{collectionLabels[item.collection] || item.collection}{item.index >= 0 ? ` #${item.index + 1}` : ''}{item.id ? ` (${item.id})` : ''}</span>: {item.errors.join('; ')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
 
-                {/* Question Blocks */}
-                <div className="space-y-4">
-                    {[{ title: 'Apa pencapaian hari ini?', value: achievement, setter: setAchievement },
-                      { title: 'Apa tantangan hari ini?', value: challenge, setter: setChallenge },
-                      { title: 'Apa yang perlu diperbaiki?', value: improvement, setter: setImprovement }].map((item, index) => (
-                        <div key={index} className="border-l-4 border-pink-400 pl-4 py-2 bg-pink-50 rounded-lg">
-                            <label className="block text-lg font-semibold text-pink-700 mb-2">{item.title}</label>
-                            <textarea
-                                className="w-full p-3 border border-pink-200 rounded-lg focus:border-pink-500 transition shadow-sm h-20"
-                                value={item.value}
-                                onChange={(e) => item.setter(e.target.value)}
-                            />
+                            <div className="flex justify-end space-x-3">
+                                <button onClick={() => setRestore(null)} className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition">
+                                    Batal
+                                </button>
+                                <button
+                                    onClick={() => mode === 'replace' ? setIsConfirmOpen(true) : handleRestore()}
+                                    disabled={dryRun || summary.create + summary.update + summary.remove === 0}
+                                    className="py-2 px-4 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition disabled:opacity-50"
+                                    title={dryRun ? 'Matikan pratinjau saja untuk memulihkan' : undefined}
+                                >
+                                    Pulihkan Sekarang
+                                </button>
+                            </div>
                         </div>
-                    ))}
+                    )}
                 </div>
+            </div>
 
-                <button className="w-full py-3 bg-indigo-500 text-white font-bold rounded-xl hover:bg-indigo-600 transition shadow-lg shadow-indigo-300/50">
-                    Simpan Refleksi
-                </button>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+                <QuarantineSection quarantined={quarantined} store={store} />
+                <CsvSection tasks={data.tasks} habits={data.habits} addTask={addTask} />
             </div>
+
+            <Modal
+                isOpen={isConfirmOpen}
+                title="Ganti Semua Data?"
+                onClose={() => setIsConfirmOpen(false)}
+                footer={
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            onClick={() => setIsConfirmOpen(false)}
+                            className="py-2 px-4 bg-gray-300 text-gray-800 font-semibold rounded-lg hover:bg-gray-400 transition"
+                        >
+                            Batal
+                        </button>
+                        <button
+                            onClick={handleRestore}
+                            className="py-2 px-4 bg-red-500 text-white font-semibold rounded-lg hover:bg-red-600 transition"
+                        >
+                            Ganti Data
+                        </button>
+                    </div>
+                }
+            >
+                <p>{summary?.remove} data yang tidak ada di backup akan **dihapus permanen**, dan {summary?.update} data akan ditimpa. Lanjutkan?</p>
+            </Modal>
         </div>
     );
 };
 
-const LibraryPage = () => {
-    const [books, setBooks] = useState([initialLibraryItem]);
-    const [isModalOpen, setIsModalOpen] = useState(false);
 
-    const ReadingCard = ({ book }) => {
-        const progress = Math.min(100, (book.currentPage / book.totalPages) * 100);
-        return (
-            <div className="bg-white p-5 rounded-2xl shadow-xl border-l-4 border-amber-500 transform hover:scale-[1.01] transition">
-                <h2 className="text-xl font-extrabold text-amber-700">{book.title}</h2>
-                <p className="text-sm text-gray-500 italic mb-3">Oleh {book.author}</p>
+// --- COMMAND PALETTE & KEYBOARD SHORTCUTS ---
 
-                <div className="text-sm text-gray-800 mb-3">
-                    <p className="font-semibold">Highlight:</p>
-                    <blockquote className="italic border-l-2 pl-2 text-gray-600">"{book.highlight}"</blockquote>
-                </div>
+const Kbd = ({ children }) => (
+    <kbd className="px-1.5 py-0.5 min-w-[1.5rem] text-center rounded border border-gray-300 bg-gray-50 text-gray-600 font-mono text-xs">{children}</kbd>
+);
 
-                <div className="mb-4">
-                    <p className="text-sm font-semibold text-gray-700">Progress: {book.currentPage} / {book.totalPages} halaman</p>
-                    <div className="h-2 bg-gray-200 rounded-full mt-1">
-                        <div
-                            className="h-full bg-amber-500 rounded-full"
-                            style={{ width: `${progress}%` }}
-                        ></div>
-                    </div>
-                </div>
+// Title with the letters matched by the search in bold
+const HighlightedText = ({ text, indices }) => {
+    if (indices.length === 0) return text;
+    const matched = new Set(indices);
+    return [...text].map((char, i) => (matched.has(i) ? <strong key={i} className="text-indigo-600">{char}</strong> : char));
+};
 
-                <p className="text-xs font-medium text-gray-600 border-t pt-3">Refleksi: {book.reflection}</p>
-            </div>
-        );
-    };
+// Mounted only while open, so the query starts empty every time
+const CommandPalette = ({ commands, onClose }) => {
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const listRef = useRef(null);
+    const results = useMemo(() => searchCommands(commands, query), [commands, query]);
 
-    return (
-        <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6 flex items-center">
-                <BookOpen className="mr-3" /> Library Page (Bacaan/Belajar)
-            </h1>
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
 
-            <button
-                onClick={() => setIsModalOpen(true)}
-                className="mb-6 flex items-center bg-amber-500 text-white py-3 px-6 rounded-xl font-bold shadow-lg shadow-amber-300/50 hover:bg-amber-600 transition transform hover:scale-[1.02]"
-            >
-                <Plus size={20} className="mr-2" /> Tambah Buku Baru
-            </button>
+    const run = (command) => {
+        onClose();
+        command.run();
+    };
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                {books.map((book, index) => <ReadingCard key={index} book={book} />)}
-            </div>
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveIndex(index => (results.length === 0 ? 0 : (index + step + results.length) % results.length));
+        } else if (e.key === 'Enter' && results[activeIndex]) {
+            e.preventDefault();
+            run(results[activeIndex]);
+        }
+    };
 
-            <Modal isOpen={isModalOpen} title="Tambah Buku Baru" onClose={() => setIsModalOpen(false)}>
-                <p>Form untuk menambah buku, mencatat highlight, dan tracking progress halaman. (Mock)</p>
-                <button
-                    onClick={() => setIsModalOpen(false)}
-                    className="mt-4 py-2 px-4 bg-indigo-500 text-white font-semibold rounded-lg hover:bg-indigo-600 transition"
-                >
-                    Tutup
-                </button>
-            </Modal>
-        </div>
+    return (
+        <Modal isOpen title="Palet Perintah" onClose={onClose}>
+            <div className="relative">
+                <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+                    onKeyDown={handleKeyDown}
+                    placeholder="Cari halaman, tugas, kebiasaan, buku, refleksi..."
+                    role="combobox"
+                    aria-expanded="true"
+                    aria-controls="command-palette-results"
+                    aria-activedescendant={results[activeIndex] ? `command-${activeIndex}` : undefined}
+                    className="w-full p-3 pl-10 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 transition shadow-sm"
+                />
+            </div>
+            <ul id="command-palette-results" role="listbox" ref={listRef} className="mt-3 max-h-80 overflow-y-auto space-y-1">
+                {results.map((command, i) => (
+                    <li
+                        key={command.id}
+                        id={`command-${i}`}
+                        role="option"
+                        aria-selected={i === activeIndex}
+                        onMouseMove={() => setActiveIndex(i)}
+                        onClick={() => run(command)}
+                        className={`flex items-center justify-between gap-3 p-2 rounded-lg cursor-pointer text-sm ${i === activeIndex ? 'bg-indigo-50' : ''}`}
+                    >
+                        <span className="truncate text-gray-800"><HighlightedText text={command.title} indices={command.indices} /></span>
+                        <span className="flex items-center gap-2 shrink-0 text-xs text-gray-400">
+                            {command.hint && <span>{command.hint}</span>}
+                            {command.shortcut && <Kbd>{formatKey(command.shortcut)}</Kbd>}
+                            <span>{command.group}</span>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+            {results.length === 0 && <p className="mt-3 text-sm text-gray-500 italic">Tidak ada yang cocok dengan "{query}".</p>}
+            <p className="mt-3 text-xs text-gray-400">↑↓ pilih · Enter jalankan · Esc tutup</p>
+        </Modal>
     );
 };
 
-const AnalyticsPage = () => {
-    const stats = [
-        { title: "Hari Paling Produktif", value: "Rabu", icon: <BarChart />, color: "text-green-500" },
-        { title: "Kebiasaan Terbanyak", value: "Minum air (Streak 5)", icon: <Flame />, color: "text-red-500" },
-        { title: "Waktu Fokus Terbanyak", value: "20 Jam", icon: <Clock />, color: "text-blue-500" },
-        { title: "Target Bulan Berjalan", value: "70% Selesai", icon: <Target />, color: "text-pink-500" },
-    ];
-    return (
-        <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-8 flex items-center">
-                <BarChart className="mr-3" /> Analytics / Insight
-            </h1>
+// Cheat sheet that doubles as the shortcut editor: click a key, then press the new one
+const ShortcutSheet = ({ isOpen, shortcuts, onChange, onClose }) => {
+    const [recording, setRecording] = useState(null); // action ID waiting for a key
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-                {stats.map((stat, index) => (
-                    <div key={index} className="bg-white p-6 rounded-2xl shadow-xl border-t-8 border-indigo-200 hover:shadow-2xl transition">
-                        <div className={`text-3xl font-extrabold ${stat.color} mb-2`}>{stat.icon}</div>
-                        <h2 className="text-sm font-medium text-gray-500">{stat.title}</h2>
-                        <p className="text-xl font-bold text-indigo-800 mt-1">{stat.value}</p>
-                    </div>
-                ))}
-            </div>
+    const handleRecordKey = (e, actionId) => {
+        if (e.key === 'Escape') {
+            e.preventDefault(); // cancels recording instead of closing the sheet
+            setRecording(null);
+            return;
+        }
+        if (e.key === 'Backspace' || e.key === 'Delete') {
+            e.preventDefault();
+            onChange(bindShortcut(shortcuts, actionId, null));
+            setRecording(null);
+            return;
+        }
+        const key = getShortcutKey(e);
+        if (!key) return;
+        e.preventDefault();
+        onChange(bindShortcut(shortcuts, actionId, key));
+        setRecording(null);
+    };
 
-            <div className="mt-8 bg-white p-6 rounded-2xl shadow-xl">
-                <h2 className="text-2xl font-extrabold text-indigo-800 mb-4">Grafik Tren Produktivitas</h2>
-                <div className="h-64 border p-4 rounded-lg flex items-center justify-center text-gray-400">
-                    ...Placeholder untuk grafik (memerlukan library D3/Recharts)...
+    return (
+        <Modal
+            isOpen={isOpen}
+            title="Pintasan Keyboard"
+            onClose={onClose}
+            footer={(
+                <div className="flex justify-between">
+                    <button onClick={() => onChange(normalizeShortcuts(null))} className="py-2 px-4 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300 transition">
+                        Kembalikan Default
+                    </button>
+                    <button onClick={onClose} className="py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition">
+                        Selesai
+                    </button>
                 </div>
-            </div>
-        </div>
+            )}
+        >
+            <p className="text-sm text-gray-500 mb-3">Klik tombol di kanan lalu tekan tombol baru untuk mengganti pintasan (Backspace menghapusnya). Pintasan tidak aktif saat mengetik atau saat ada jendela terbuka.</p>
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                <li className="flex items-center justify-between py-2 text-sm">
+                    <span className="text-gray-700">Buka palet perintah (di mana saja)</span>
+                    <span className="flex gap-1"><Kbd>Ctrl/⌘</Kbd><Kbd>K</Kbd></span>
+                </li>
+                {shortcutActions.map(action => (
+                    <li key={action.id} className="flex items-center justify-between py-2 text-sm">
+                        <span className="text-gray-700">{action.label}</span>
+                        <button
+                            onClick={() => setRecording(action.id)}
+                            onKeyDown={recording === action.id ? (e) => handleRecordKey(e, action.id) : undefined}
+                            onBlur={() => setRecording(null)}
+                            className={`py-1 px-3 rounded-lg border font-mono text-xs transition ${recording === action.id ? 'border-indigo-500 bg-indigo-50 text-indigo-600' : 'border-gray-300 bg-gray-50 text-gray-600 hover:bg-gray-100'}`}
+                            aria-label={`Pintasan untuk ${action.label}`}
+                        >
+                            {recording === action.id ? 'Tekan tombol...' : shortcuts[action.id] ? formatKey(shortcuts[action.id]) : '—'}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </Modal>
     );
 };
 
-
 // --- MAIN APP COMPONENT ---
 
 const App = () => {
-    const [currentPage, setCurrentPage] = useState('dashboard');
-    const { db, userId, isAuthReady } = useFirebase();
+    const route = useRoute();
+    const currentPage = route.page || 'dashboard';
+    const setCurrentPage = (page) => router.navigate({ page });
+
+    // Back/forward and page changes restore the scroll position saved for that history entry
+    useEffect(() => {
+        if (route.action === 'replace' || route.scrollY === null) return;
+        window.scrollTo({ top: route.scrollY, behavior: 'instant' });
+    }, [route]);
+
+    const { auth, userId, account, isAuthReady, store, refreshAccount } = useFirebase();
+    const sync = useSyncStatus();
+    const { canInstall, install } = useInstallPrompt();
 
     // Fetch data using the custom hook
     const {
         data: tasks,
+        quarantined: quarantinedTasks,
         loading: tasksLoading,
+        syncStatus: taskSyncStatus,
         addData: addTask,
         updateData: updateTask,
         deleteData: deleteTask
-    } = useFirestoreCollection(db, userId, 'tasks');
+    } = useFirestoreCollection(store, 'tasks');
+
+    // Completing an occurrence of a recurring task schedules the next one (once per occurrence,
+    // so unchecking and checking it again does not create duplicates). Occurrences whose next one
+    // is still being written are tracked here; see updateRecurringTask in src/lib/recurrence.js.
+    const [generatingNext] = useState(() => new Set());
+    const updateTaskWithRecurrence = useCallback((id, changes) => updateRecurringTask(id, changes, {
+        task: tasks.find(t => t.id === id),
+        generating: generatingNext,
+        addTask,
+        updateTask,
+    }), [tasks, generatingNext, addTask, updateTask]);
 
     const {
         data: habits,
+        quarantined: quarantinedHabits,
         loading: habitsLoading,
+        syncStatus: habitSyncStatus,
         addData: addHabit,
         updateData: updateHabit,
         deleteData: deleteHabit
-    } = useFirestoreCollection(db, userId, 'habits');
+    } = useFirestoreCollection(store, 'habits');
+
+    const {
+        data: routines,
+        quarantined: quarantinedRoutines,
+        loading: routinesLoading,
+        addData: addRoutine,
+        updateData: updateRoutine,
+        deleteData: deleteRoutine
+    } = useFirestoreCollection(store, 'routines', 'order');
+
+    const {
+        data: books,
+        quarantined: quarantinedBooks,
+        loading: booksLoading,
+        addData: addBook,
+        updateData: updateBook,
+        deleteData: deleteBook
+    } = useFirestoreCollection(store, 'books', 'title');
+
+    // Completed Pomodoro focus sessions logged by FocusMode
+    const {
+        data: focusSessions,
+        quarantined: quarantinedFocusSessions,
+        addData: addFocusSession
+    } = useFirestoreCollection(store, 'focusSessions', 'startedAt');
+
+    // Data left over from local-only mode can be moved into the Firestore account once signed in
+    // (not for anonymous guests: their data would stay behind a throwaway account)
+    const [hasLocalLeftovers, setHasLocalLeftovers] = useState(() => !isLocalOnly && hasLocalData(localStore, userCollections));
+    const [dismissedMigrationFor, setDismissedMigrationFor] = useState(null);
+    const [isMigratingLocalData, setIsMigratingLocalData] = useState(false);
+    const [notice, setNotice] = useState(null);
+    const showLocalMigration = hasLocalLeftovers && store && account && !account.isAnonymous
+        && dismissedMigrationFor !== userId && localStorage.getItem(localMigrationDismissedKey(userId)) !== '1';
+
+    const dismissLocalMigration = () => {
+        localStorage.setItem(localMigrationDismissedKey(userId), '1');
+        setDismissedMigrationFor(userId);
+    };
+
+    const handleMigrateLocalData = async () => {
+        setIsMigratingLocalData(true);
+        try {
+            const { moved, skipped } = await migrateLocalData(localStore, store, userCollections, syncQueue.enqueue);
+            setNotice(skipped > 0
+                ? `${moved} data lokal dipindahkan ke akunmu. ${skipped} data rusak tetap di perangkat ini.`
+                : `${moved} data lokal berhasil dipindahkan ke akunmu.`);
+            setHasLocalLeftovers(false);
+        } catch (e) {
+            console.error("Error migrating local data:", e);
+            setNotice("Gagal memindahkan data lokal. Data tetap tersimpan di perangkat ini, coba lagi nanti.");
+        } finally {
+            setIsMigratingLocalData(false);
+        }
+    };
+
+    // Finish an email-link sign-in when the app is opened from the link in the email
+    useEffect(() => {
+        if (!auth || !isAuthReady) return;
+        completeEmailLinkSignIn(auth, window.location.href).then(user => {
+            if (!user) return;
+            window.history.replaceState(null, '', window.location.pathname);
+            refreshAccount();
+            setNotice(`Masuk sebagai ${user.email}.`);
+        }).catch(e => {
+            console.error("Email link sign-in failed:", e);
+            setNotice(getAuthErrorMessage(e));
+        });
+    }, [auth, isAuthReady, refreshAccount]);
+
+    // Account deletion: the client SDK cannot delete a subtree, so clear every user collection.
+    // The emptied collections must not look like a new user to the seeding below, which would
+    // write the sample data back before the account is gone; seeding stays off for this user.
+    const deletedUserId = useRef(null);
+    const deleteUserData = useCallback(() => {
+        deletedUserId.current = userId;
+        return Promise.all(userCollections.map(name => store.clear(name)));
+    }, [store, userId]);
+
+    const focusTimer = useFocusTimer();
+    const reminders = useReminders({ tasks, habits, routines, timer: focusTimer.timer });
+    const { timer: { unsaved: unsavedSessions }, markSaved: markFocusSessionsSaved } = focusTimer;
+    const savingSessionIds = useRef(new Set());
+
+    // Write finished focus sessions once Firestore is ready (they may finish while offline or before auth after a reload)
+    useEffect(() => {
+        const pending = unsavedSessions.filter(session => !savingSessionIds.current.has(session.id));
+        if (!store || pending.length === 0) return;
+        pending.forEach(session => savingSessionIds.current.add(session.id));
+        Promise.all(pending.map(({ id, ...session }) => {
+            const task = tasks.find(t => t.id === session.taskId);
+            return addFocusSession({ ...session, taskName: task ? task.name : null }).then(() => id);
+        })).then(markFocusSessionsSaved).catch(e => {
+            console.error("Error saving focus sessions:", e);
+            pending.forEach(session => savingSessionIds.current.delete(session.id));
+        });
+    }, [store, unsavedSessions, tasks, addFocusSession, markFocusSessionsSaved]);
+
+    // Show the running timer in the tab title, handy when the planner sits in a background tab
+    const focusRemainingLabel = focusTimer.timer.status === 'running'
+        ? `${formatTime(Math.ceil(focusTimer.remainingMs / 1000))} ${focusPhases[focusTimer.timer.phase].label}`
+        : null;
+    useEffect(() => {
+        document.title = focusRemainingLabel ? `${focusRemainingLabel} · GenZ Planner` : 'GenZ Planner';
+    }, [focusRemainingLabel]);
+
+    // One reflection document per day (ID = YYYY-MM-DD), shared with app.js
+    const {
+        data: reflections,
+        quarantined: quarantinedReflections,
+        loading: reflectionsLoading,
+        upsertData: saveReflection
+    } = useFirestoreCollection(store, 'reflections');
+
+    // Kanban column setup per task category (ID = category name)
+    const {
+        data: kanbanBoards,
+        quarantined: quarantinedKanbanBoards,
+        upsertData: saveKanbanBoard
+    } = useFirestoreCollection(store, 'kanbanBoards');
+
+    // One document per day (ID = YYYY-MM-DD) holding the checked activity IDs per routine block
+    const {
+        data: routineLogs,
+        quarantined: quarantinedRoutineLogs,
+        upsertData: saveRoutineLog
+    } = useFirestoreCollection(store, 'routineLogs');
+
+    // Documents that failed migration or validation, kept out of the views (see DataPage)
+    const quarantined = {
+        tasks: quarantinedTasks,
+        habits: quarantinedHabits,
+        routines: quarantinedRoutines,
+        books: quarantinedBooks,
+        focusSessions: quarantinedFocusSessions,
+        reflections: quarantinedReflections,
+        routineLogs: quarantinedRoutineLogs,
+        kanbanBoards: quarantinedKanbanBoards,
+    };
+    const quarantinedCount = Object.values(quarantined).reduce((sum, docs) => sum + docs.length, 0);
+
+    // The views fire writes without awaiting them. A rejected write (a document that fails
+    // validation, or one that still fails after the sync queue's retries) is shown in the notice
+    // instead of ending up as an unhandled rejection. Callers that await a write themselves
+    // (reflections, CSV import, focus sessions) keep the plain helpers and their own messages.
+    const reportWriteError = useCallback((e) => {
+        console.error("Error saving data:", e);
+        setNotice(e.code === 'invalid-document'
+            ? `Data tidak disimpan karena tidak valid: ${e.errors.join('; ')}.`
+            : "Gagal menyimpan perubahan. Cek indikator sinkronisasi untuk mencoba lagi.");
+    }, []);
+    const writes = useMemo(() => {
+        const notify = (write) => (...args) => write(...args).catch(reportWriteError);
+        return {
+            addTask: notify(addTask),
+            updateTask: notify(updateTaskWithRecurrence),
+            deleteTask: notify(deleteTask),
+            saveKanbanBoard: notify(saveKanbanBoard),
+            addHabit: notify(addHabit),
+            updateHabit: notify(updateHabit),
+            deleteHabit: notify(deleteHabit),
+            addRoutine: notify(addRoutine),
+            updateRoutine: notify(updateRoutine),
+            deleteRoutine: notify(deleteRoutine),
+            saveRoutineLog: notify(saveRoutineLog),
+            addBook: notify(addBook),
+            updateBook: notify(updateBook),
+            deleteBook: notify(deleteBook),
+        };
+    }, [reportWriteError, addTask, updateTaskWithRecurrence, deleteTask, saveKanbanBoard, addHabit, updateHabit, deleteHabit, addRoutine, updateRoutine, deleteRoutine, saveRoutineLog, addBook, updateBook, deleteBook]);
 
     // Add initial mock data if the collections are empty and authentication is ready
     useEffect(() => {
+        if (deletedUserId.current === userId) return;
         if (isAuthReady && !tasksLoading && tasks.length === 0 && userId) {
             console.log("Adding initial mock task...");
-            addTask(initialTask);
+            addTask(initialTask).catch(reportWriteError);
         }
         if (isAuthReady && !habitsLoading && habits.length === 0 && userId) {
             console.log("Adding initial mock habit...");
-            addHabit(initialHabit);
+            addHabit(initialHabit).catch(reportWriteError);
+        }
+        // Users who already have routines got them before the seeded flag existed
+        if (isAuthReady && !routinesLoading && userId && !hasSeeded(userId, 'routines')) {
+            if (routines.length === 0) {
+                console.log("Adding default routine blocks...");
+                initialRoutines.forEach(routine => addRoutine(routine).catch(reportWriteError));
+            }
+            markSeeded(userId, 'routines');
+        }
+        if (isAuthReady && !booksLoading && userId && !hasSeeded(userId, 'books')) {
+            if (books.length === 0) {
+                console.log("Adding initial library item...");
+                addBook(initialLibraryItem).catch(reportWriteError);
+            }
+            markSeeded(userId, 'books');
         }
-    }, [isAuthReady, tasksLoading, habitsLoading, tasks.length, habits.length, addTask, addHabit, userId]);
+    }, [isAuthReady, tasksLoading, habitsLoading, routinesLoading, booksLoading, tasks.length, habits.length, routines.length, books.length, addTask, addHabit, addRoutine, addBook, reportWriteError, userId]);
 
 
     const navItems = [
-        { id: 'dashboard', name: 'Dashboard', icon: Home, component: <Dashboard tasks={tasks} habits={habits} /> },
-        { id: 'routine', name: 'Daily Routine', icon: Clock, component: <DailyRoutine tasks={tasks} habits={habits} updateTask={updateTask} /> },
-        { id: 'tasks', name: 'Task Manager', icon: ListChecks, component: <TaskManager tasks={tasks} addTask={addTask} updateTask={updateTask} deleteTask={deleteTask} /> },
-        { id: 'habits', name: 'Habit Tracker', icon: Target, component: <HabitTracker habits={habits} addHabit={addHabit} updateHabit={updateHabit} deleteHabit={deleteHabit} /> },
-        { id: 'focus', name: 'Focus Mode', icon: Brain, component: <FocusMode /> },
-        { id: 'calendar', name: 'Kalender', icon: CalendarIcon, component: <CalendarView /> },
-        { id: 'reflection', name: 'Reflection', icon: CheckCircle, component: <ReflectionPage /> },
-        { id: 'library', name: 'Library', icon: BookOpen, component: <LibraryPage /> },
-        { id: 'analytics', name: 'Analytics', icon: BarChart, component: <AnalyticsPage /> },
+        { id: 'dashboard', name: 'Dashboard', icon: Home, component: <Dashboard tasks={tasks} habits={habits} focusSessions={focusSessions} reflections={reflections} routines={routines} routineLogs={routineLogs} /> },
+        { id: 'routine', name: 'Daily Routine', icon: Clock, component: <DailyRoutine routines={routines} routineLogs={routineLogs} addRoutine={writes.addRoutine} updateRoutine={writes.updateRoutine} deleteRoutine={writes.deleteRoutine} saveRoutineLog={writes.saveRoutineLog} /> },
+        { id: 'tasks', name: 'Task Manager', icon: ListChecks, component: <TaskManager tasks={tasks} addTask={writes.addTask} updateTask={writes.updateTask} deleteTask={writes.deleteTask} boards={kanbanBoards} saveBoard={writes.saveKanbanBoard} syncStatus={taskSyncStatus} /> },
+        { id: 'habits', name: 'Habit Tracker', icon: Target, component: <HabitTracker habits={habits} addHabit={writes.addHabit} updateHabit={writes.updateHabit} deleteHabit={writes.deleteHabit} syncStatus={habitSyncStatus} /> },
+        { id: 'focus', name: 'Focus Mode', icon: Brain, component: <FocusMode tasks={tasks} focusTimer={focusTimer} /> },
+        { id: 'calendar', name: 'Kalender', icon: CalendarIcon, component: <CalendarView tasks={tasks} habits={habits} routines={routines} addTask={writes.addTask} updateTask={writes.updateTask} /> },
+        { id: 'reflection', name: 'Reflection', icon: CheckCircle, component: <ReflectionPage reflections={reflections} isLoading={reflectionsLoading} saveReflection={saveReflection} /> },
+        { id: 'library', name: 'Library', icon: BookOpen, component: <LibraryPage books={books} addBook={writes.addBook} updateBook={writes.updateBook} deleteBook={writes.deleteBook} /> },
+        { id: 'analytics', name: 'Analytics', icon: BarChart, component: <AnalyticsPage tasks={tasks} habits={habits} focusSessions={focusSessions} reflections={reflections} /> },
+        { id: 'reminders', name: 'Pengingat', icon: Bell, component: <ReminderPage reminders={reminders} /> },
+        { id: 'data', name: 'Data & Backup', icon: Database, component: <DataPage data={{ tasks, habits, routines, books, focusSessions, reflections, routineLogs, kanbanBoards }} store={store} addTask={addTask} quarantined={quarantined} /> },
     ];
 
+    // --- Command palette and keyboard shortcuts ---
+    const { theme, toggleTheme } = useTheme();
+    const [shortcuts, setShortcuts] = useState(loadShortcuts);
+    const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+    const [isShortcutSheetOpen, setIsShortcutSheetOpen] = useState(false);
+
+    const saveShortcuts = (next) => {
+        setShortcuts(next);
+        localStorage.setItem('shortcuts', JSON.stringify(next));
+    };
+
+    const actionHandlers = {
+        palette: () => setIsPaletteOpen(open => !open),
+        help: () => setIsShortcutSheetOpen(true),
+        newTask: () => router.navigate({ page: 'tasks', id: 'new' }),
+        newHabit: () => router.navigate({ page: 'habits', id: 'new' }),
+        startFocus: () => {
+            if (focusTimer.timer.status === 'running') focusTimer.pause();
+            else focusTimer.start();
+            setCurrentPage('focus');
+        },
+        toggleTheme,
+    };
+    const runAction = (id) => (id.startsWith('goto:') ? setCurrentPage(id.slice('goto:'.length)) : actionHandlers[id]?.());
+    useKeyboardShortcuts(shortcuts, runAction);
+
+    // Built only while the palette is open; open tasks come before finished ones
+    const getPaletteCommands = () => {
+        const today = toDateKey();
+        return [
+            ...shortcutActions
+                .filter(action => action.id !== 'palette' && !action.id.startsWith('goto:'))
+                .map(action => ({ id: action.id, group: 'Aksi', title: action.label, shortcut: shortcuts[action.id], run: () => runAction(action.id) })),
+            ...navItems.map(item => ({ id: `goto:${item.id}`, group: 'Halaman', title: `Buka ${item.name}`, shortcut: shortcuts[`goto:${item.id}`], run: () => setCurrentPage(item.id) })),
+            ...habits.map(habit => {
+                const checkIns = getCheckIns(habit);
+                return {
+                    id: `check:${habit.id}`,
+                    group: 'Kebiasaan',
+                    title: `${isCheckedOn(checkIns, today) ? 'Batalkan centang' : 'Centang'}: ${habit.name}`,
+                    keywords: 'check habit kebiasaan hari ini',
+                    run: () => writes.updateHabit(habit.id, { checkIns: toggleCheckIn(checkIns, today) }),
+                };
+            }),
+            ...[...tasks].sort((a, b) => Number(a.completed) - Number(b.completed)).map(task => ({
+                id: `task:${task.id}`, group: 'Tugas', title: task.name, hint: task.deadline, keywords: task.category,
+                run: () => router.navigate({ page: 'tasks', id: task.id }),
+            })),
+            ...habits.map(habit => ({
+                id: `habit:${habit.id}`, group: 'Kebiasaan', title: habit.name, keywords: habit.category,
+                run: () => router.navigate({ page: 'habits', id: habit.id }),
+            })),
+            ...books.map(book => ({
+                id: `book:${book.id}`, group: 'Buku', title: book.title, keywords: book.author,
+                run: () => router.navigate({ page: 'library', id: book.id }),
+            })),
+            ...reflections.filter(entry => isDateKey(entry.id)).sort((a, b) => b.id.localeCompare(a.id)).map(entry => ({
+                id: `reflection:${entry.id}`,
+                group: 'Refleksi',
+                title: `Refleksi ${fromDateKey(entry.id).toLocaleDateString('id-ID', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}`,
+                keywords: `${entry.id} ${getReflectionFields(entry).achievement.slice(0, 60)}`,
+                run: () => router.navigate({ page: 'reflection', id: entry.id }),
+            })),
+        ];
+    };
+
     const renderContent = () => {
         if (!isAuthReady) {
             return (
@@ -1195,7 +4998,7 @@ const App = () => {
         }
 
         const currentItem = navItems.find(item => item.id === currentPage);
-        return currentItem ? currentItem.component : <Dashboard tasks={tasks} habits={habits} />;
+        return currentItem ? currentItem.component : <Dashboard tasks={tasks} habits={habits} focusSessions={focusSessions} reflections={reflections} routines={routines} routineLogs={routineLogs} />;
     };
 
     const NavItem = ({ id, name, icon: Icon }) => {
@@ -1222,7 +5025,7 @@ const App = () => {
                     scroll-behavior: smooth;
                 }
                 body {
-                    font-family: 'Inter', sans-serif;
+                    font-family: 'Inter Variable', 'Inter', sans-serif;
                 }
             `}</style>
             <div className="flex">
@@ -1238,15 +5041,54 @@ const App = () => {
                             ))}
                         </ul>
                     </nav>
-                    <div className="absolute bottom-5 left-5 right-5 p-3 bg-gray-50 rounded-lg text-xs text-gray-500 break-all">
-                        User ID: {userId || 'Authenticating...'}
+                    <div className="mt-4 flex gap-2">
+                        <button
+                            onClick={() => setIsPaletteOpen(true)}
+                            className="flex-1 flex items-center p-2 bg-gray-100 text-gray-600 rounded-xl text-sm hover:bg-gray-200 transition"
+                            title="Palet perintah (Ctrl/⌘ + K)"
+                        >
+                            <Command size={16} className="mr-2" /> Cari...
+                            <span className="ml-auto"><Kbd>Ctrl K</Kbd></span>
+                        </button>
+                        <button onClick={() => setIsShortcutSheetOpen(true)} className="p-2 bg-gray-100 text-gray-600 rounded-xl hover:bg-gray-200 transition" title="Pintasan keyboard" aria-label="Pintasan keyboard">
+                            <Keyboard size={16} />
+                        </button>
+                        <button onClick={toggleTheme} className="p-2 bg-gray-100 text-gray-600 rounded-xl hover:bg-gray-200 transition" title="Ganti tema" aria-label="Ganti tema">
+                            {theme === 'dark' ? <Sun size={16} /> : <Moon size={16} />}
+                        </button>
+                    </div>
+                    {focusRemainingLabel && currentPage !== 'focus' && (
+                        <button
+                            onClick={() => setCurrentPage('focus')}
+                            className="mt-4 w-full flex items-center justify-center p-2 bg-red-50 text-red-600 rounded-xl text-sm font-bold hover:bg-red-100 transition"
+                        >
+                            <Clock size={16} className="mr-2" /> {focusRemainingLabel}
+                        </button>
+                    )}
+                    <SyncIndicator sync={sync} />
+                    {canInstall && (
+                        <button
+                            onClick={install}
+                            className="mt-4 w-full flex items-center justify-center p-2 bg-indigo-50 text-indigo-600 rounded-xl text-sm font-bold hover:bg-indigo-100 transition"
+                        >
+                            <Smartphone size={16} className="mr-2" /> Pasang Aplikasi
+                        </button>
+                    )}
+                    <div className="absolute bottom-5 left-5 right-5">
+                        <AccountPanel
+                            auth={auth}
+                            account={account}
+                            onAccountChange={refreshAccount}
+                            deleteUserData={deleteUserData}
+                            onNotice={setNotice}
+                        />
                     </div>
                 </div>
 
                 {/* Main Content Area */}
                 <main className="flex-1 overflow-y-auto p-4 md:p-8">
                     {/* Mobile Navigation Dropdown (Hidden on large screens) */}
-                    <div className="lg:hidden mb-4 sticky top-0 z-20 bg-indigo-100/95 backdrop-blur-sm p-3 rounded-xl shadow-md">
+                    <div className="lg:hidden mb-4 sticky top-0 z-20 bg-indigo-100/95 backdrop-blur-sm p-3 rounded-xl shadow-md flex items-center gap-2">
                         <select
                             value={currentPage}
                             onChange={(e) => setCurrentPage(e.target.value)}
@@ -1256,13 +5098,54 @@ const App = () => {
                                 <option key={item.id} value={item.id}>{item.name}</option>
                             ))}
                         </select>
+                        <button onClick={() => setIsPaletteOpen(true)} className="p-3 bg-white text-indigo-600 rounded-xl shadow hover:bg-indigo-50 transition" title="Palet perintah" aria-label="Palet perintah">
+                            <Command size={20} />
+                        </button>
+                        <button onClick={toggleTheme} className="p-3 bg-white text-indigo-600 rounded-xl shadow hover:bg-indigo-50 transition" title="Ganti tema" aria-label="Ganti tema">
+                            {theme === 'dark' ? <Sun size={20} /> : <Moon size={20} />}
+                        </button>
+                        {canInstall && (
+                            <button onClick={install} className="p-3 bg-indigo-600 text-white rounded-xl shadow hover:bg-indigo-700 transition" title="Pasang Aplikasi">
+                                <Smartphone size={20} />
+                            </button>
+                        )}
                     </div>
+                    {showLocalMigration && (
+                        <div className="mb-4 p-4 bg-white rounded-xl shadow-md border-l-4 border-pink-500 flex flex-wrap items-center justify-between gap-3">
+                            <p className="text-sm text-gray-700">Ada data yang tersimpan lokal di perangkat ini. Pindahkan ke akunmu supaya tersinkron di semua perangkat?</p>
+                            <div className="flex space-x-2">
+                                <button onClick={dismissLocalMigration} className="py-2 px-4 bg-gray-200 text-gray-700 text-sm font-semibold rounded-lg hover:bg-gray-300 transition">
+                                    Nanti Saja
+                                </button>
+                                <button onClick={handleMigrateLocalData} disabled={isMigratingLocalData} className="py-2 px-4 bg-pink-500 text-white text-sm font-semibold rounded-lg hover:bg-pink-600 transition disabled:opacity-50">
+                                    {isMigratingLocalData ? 'Memindahkan...' : 'Pindahkan Data'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                    {quarantinedCount > 0 && currentPage !== 'data' && (
+                        <div className="mb-4 p-3 bg-yellow-50 text-yellow-800 rounded-xl text-sm font-medium flex items-center justify-between">
+                            <span className="flex items-center"><AlertTriangle size={16} className="mr-2" /> {quarantinedCount} data rusak disembunyikan agar aplikasi tetap jalan.</span>
+                            <button onClick={() => setCurrentPage('data')} className="py-1 px-3 bg-yellow-100 hover:bg-yellow-200 rounded-lg font-semibold transition">
+                                Periksa
+                            </button>
+                        </div>
+                    )}
+                    {notice && (
+                        <div className="mb-4 p-3 bg-indigo-50 text-indigo-700 rounded-xl text-sm font-medium flex items-center justify-between">
+                            {notice}
+                            <button onClick={() => setNotice(null)} className="p-1 hover:bg-indigo-100 rounded-full"><X size={16} /></button>
+                        </div>
+                    )}
                     {/* Render Content */}
                     <div className="min-h-[calc(100vh-6rem)]">
                         {renderContent()}
                     </div>
                 </main>
             </div>
+            <UpdatePrompt />
+            {isPaletteOpen && <CommandPalette commands={getPaletteCommands()} onClose={() => setIsPaletteOpen(false)} />}
+            <ShortcutSheet isOpen={isShortcutSheetOpen} shortcuts={shortcuts} onChange={saveShortcuts} onClose={() => setIsShortcutSheetOpen(false)} />
         </div>
     );
 };
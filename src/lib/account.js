@@ -0,0 +1,93 @@
+// Account actions on top of Firebase Auth. Everyone starts as an anonymous user; signing
+// up links the email credential to that anonymous UID (linkWithCredential), so the data
+// under artifacts/{appId}/users/{uid} stays with the upgraded account.
+
+import {
+    EmailAuthProvider,
+    linkWithCredential,
+    createUserWithEmailAndPassword,
+    signInWithEmailAndPassword,
+    sendSignInLinkToEmail,
+    isSignInWithEmailLink,
+    signInWithEmailLink,
+    signOut,
+    deleteUser,
+} from 'firebase/auth';
+
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+const RECENT_LOGIN_MS = 5 * 60 * 1000;
+
+/** Plain snapshot of the fields the UI needs (the Firebase User object mutates in place). */
+export const toAccount = (user) => user ? { uid: user.uid, email: user.email, isAnonymous: user.isAnonymous } : null;
+
+/** Create an email/password account, upgrading the current anonymous user when there is one. */
+export const signUpWithEmail = async (auth, email, password) => {
+    const current = auth.currentUser;
+    if (current?.isAnonymous) {
+        const { user } = await linkWithCredential(current, EmailAuthProvider.credential(email, password));
+        return user;
+    }
+    const { user } = await createUserWithEmailAndPassword(auth, email, password);
+    return user;
+};
+
+/** Sign in to an existing account. Data of the current anonymous user is not merged into it. */
+export const signInWithEmail = async (auth, email, password) => {
+    const { user } = await signInWithEmailAndPassword(auth, email, password);
+    return user;
+};
+
+/** Email a passwordless sign-in link that returns to `url`. */
+export const sendEmailLink = async (auth, email, url) => {
+    await sendSignInLinkToEmail(auth, email, { url, handleCodeInApp: true });
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+/**
+ * Finish an email-link sign-in when the page was opened from the link. Links the credential
+ * to the anonymous user when possible. Returns the user, or null when `href` is not a sign-in link.
+ */
+export const completeEmailLinkSignIn = async (auth, href, email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY)) => {
+    if (!isSignInWithEmailLink(auth, href)) return null;
+    if (!email) throw Object.assign(new Error('Email for sign-in link is unknown'), { code: 'auth/missing-email' });
+    const current = auth.currentUser;
+    const { user } = current?.isAnonymous
+        ? await linkWithCredential(current, EmailAuthProvider.credentialWithLink(email, href))
+        : await signInWithEmailLink(auth, email, href);
+    localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    return user;
+};
+
+export const signOutAccount = (auth) => signOut(auth);
+
+/**
+ * Delete the user's data first (it is unreachable afterwards), then the Auth account itself.
+ * Firebase only deletes accounts that signed in recently, so that is checked up front to
+ * avoid wiping the data of an account that then cannot be deleted.
+ */
+export const deleteAccount = async (auth, deleteUserData) => {
+    const lastSignIn = Date.parse(auth.currentUser.metadata.lastSignInTime);
+    if (!lastSignIn || Date.now() - lastSignIn > RECENT_LOGIN_MS) {
+        throw Object.assign(new Error('Recent login required'), { code: 'auth/requires-recent-login' });
+    }
+    await deleteUserData();
+    await deleteUser(auth.currentUser);
+};
+
+const authErrorMessages = {
+    'auth/email-already-in-use': 'Email ini sudah terdaftar. Gunakan "Masuk" untuk membuka akun tersebut.',
+    'auth/credential-already-in-use': 'Email ini sudah terhubung ke akun lain. Gunakan "Masuk" untuk membukanya.',
+    'auth/invalid-email': 'Format email tidak valid.',
+    'auth/weak-password': 'Password minimal 6 karakter.',
+    'auth/invalid-credential': 'Email atau password salah.',
+    'auth/wrong-password': 'Email atau password salah.',
+    'auth/user-not-found': 'Akun dengan email ini tidak ditemukan.',
+    'auth/too-many-requests': 'Terlalu banyak percobaan. Coba lagi beberapa saat lagi.',
+    'auth/network-request-failed': 'Tidak ada koneksi internet.',
+    'auth/requires-recent-login': 'Demi keamanan, keluar lalu masuk lagi sebelum menghapus akun.',
+    'auth/invalid-action-code': 'Link masuk sudah kedaluwarsa atau pernah dipakai.',
+    'auth/missing-email': 'Buka link masuk di browser yang sama dengan tempat kamu memintanya.',
+};
+
+/** Indonesian message for a Firebase Auth error. */
+export const getAuthErrorMessage = (error) => authErrorMessages[error?.code] || 'Terjadi kesalahan. Coba lagi.';
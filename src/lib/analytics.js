@@ -0,0 +1,95 @@
+// Pure aggregations for the Analytics page. Every function takes plain documents as
+// they come from Firestore plus a date range of day keys ({ start, end }, inclusive).
+
+import { addDays, diffDays, fromDateKey } from './dates';
+import { computeStreaks, getCheckIns, isCheckedOn } from './habitStreak';
+import { getCompletedDay } from './tasks';
+
+export const weekdayNames = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+export const moodScores = { '😭': 1, '😐': 2, '😊': 3, '🥳': 4 };
+
+const inRange = (key, range) => !!key && key >= range.start && key <= range.end;
+
+/** Range of `days` days ending on endKey. */
+export const lastDaysRange = (endKey, days) => ({ start: addDays(endKey, -(days - 1)), end: endKey });
+
+/** All day keys in a range, oldest first. */
+export const getRangeDays = (range) =>
+    Array.from({ length: Math.max(0, diffDays(range.start, range.end) + 1) }, (_, i) => addDays(range.start, i));
+
+const completedInRange = (tasks, range) => tasks.filter(task => inRange(getCompletedDay(task), range));
+
+/** Completed task count per day, one entry per day in the range. */
+export const getTasksCompletedPerDay = (tasks, range) => {
+    const counts = {};
+    completedInRange(tasks, range).forEach(task => {
+        const day = getCompletedDay(task);
+        counts[day] = (counts[day] || 0) + 1;
+    });
+    return getRangeDays(range).map(date => ({ date, count: counts[date] || 0 }));
+};
+
+/** Completed task count per category, largest first. */
+export const getTasksCompletedPerCategory = (tasks, range) => {
+    const counts = {};
+    completedInRange(tasks, range).forEach(task => {
+        const category = task.category || 'Lainnya';
+        counts[category] = (counts[category] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .map(([category, count]) => ({ category, count }))
+        .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+};
+
+/** Weekday (0 = Minggu) with the most completed tasks, or null when nothing was completed. */
+export const getMostProductiveWeekday = (tasks, range) => {
+    const counts = Array(7).fill(0);
+    completedInRange(tasks, range).forEach(task => {
+        counts[fromDateKey(getCompletedDay(task)).getDay()] += 1;
+    });
+    const max = Math.max(...counts);
+    if (max === 0) return null;
+    const weekday = counts.indexOf(max);
+    return { weekday, name: weekdayNames[weekday], count: max };
+};
+
+/** Habit with the highest current streak (ties broken by longest streak). */
+export const getTopHabit = (habits, todayKey) => {
+    let top = null;
+    habits.forEach(habit => {
+        const streaks = computeStreaks(getCheckIns(habit), habit.target, todayKey);
+        if (!top || streaks.current > top.current || (streaks.current === top.current && streaks.longest > top.longest)) {
+            top = { habit, ...streaks };
+        }
+    });
+    return top;
+};
+
+/** Total focus minutes of sessions that ended inside the range. */
+export const getTotalFocusMinutes = (sessions, range) =>
+    sessions
+        .filter(session => inRange(session.date, range))
+        .reduce((sum, session) => sum + (session.durationMinutes || 0), 0);
+
+/** Share of tasks due in the month (YYYY-MM) that are completed, as a 0–100 percentage. */
+export const getMonthlyCompletionRate = (tasks, monthKey) => {
+    const due = tasks.filter(task => task.deadline && task.deadline.startsWith(monthKey));
+    if (due.length === 0) return { rate: 0, completed: 0, total: 0 };
+    const completed = due.filter(task => task.completed).length;
+    return { rate: Math.round((completed / due.length) * 100), completed, total: due.length };
+};
+
+/** Per-day check-in flags for one habit across the range. */
+export const getHabitHeatmap = (habit, range) => {
+    const checkIns = getCheckIns(habit);
+    return getRangeDays(range).map(date => ({ date, checked: isCheckedOn(checkIns, date) }));
+};
+
+/** Mood per reflected day in the range, scored 1 (😭) to 4 (🥳). */
+export const getMoodSeries = (reflections, range) =>
+    reflections
+        .map(entry => ({ date: entry.date || entry.id, mood: entry.mood }))
+        .filter(entry => inRange(entry.date, range) && moodScores[entry.mood])
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(entry => ({ ...entry, score: moodScores[entry.mood] }));
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+    lastDaysRange, getRangeDays, getTasksCompletedPerDay, getTasksCompletedPerCategory, getMostProductiveWeekday,
+    getTopHabit, getTotalFocusMinutes, getMonthlyCompletionRate, getHabitHeatmap, getMoodSeries,
+} from './analytics';
+
+// Completion time at local noon, so the day does not depend on the machine's zone
+const doneOn = (dateKey, fields = {}) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return { completed: true, completedAt: new Date(year, month - 1, day, 12).toISOString(), category: 'Kuliah', ...fields };
+};
+
+// Mon 27 Jan 2025 – Sun 2 Feb 2025: crosses both a month and (at the end) a week boundary
+const range = { start: '2025-01-27', end: '2025-02-02' };
+
+describe('ranges', () => {
+    it('builds the range of the last N days', () => {
+        expect(lastDaysRange('2025-03-02', 7)).toEqual({ start: '2025-02-24', end: '2025-03-02' });
+        expect(lastDaysRange('2024-03-01', 2)).toEqual({ start: '2024-02-29', end: '2024-03-01' });
+    });
+
+    it('lists every day of a range, across months', () => {
+        expect(getRangeDays(range)).toEqual(['2025-01-27', '2025-01-28', '2025-01-29', '2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02']);
+    });
+
+    it('is empty for a reversed range', () => {
+        expect(getRangeDays({ start: '2025-02-02', end: '2025-02-01' })).toEqual([]);
+    });
+});
+
+describe('getTasksCompletedPerDay', () => {
+    it('has a zero for every day without input', () => {
+        const days = getTasksCompletedPerDay([], range);
+        expect(days).toHaveLength(7);
+        expect(days.every(day => day.count === 0)).toBe(true);
+    });
+
+    it('counts completions per day and ignores open tasks and days outside the range', () => {
+        const tasks = [
+            doneOn('2025-01-31'), doneOn('2025-01-31'), doneOn('2025-02-01'),
+            doneOn('2025-01-26'), doneOn('2025-02-03'),
+            { completed: false, deadline: '2025-01-31' },
+            { completed: true, completedAt: null, deadline: '2025-02-02' },
+        ];
+        expect(getTasksCompletedPerDay(tasks, range).filter(day => day.count > 0)).toEqual([
+            { date: '2025-01-31', count: 2 },
+            { date: '2025-02-01', count: 1 },
+            { date: '2025-02-02', count: 1 },
+        ]);
+    });
+});
+
+describe('getTasksCompletedPerCategory', () => {
+    it('is empty without input', () => {
+        expect(getTasksCompletedPerCategory([], range)).toEqual([]);
+    });
+
+    it('sorts by count, then name, and groups tasks without a category', () => {
+        const tasks = [
+            doneOn('2025-01-27', { category: 'Kerja' }), doneOn('2025-01-28', { category: 'Kerja' }),
+            doneOn('2025-01-29', { category: 'Bisnis' }), doneOn('2025-02-01', { category: 'Konten' }),
+            doneOn('2025-02-02', { category: undefined }), doneOn('2025-02-05', { category: 'Kerja' }),
+        ];
+        expect(getTasksCompletedPerCategory(tasks, range)).toEqual([
+            { category: 'Kerja', count: 2 },
+            { category: 'Bisnis', count: 1 },
+            { category: 'Konten', count: 1 },
+            { category: 'Lainnya', count: 1 },
+        ]);
+    });
+});
+
+describe('getMostProductiveWeekday', () => {
+    it('is null when nothing was completed', () => {
+        expect(getMostProductiveWeekday([], range)).toBeNull();
+    });
+
+    it('picks the weekday with the most completions in the range', () => {
+        const tasks = [doneOn('2025-01-31'), doneOn('2025-01-31'), doneOn('2025-02-02'), doneOn('2025-02-07'), doneOn('2025-02-07')];
+        expect(getMostProductiveWeekday(tasks, range)).toEqual({ weekday: 5, name: 'Jumat', count: 2 });
+    });
+
+    it('adds up the same weekday across weeks', () => {
+        const twoWeeks = { start: '2025-01-27', end: '2025-02-09' };
+        const tasks = [doneOn('2025-01-27'), doneOn('2025-02-03'), doneOn('2025-01-31')];
+        expect(getMostProductiveWeekday(tasks, twoWeeks)).toEqual({ weekday: 1, name: 'Senin', count: 2 });
+    });
+});
+
+describe('getTopHabit', () => {
+    it('is null without habits', () => {
+        expect(getTopHabit([], '2025-02-02')).toBeNull();
+    });
+
+    it('picks the highest current streak and breaks ties by the longest streak', () => {
+        const habits = [
+            { name: 'Baca', target: 7, checkIns: ['2025-01-31', '2025-02-01'] },
+            { name: 'Lari', target: 7, checkIns: ['2025-01-20', '2025-01-21', '2025-01-22', '2025-02-01', '2025-02-02'] },
+            { name: 'Air', target: 7, checkIns: ['2025-02-02'] },
+        ];
+        const top = getTopHabit(habits, '2025-02-02');
+        expect(top.habit.name).toBe('Lari');
+        expect(top).toMatchObject({ current: 2, longest: 3 });
+    });
+});
+
+describe('getTotalFocusMinutes', () => {
+    it('is zero without sessions', () => {
+        expect(getTotalFocusMinutes([], range)).toBe(0);
+    });
+
+    it('sums the sessions inside the range', () => {
+        const sessions = [
+            { date: '2025-01-26', durationMinutes: 50 },
+            { date: '2025-01-27', durationMinutes: 25 },
+            { date: '2025-02-02', durationMinutes: 25 },
+            { date: '2025-02-02' },
+        ];
+        expect(getTotalFocusMinutes(sessions, range)).toBe(50);
+    });
+});
+
+describe('getMonthlyCompletionRate', () => {
+    it('is zero for a month without tasks', () => {
+        expect(getMonthlyCompletionRate([], '2025-02')).toEqual({ rate: 0, completed: 0, total: 0 });
+    });
+
+    it('only counts tasks due in that month', () => {
+        const tasks = [
+            { deadline: '2025-01-31', completed: true },
+            { deadline: '2025-02-01', completed: true },
+            { deadline: '2025-02-28', completed: false },
+            { deadline: '2025-02-14', completed: false },
+            { deadline: null, completed: true },
+        ];
+        expect(getMonthlyCompletionRate(tasks, '2025-02')).toEqual({ rate: 33, completed: 1, total: 3 });
+    });
+});
+
+describe('getHabitHeatmap', () => {
+    it('has one unchecked day per day for a habit without check-ins', () => {
+        expect(getHabitHeatmap({ checkIns: [] }, range).filter(day => day.checked)).toEqual([]);
+    });
+
+    it('marks checked days across the month boundary', () => {
+        const heatmap = getHabitHeatmap({ checkIns: ['2025-01-31', '2025-02-01', '2025-02-10'] }, range);
+        expect(heatmap).toHaveLength(7);
+        expect(heatmap.filter(day => day.checked).map(day => day.date)).toEqual(['2025-01-31', '2025-02-01']);
+    });
+
+    it('reads legacy habit documents', () => {
+        const heatmap = getHabitHeatmap({ checkedToday: true, lastChecked: '2025-01-28' }, range);
+        expect(heatmap.find(day => day.date === '2025-01-28').checked).toBe(true);
+    });
+});
+
+describe('getMoodSeries', () => {
+    it('is empty without reflections', () => {
+        expect(getMoodSeries([], range)).toEqual([]);
+    });
+
+    it('scores moods in date order and skips unknown moods and other days', () => {
+        const reflections = [
+            { id: '2025-02-01', mood: '🥳' },
+            { id: '2025-01-27', mood: '😭' },
+            { id: '2025-01-30', mood: '🤔' },
+            { id: '2025-02-03', mood: '😊' },
+            { date: '2025-01-31', mood: '😐' },
+        ];
+        expect(getMoodSeries(reflections, range)).toEqual([
+            { date: '2025-01-27', mood: '😭', score: 1 },
+            { date: '2025-01-31', mood: '😐', score: 2 },
+            { date: '2025-02-01', mood: '🥳', score: 4 },
+        ]);
+    });
+});
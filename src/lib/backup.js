@@ -0,0 +1,149 @@
+// Versioned JSON backup of everything a user owns, and restore planning.
+// Restores keep document IDs, so a backup taken on one device restores the same documents
+// on another; Firestore Timestamps (written by app.js) round-trip through { __timestamp }.
+
+import { validateRecord } from './schemas';
+import { migrateRecord } from './migrations';
+
+export const BACKUP_APP = 'genz-planner';
+export const BACKUP_VERSION = 1;
+
+export const restoreModes = [
+    { value: 'merge', label: 'Gabung', hint: 'Dokumen dari backup menimpa dokumen dengan ID sama; data lain tetap.' },
+    { value: 'replace', label: 'Ganti', hint: 'Semua data di koleksi yang ada di backup dihapus lalu diganti isi backup.' },
+];
+
+// --- Encoding ---
+
+const encodeValue = (value) => {
+    if (value instanceof Date) return { __timestamp: value.toISOString() };
+    if (typeof value?.toDate === 'function') return { __timestamp: value.toDate().toISOString() };
+    if (Array.isArray(value)) return value.map(encodeValue);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]));
+    return value;
+};
+
+// Timestamps come back as Date objects: Firestore stores them as Timestamps again
+const decodeValue = (value) => {
+    if (Array.isArray(value)) return value.map(decodeValue);
+    if (value && typeof value === 'object') {
+        if (typeof value.__timestamp === 'string' && Object.keys(value).length === 1) return new Date(value.__timestamp);
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v)]));
+    }
+    return value;
+};
+
+/**
+ * Build the backup document.
+ * @param {Object<string, Array<Object>>} collections Documents per collection name, each with its `id`.
+ * @param {Object<string, Array<{ id: string, record: Object }>>} quarantined Documents kept out of the
+ *   views (see loadRecords). They are exported as stored, so the backup still holds everything;
+ *   a restore lists them as invalid until they are fixed.
+ */
+export const createBackup = (collections, quarantined = {}, now = new Date()) => ({
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    collections: Object.fromEntries(Object.entries(collections).map(([name, docs]) => [
+        name,
+        [...docs, ...(quarantined[name] || []).map(({ id, record }) => ({ ...record, id }))].map(encodeValue),
+    ])),
+});
+
+// --- Validation ---
+
+/**
+ * Parse and validate backup JSON text.
+ * @returns {{ error: string|null, records: Object<string, Array<Object>>, invalid: Array<{ collection: string, index: number, id: string|null, errors: string[] }> }}
+ *   `error` is set when the file as a whole is unusable; otherwise valid records (decoded) are
+ *   in `records` and every rejected record is listed in `invalid` with its problems.
+ */
+export const parseBackup = (text, knownCollections) => {
+    const empty = { records: {}, invalid: [] };
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        return { ...empty, error: 'File bukan JSON yang valid.' };
+    }
+    if (json?.app !== BACKUP_APP || typeof json.collections !== 'object' || json.collections === null) {
+        return { ...empty, error: 'File ini bukan backup GenZ Planner.' };
+    }
+    if (typeof json.version !== 'number' || json.version > BACKUP_VERSION) {
+        return { ...empty, error: `Versi backup ${json.version} tidak didukung (maksimal ${BACKUP_VERSION}). Perbarui aplikasi dulu.` };
+    }
+
+    const records = {};
+    const invalid = [];
+    Object.entries(json.collections).forEach(([name, docs]) => {
+        if (!knownCollections.includes(name)) {
+            invalid.push({ collection: name, index: -1, id: null, errors: ['Koleksi tidak dikenal, dilewati'] });
+            return;
+        }
+        if (!Array.isArray(docs)) {
+            invalid.push({ collection: name, index: -1, id: null, errors: ['Koleksi harus berupa array'] });
+            return;
+        }
+        const seen = new Set();
+        records[name] = [];
+        docs.forEach((doc, index) => {
+            const id = typeof doc?.id === 'string' && doc.id ? doc.id : null;
+            const errors = id ? [] : ['ID dokumen tidak ada'];
+            if (id && seen.has(id)) errors.push('ID dokumen ganda di backup');
+            // Backups from before a schema change are upgraded like documents read from storage
+            let decoded = decodeValue(doc);
+            try {
+                if (decoded && typeof decoded === 'object') decoded = migrateRecord(name, decoded).record;
+            } catch (e) {
+                errors.push(`Migrasi gagal: ${e.message}`);
+            }
+            errors.push(...validateRecord(name, decoded));
+            if (errors.length > 0) {
+                invalid.push({ collection: name, index, id, errors });
+                return;
+            }
+            seen.add(id);
+            records[name].push(decoded);
+        });
+    });
+    return { error: null, records, invalid };
+};
+
+// --- Restore planning ---
+
+/**
+ * What a restore would do per collection, without touching storage (this is also the
+ * dry-run preview). 'replace' additionally removes current documents missing from the backup.
+ * @returns {Object<string, { create: Object[], update: Object[], remove: string[] }>}
+ */
+export const planRestore = (records, current, mode) => Object.fromEntries(
+    Object.entries(records).map(([name, docs]) => {
+        const existingIds = new Set((current[name] || []).map(d => d.id));
+        const backupIds = new Set(docs.map(d => d.id));
+        return [name, {
+            create: docs.filter(d => !existingIds.has(d.id)),
+            update: docs.filter(d => existingIds.has(d.id)),
+            remove: mode === 'replace' ? [...existingIds].filter(id => !backupIds.has(id)) : [],
+        }];
+    })
+);
+
+/** Total counts of a plan, for the preview summary. */
+export const summarizePlan = (plan) => Object.values(plan).reduce((sum, p) => ({
+    create: sum.create + p.create.length,
+    update: sum.update + p.update.length,
+    remove: sum.remove + p.remove.length,
+}), { create: 0, update: 0, remove: 0 });
+
+/**
+ * Apply a plan to a storage backend (createFirestoreStore / createLocalStore). Documents are
+ * written whole with their original IDs, so restored documents match the backup exactly.
+ * Every write goes through `enqueue` (the sync queue), which marks it pending, retries it and
+ * keeps it as failed for a manual retry. The returned promise settles once the server has
+ * confirmed every write; the local copy shows the restore long before that.
+ * @param {(write: { collection: string, docId: string, op: string }, run: () => Promise<any>) => Promise<any>} enqueue
+ */
+export const applyRestore = (plan, store, enqueue) => Promise.all(Object.entries(plan).flatMap(([name, { create, update, remove }]) => [
+    ...remove.map(id => enqueue({ collection: name, docId: id, op: 'delete' }, () => store.remove(name, id))),
+    ...[...create, ...update].map(({ id, ...data }) => enqueue({ collection: name, docId: id, op: 'upsert' }, () => store.set(name, id, data))),
+]));
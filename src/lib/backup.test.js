@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createBackup, parseBackup, planRestore, applyRestore } from './backup';
+
+describe('createBackup', () => {
+    it('exports quarantined documents as stored, next to the valid ones', () => {
+        const backup = createBackup(
+            { habits: [{ id: 'h1', name: 'Baca', checkIns: [] }] },
+            { habits: [{ id: 'h2', record: { name: 'Lari', target: 12 }, errors: ['target'] }] },
+            new Date('2025-01-15T00:00:00Z'),
+        );
+        expect(backup.collections.habits).toEqual([
+            { id: 'h1', name: 'Baca', checkIns: [] },
+            { id: 'h2', name: 'Lari', target: 12 },
+        ]);
+        expect(backup.exportedAt).toBe('2025-01-15T00:00:00.000Z');
+    });
+
+    it('lists a quarantined document as invalid when the backup is read', () => {
+        const backup = createBackup({ habits: [] }, { habits: [{ id: 'h2', record: { name: 'Lari', target: 12 }, errors: [] }] });
+        const { records, invalid } = parseBackup(JSON.stringify(backup), ['habits']);
+        expect(records.habits).toEqual([]);
+        expect(invalid).toMatchObject([{ collection: 'habits', id: 'h2' }]);
+    });
+});
+
+describe('applyRestore', () => {
+    it('sends every write through the queue without waiting for the server', () => {
+        const store = { set: vi.fn(), remove: vi.fn() };
+        const enqueue = vi.fn(() => new Promise(() => {}));
+        const plan = planRestore(
+            { habits: [{ id: 'h1', name: 'Baca' }, { id: 'h2', name: 'Lari' }] },
+            { habits: [{ id: 'h1', name: 'Lama' }, { id: 'h3', name: 'Hapus' }] },
+            'replace',
+        );
+        applyRestore(plan, store, enqueue);
+        expect(enqueue.mock.calls.map(([write]) => write)).toEqual([
+            { collection: 'habits', docId: 'h3', op: 'delete' },
+            { collection: 'habits', docId: 'h2', op: 'upsert' },
+            { collection: 'habits', docId: 'h1', op: 'upsert' },
+        ]);
+        enqueue.mock.calls.forEach(([, run]) => run());
+        expect(store.remove).toHaveBeenCalledWith('habits', 'h3');
+        expect(store.set).toHaveBeenCalledWith('habits', 'h1', { name: 'Baca' });
+    });
+});
@@ -0,0 +1,185 @@
+// Command palette (Ctrl/Cmd+K) and single-key shortcuts. The palette's commands are built
+// in App.jsx from the current data; this module only ranks them and owns the shortcut map,
+// so everything here is pure and can be checked without a browser.
+
+/** Lower-case without diacritics, so "jumat" finds "Jum'at" and "cafe" finds "café". */
+const fold = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const isWordStart = (text, i) => i === 0 || /[\s\-_/:·(]/.test(text[i - 1]);
+
+/** Greedy subsequence match of `term` in `text`, starting at `start`. */
+const matchFrom = (term, text, start) => {
+    const indices = [];
+    let score = 0;
+    let from = start;
+    for (const char of term) {
+        const i = text.indexOf(char, from);
+        if (i === -1) return null;
+        const previous = indices[indices.length - 1];
+        score += 1;
+        if (previous !== undefined && i === previous + 1) score += 5;
+        if (isWordStart(text, i)) score += 8;
+        if (previous !== undefined) score -= Math.min(i - previous - 1, 10) * 0.2;
+        indices.push(i);
+        from = i + 1;
+    }
+    return { score, indices };
+};
+
+/**
+ * Score one search term as a subsequence of `text`: consecutive letters and letters at the
+ * start of a word count extra, gaps cost a little. Every place the first letter occurs is
+ * tried, so "tema" matches the word "tema" in "Ganti tema" rather than the t of "Ganti".
+ * @returns {{ score: number, indices: number[] }|null} null when the term does not occur.
+ */
+const matchTerm = (term, text) => {
+    let best = null;
+    for (let start = text.indexOf(term[0]); start !== -1; start = text.indexOf(term[0], start + 1)) {
+        const match = matchFrom(term, text, start);
+        if (!match) break; // a later start cannot match either
+        if (!best || match.score > best.score) best = match;
+    }
+    return best;
+};
+
+/**
+ * Fuzzy match a query against a text. Every whitespace-separated term has to match on its
+ * own (in any order), so "cek baca" finds "Centang kebiasaan: Baca buku".
+ * @returns {{ score: number, indices: number[] }|null} `indices` are positions in `text`.
+ */
+export const fuzzyMatch = (query, text) => {
+    const terms = fold(query).split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return { score: 0, indices: [] };
+    const haystack = fold(text);
+    let score = 0;
+    const indices = new Set();
+    for (const term of terms) {
+        const match = matchTerm(term, haystack);
+        if (!match) return null;
+        score += match.score;
+        match.indices.forEach(i => indices.add(i));
+    }
+    // Shorter texts win ties: "Tugas" over "Tugas baru"
+    return { score: score - haystack.length * 0.01, indices: [...indices].sort((a, b) => a - b) };
+};
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id
+ * @property {string} title Shown and searched.
+ * @property {string} group Section label, e.g. "Aksi" or "Tugas".
+ * @property {string} [keywords] Extra searchable words that are not shown.
+ * @property {() => void} run
+ */
+
+/**
+ * Commands matching the query, best first. An empty query keeps the given order.
+ * @param {Command[]} commands
+ * @returns {Array<Command & { indices: number[] }>} `indices` mark the matched letters of the title.
+ */
+export const searchCommands = (commands, query, limit = 50) => {
+    if (!query.trim()) return commands.slice(0, limit).map(command => ({ ...command, indices: [] }));
+    return commands
+        .map((command, order) => {
+            const match = fuzzyMatch(query, command.keywords ? `${command.title} ${command.keywords}` : command.title);
+            return match && { order, score: match.score, command: { ...command, indices: match.indices.filter(i => i < command.title.length) } };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, limit)
+        .map(result => result.command);
+};
+
+// --- Shortcuts ---
+
+/** Actions a single key can run. `goto:<page>` opens a view. */
+export const shortcutActions = [
+    { id: 'palette', label: 'Buka palet perintah' },
+    { id: 'help', label: 'Daftar pintasan keyboard' },
+    { id: 'newTask', label: 'Tugas baru' },
+    { id: 'newHabit', label: 'Kebiasaan baru' },
+    { id: 'startFocus', label: 'Mulai / jeda sesi fokus' },
+    { id: 'toggleTheme', label: 'Ganti tema terang/gelap' },
+    { id: 'goto:dashboard', label: 'Buka Dashboard' },
+    { id: 'goto:routine', label: 'Buka Daily Routine' },
+    { id: 'goto:tasks', label: 'Buka Task Manager' },
+    { id: 'goto:habits', label: 'Buka Habit Tracker' },
+    { id: 'goto:focus', label: 'Buka Focus Mode' },
+    { id: 'goto:calendar', label: 'Buka Kalender' },
+    { id: 'goto:reflection', label: 'Buka Reflection' },
+    { id: 'goto:library', label: 'Buka Library' },
+    { id: 'goto:analytics', label: 'Buka Analytics' },
+    { id: 'goto:reminders', label: 'Buka Pengingat' },
+    { id: 'goto:data', label: 'Buka Data & Backup' },
+];
+
+/** Action ID → key (as in KeyboardEvent.key, lower-cased letters). Missing = no shortcut. */
+export const defaultShortcuts = {
+    palette: '/',
+    help: '?',
+    newTask: 'n',
+    newHabit: 'h',
+    startFocus: 'f',
+    toggleTheme: 't',
+    'goto:dashboard': '1',
+    'goto:routine': '2',
+    'goto:tasks': '3',
+    'goto:habits': '4',
+    'goto:focus': '5',
+    'goto:calendar': '6',
+    'goto:reflection': '7',
+    'goto:library': '8',
+    'goto:analytics': '9',
+};
+
+// Keys that keep their usual meaning (focus moves, closing dialogs, typing a space)
+const reservedKeys = ['Escape', 'Tab', 'Enter', ' ', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+/** Key for a keydown event, or null when it cannot be a single-key shortcut. */
+export const getShortcutKey = (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return null;
+    if (reservedKeys.includes(event.key)) return null;
+    // Letters are matched case-insensitively; symbols like "?" already include Shift
+    return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+};
+
+/** Ctrl+K (Windows/Linux) or Cmd+K (macOS). */
+export const isPaletteShortcut = (event) =>
+    (event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k';
+
+/** Whether a keydown happened while typing, where single keys must not trigger anything. */
+export const isEditableTarget = (target) => {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable === true;
+};
+
+/**
+ * Stored shortcuts over the defaults, with every action present (null = no key). A stored
+ * null stays null, so removing a default shortcut survives a reload; invalid or duplicate
+ * keys are dropped.
+ */
+export const normalizeShortcuts = (stored) => {
+    const saved = stored && typeof stored === 'object' ? stored : {};
+    const used = new Set();
+    return Object.fromEntries(shortcutActions.map(({ id }) => {
+        const key = id in saved ? saved[id] : defaultShortcuts[id] ?? null;
+        const valid = typeof key === 'string' && key !== '' && !reservedKeys.includes(key) && !used.has(key);
+        if (valid) used.add(key);
+        return [id, valid ? key : null];
+    }));
+};
+
+/**
+ * Give an action a new key (or none with key = null). A key belongs to one action only,
+ * so whichever action had it before loses it.
+ */
+export const bindShortcut = (shortcuts, actionId, key) => Object.fromEntries(
+    Object.entries(shortcuts).map(([id, k]) => [id, id === actionId ? key : (key && k === key ? null : k)])
+);
+
+/** Action bound to a key, if any. */
+export const getActionForKey = (shortcuts, key) =>
+    (key && Object.keys(shortcuts).find(id => shortcuts[id] === key)) || null;
+
+/** Display form of a key, e.g. "N" or "↑". */
+export const formatKey = (key) => ({ ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' })[key] || (key.length === 1 ? key.toUpperCase() : key);
@@ -0,0 +1,193 @@
+// RFC 4180 CSV codec plus the planner's task / habit-log mappings. Pure functions.
+//
+// Exports start with a UTF-8 BOM so Excel shows Indonesian text correctly, and use CRLF.
+// The parser accepts both ',' and ';' (Excel in the Indonesian locale saves with ';').
+
+import { priorityOptions } from './tasks';
+import { getCheckIns } from './habitStreak';
+import { toDateKey } from './dates';
+
+const BOM = '\uFEFF';
+
+// --- Codec ---
+
+const quoteField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",;\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Serialize rows (arrays of cells) into CSV text, with a BOM for spreadsheet apps. */
+export const serializeCSV = (rows, { bom = true } = {}) =>
+    (bom ? BOM : '') + rows.map(row => row.map(quoteField).join(',')).join('\r\n') + '\r\n';
+
+// First delimiter outside quotes on the header line wins
+const detectDelimiter = (text) => {
+    let inQuotes = false;
+    for (const char of text) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === ',' || char === ';')) return char;
+        else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    }
+    return ',';
+};
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields with commas, quotes ("")
+ * and line breaks, CRLF/LF endings and a leading BOM. Blank lines are skipped.
+ */
+export const parseCSV = (text, delimiter = detectDelimiter(text.replace(/^\uFEFF/, ''))) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+// --- Dates ---
+
+// Ambiguous dates such as 03/04/2025 are suggested day-first, as written in Indonesia
+export const dateFormats = [
+    { value: 'YYYY-MM-DD', label: '2025-12-31', pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: ['y', 'm', 'd'] },
+    { value: 'DD/MM/YYYY', label: '31/12/2025', pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, order: ['d', 'm', 'y'] },
+    { value: 'MM/DD/YYYY', label: '12/31/2025', pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, order: ['m', 'd', 'y'] },
+];
+
+/** Parse a date cell with a known format into a YYYY-MM-DD key, or null when it does not fit. */
+export const parseDateWithFormat = (value, formatValue) => {
+    const format = dateFormats.find(f => f.value === formatValue);
+    const match = format?.pattern.exec((value || '').trim());
+    if (!match) return null;
+    const parts = Object.fromEntries(format.order.map((key, i) => [key, Number(match[i + 1])]));
+    const date = new Date(parts.y, parts.m - 1, parts.d);
+    // Reject overflow such as 31/02 (Date would roll it into March)
+    if (date.getFullYear() !== parts.y || date.getMonth() !== parts.m - 1 || date.getDate() !== parts.d) return null;
+    return toDateKey(date);
+};
+
+/**
+ * Every format that parses all non-empty values, day-first before month-first. More than one
+ * means the column is ambiguous (e.g. only 03/04/2025 and 05/06/2025) and the user has to pick.
+ */
+export const detectDateFormats = (values) => {
+    const filled = values.map(v => (v || '').trim()).filter(Boolean);
+    if (filled.length === 0) return [];
+    return dateFormats.filter(f => filled.every(v => parseDateWithFormat(v, f.value))).map(f => f.value);
+};
+
+// --- Planner mappings ---
+
+/** Task export: one row per task with its subtask progress. */
+export const tasksToCSVRows = (tasks) => [
+    ['Nama', 'Kategori', 'Prioritas', 'Deadline', 'Selesai', 'Subtask Selesai', 'Total Subtask', 'Progress (%)'],
+    ...tasks.map(task => {
+        const subtasks = task.subtasks || [];
+        const done = subtasks.filter(s => s.completed).length;
+        const progress = subtasks.length > 0 ? Math.round((done / subtasks.length) * 100) : (task.completed ? 100 : 0);
+        return [task.name, task.category, task.priority, task.deadline || '', task.completed ? 'Ya' : 'Tidak', done, subtasks.length, progress];
+    }),
+];
+
+/** Habit log export: one row per check-in, oldest first within each habit. */
+export const habitLogsToCSVRows = (habits) => [
+    ['Kebiasaan', 'Kategori', 'Tanggal'],
+    ...habits.flatMap(habit => getCheckIns(habit).map(date => [habit.name, habit.category, date])),
+];
+
+/** Task fields a CSV column can be mapped to. */
+export const taskImportFields = [
+    { key: 'name', label: 'Nama Tugas', required: true, aliases: ['nama', 'name', 'tugas', 'task', 'judul', 'title'] },
+    { key: 'category', label: 'Kategori', aliases: ['kategori', 'category'] },
+    { key: 'priority', label: 'Prioritas', aliases: ['prioritas', 'priority'] },
+    { key: 'deadline', label: 'Deadline', aliases: ['deadline', 'tenggat', 'due', 'tanggal', 'date'] },
+    { key: 'completed', label: 'Selesai', aliases: ['selesai', 'completed', 'done', 'status'] },
+];
+
+/** Best-effort mapping of task fields to column indexes from the header row (-1 = not mapped). */
+export const guessTaskMapping = (headers) => {
+    const normalized = headers.map(h => h.trim().toLowerCase());
+    return Object.fromEntries(taskImportFields.map(field => [
+        field.key,
+        normalized.findIndex(header => field.aliases.some(alias => header === alias || header.startsWith(`${alias} `))),
+    ]));
+};
+
+const TRUE_VALUES = ['ya', 'y', 'yes', 'true', '1', 'x', 'v', 'selesai', 'done', 'completed'];
+
+const parsePriority = (value) => {
+    const text = (value || '').trim().toLowerCase();
+    if (!text) return null;
+    return priorityOptions.find(p => p.toLowerCase() === text)
+        // Badges shorten the priority to its first half ("Penting"); the most urgent match wins
+        || priorityOptions.find(p => p.toLowerCase().startsWith(text))
+        || null;
+};
+
+/**
+ * Turn data rows into task documents using a column mapping.
+ * @returns {{ tasks: Array<Object>, errors: Array<{ row: number, message: string }> }} `row` is 1-based in the file (header = 1).
+ */
+export const rowsToTasks = (rows, mapping, dateFormat, { defaultCategory = 'Pribadi', defaultPriority = 'Penting - Non-mendesak' } = {}) => {
+    const tasks = [];
+    const errors = [];
+    const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2;
+        const name = cell(row, 'name');
+        if (!name) {
+            errors.push({ row: rowNumber, message: 'Nama tugas kosong' });
+            return;
+        }
+        const rawDeadline = cell(row, 'deadline');
+        const deadline = rawDeadline ? parseDateWithFormat(rawDeadline, dateFormat) : null;
+        if (rawDeadline && !deadline) {
+            errors.push({ row: rowNumber, message: `Tanggal "${rawDeadline}" tidak sesuai format ${dateFormat}` });
+            return;
+        }
+        const rawPriority = cell(row, 'priority');
+        const priority = parsePriority(rawPriority);
+        if (rawPriority && !priority) {
+            errors.push({ row: rowNumber, message: `Prioritas "${rawPriority}" tidak dikenal` });
+            return;
+        }
+        const completed = TRUE_VALUES.includes(cell(row, 'completed').toLowerCase());
+        tasks.push({
+            name,
+            category: cell(row, 'category') || defaultCategory,
+            priority: priority || defaultPriority,
+            deadline,
+            subtasks: [],
+            completed,
+            completedAt: null,
+        });
+    });
+    return { tasks, errors };
+};
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { serializeCSV, parseCSV, parseDateWithFormat, detectDateFormats, tasksToCSVRows, guessTaskMapping, rowsToTasks } from './csv';
+
+describe('serializeCSV', () => {
+    it('starts with a BOM and ends every row with CRLF', () => {
+        expect(serializeCSV([['a', 'b'], ['c', 'd']])).toBe('\uFEFFa,b\r\nc,d\r\n');
+        expect(serializeCSV([['a']], { bom: false })).toBe('a\r\n');
+    });
+
+    it('quotes fields with delimiters, quotes, line breaks and edge spaces', () => {
+        expect(serializeCSV([['a,b', 'x;y', 'say "hi"', 'two\nlines', ' pad', 'plain']], { bom: false }))
+            .toBe('"a,b","x;y","say ""hi""","two\nlines"," pad",plain\r\n');
+    });
+
+    it('writes empty cells for null and undefined', () => {
+        expect(serializeCSV([[null, undefined, 0]], { bom: false })).toBe(',,0\r\n');
+    });
+});
+
+describe('parseCSV', () => {
+    it('reads quoted fields with delimiters and doubled quotes', () => {
+        expect(parseCSV('nama,catatan\r\n"Beli, susu","Kata ""dia"""\r\n'))
+            .toEqual([['nama', 'catatan'], ['Beli, susu', 'Kata "dia"']]);
+    });
+
+    it('keeps line breaks inside quoted fields', () => {
+        expect(parseCSV('a,b\n"baris 1\r\nbaris 2",x\n')).toEqual([['a', 'b'], ['baris 1\r\nbaris 2', 'x']]);
+    });
+
+    it('strips a leading BOM', () => {
+        expect(parseCSV('\uFEFFNama,Kategori\nA,B')).toEqual([['Nama', 'Kategori'], ['A', 'B']]);
+    });
+
+    it('detects the ; delimiter from the header line', () => {
+        expect(parseCSV('Nama;Deadline\n"Rapat, tim";31/12/2025\n')).toEqual([['Nama', 'Deadline'], ['Rapat, tim', '31/12/2025']]);
+    });
+
+    it('ignores delimiters inside a quoted header when detecting', () => {
+        expect(parseCSV('"Nama;lengkap",Kategori\nA,B')).toEqual([['Nama;lengkap', 'Kategori'], ['A', 'B']]);
+    });
+
+    it('skips blank lines and accepts a missing final newline', () => {
+        expect(parseCSV('a,b\n\n\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+        expect(parseCSV('a,\n')).toEqual([['a', '']]);
+    });
+
+    it('keeps Indonesian UTF-8 text intact through a round trip', () => {
+        const rows = [['Nama', 'Kategori'], ['Belajar bahasa Jepang — “kanji”', 'Kuliah'], ['Ulang tahun Ibu 🎂', 'Keluarga; rumah']];
+        expect(parseCSV(serializeCSV(rows))).toEqual(rows);
+    });
+});
+
+describe('dates', () => {
+    it('parses each format into a day key', () => {
+        expect(parseDateWithFormat('2025-12-31', 'YYYY-MM-DD')).toBe('2025-12-31');
+        expect(parseDateWithFormat('3/4/2025', 'DD/MM/YYYY')).toBe('2025-04-03');
+        expect(parseDateWithFormat('31.12.2025', 'DD/MM/YYYY')).toBe('2025-12-31');
+        expect(parseDateWithFormat('12/31/2025', 'MM/DD/YYYY')).toBe('2025-12-31');
+    });
+
+    it('rejects values that do not fit or roll over', () => {
+        expect(parseDateWithFormat('31/02/2025', 'DD/MM/YYYY')).toBeNull();
+        expect(parseDateWithFormat('12/31/2025', 'DD/MM/YYYY')).toBeNull();
+        expect(parseDateWithFormat('besok', 'YYYY-MM-DD')).toBeNull();
+        expect(parseDateWithFormat('2025-01-01', 'unknown')).toBeNull();
+    });
+
+    it('detects the formats that fit every filled value', () => {
+        expect(detectDateFormats(['2025-01-02', '', '2025-12-31'])).toEqual(['YYYY-MM-DD']);
+        expect(detectDateFormats(['03/04/2025', '25/12/2025'])).toEqual(['DD/MM/YYYY']);
+        expect(detectDateFormats(['03/04/2025', '12/31/2025'])).toEqual(['MM/DD/YYYY']);
+    });
+
+    it('offers both slash formats when every day is 12 or less, day-first first', () => {
+        expect(detectDateFormats(['03/04/2025', '05/06/2025'])).toEqual(['DD/MM/YYYY', 'MM/DD/YYYY']);
+    });
+
+    it('detects nothing for empty or unreadable columns', () => {
+        expect(detectDateFormats(['', '  '])).toEqual([]);
+        expect(detectDateFormats(['31/12/2025', '12/31/2025'])).toEqual([]);
+    });
+});
+
+describe('task mapping', () => {
+    it('exports one row per task with subtask progress', () => {
+        const rows = tasksToCSVRows([
+            { name: 'A', category: 'Kuliah', priority: 'Penting - Mendesak', deadline: '2025-01-02', completed: false, subtasks: [{ completed: true }, { completed: false }] },
+            { name: 'B', category: 'Pribadi', priority: 'Penting - Non-mendesak', deadline: null, completed: true },
+        ]);
+        expect(rows[1]).toEqual(['A', 'Kuliah', 'Penting - Mendesak', '2025-01-02', 'Tidak', 1, 2, 50]);
+        expect(rows[2]).toEqual(['B', 'Pribadi', 'Penting - Non-mendesak', '', 'Ya', 0, 0, 100]);
+    });
+
+    it('guesses columns from Indonesian and English headers', () => {
+        expect(guessTaskMapping(['Judul', 'Tenggat (tgl)', 'Priority', 'Status'])).toEqual({
+            name: 0, category: -1, priority: 2, deadline: 1, completed: 3,
+        });
+    });
+
+    it('turns rows into tasks and reports rows it cannot read', () => {
+        const mapping = { name: 0, category: 1, priority: 2, deadline: 3, completed: 4 };
+        const { tasks, errors } = rowsToTasks([
+            ['Skripsi', 'Kuliah', 'penting', '31/12/2025', 'ya'],
+            ['Belanja', '', '', '', ''],
+            ['', 'Kuliah', '', '', ''],
+            ['Rapat', '', '', '2025-12-31', ''],
+            ['Lari', '', 'sangat penting', '', ''],
+        ], mapping, 'DD/MM/YYYY');
+        expect(tasks).toEqual([
+            { name: 'Skripsi', category: 'Kuliah', priority: 'Penting - Mendesak', deadline: '2025-12-31', subtasks: [], completed: true, completedAt: null },
+            { name: 'Belanja', category: 'Pribadi', priority: 'Penting - Non-mendesak', deadline: null, subtasks: [], completed: false, completedAt: null },
+        ]);
+        expect(errors.map(e => e.row)).toEqual([4, 5, 6]);
+    });
+});
@@ -0,0 +1,81 @@
+// Date helpers shared by the planner views.
+// Day keys are local calendar dates formatted as YYYY-MM-DD, so "today" follows
+// the user's clock instead of UTC (toISOString() flips the day before 07:00 in WIB).
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+/**
+ * Format a Date as a YYYY-MM-DD key in the browser's local zone,
+ * or in an explicit IANA time zone (e.g. 'Asia/Jakarta') when one is given.
+ */
+export const toDateKey = (date = new Date(), timeZone) => {
+    if (timeZone) {
+        // en-CA formats dates as YYYY-MM-DD
+        return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+    }
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/** Parse a YYYY-MM-DD key into a Date at local midnight. */
+export const fromDateKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/** Whether a value is a real YYYY-MM-DD day key, e.g. one read from a URL. */
+export const isDateKey = (value) =>
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toDateKey(fromDateKey(value)) === value;
+
+/** Shift a day key by a number of days (negative to go back). */
+export const addDays = (key, days) => {
+    const date = fromDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+/** List of day keys ending at (and including) endKey, oldest first. */
+export const lastNDays = (endKey, count) =>
+    Array.from({ length: count }, (_, i) => addDays(endKey, i - count + 1));
+
+/** Convert "HH:MM" to minutes since midnight. */
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = (time || '00:00').split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+/** Number of calendar days from one key to another (positive when `to` is later). */
+export const diffDays = (fromKey, toKey) => {
+    const [fy, fm, fd] = fromKey.split('-').map(Number);
+    const [ty, tm, td] = toKey.split('-').map(Number);
+    // Compare in UTC so DST shifts never produce fractional days
+    return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+};
+
+/** Monday of the week containing the given day key. */
+export const getWeekStart = (key) => {
+    const weekday = fromDateKey(key).getDay(); // 0 = Minggu
+    return addDays(key, weekday === 0 ? -6 : 1 - weekday);
+};
+
+/** First day of the month containing the given day key. */
+export const getMonthStart = (key) => `${key.slice(0, 7)}-01`;
+
+/** Shift a day key by whole months, clamping to the last day of shorter months. */
+export const addMonths = (key, months) => {
+    const date = fromDateKey(key);
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+    return toDateKey(date);
+};
+
+/** Day keys for a Monday-first month grid: whole weeks covering the month of `key`. */
+export const getMonthGridDays = (key) => {
+    const monthStart = getMonthStart(key);
+    const monthEnd = addDays(addMonths(monthStart, 1), -1);
+    const gridStart = getWeekStart(monthStart);
+    const weeks = Math.ceil((diffDays(gridStart, monthEnd) + 1) / 7);
+    return Array.from({ length: weeks * 7 }, (_, i) => addDays(gridStart, i));
+};
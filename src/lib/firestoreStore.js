@@ -0,0 +1,46 @@
+// Firestore implementation of the planner's storage interface (see localStore.js for the
+// local-only one). Collections live under artifacts/{appId}/users/{uid}/{collection}.
+
+import { doc, collection, onSnapshot, getDocs, setDoc, updateDoc, deleteDoc, writeBatch } from 'firebase/firestore';
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} basePath e.g. `artifacts/${appId}/users/${userId}`
+ */
+export const createFirestoreStore = (db, basePath) => {
+    const collectionRef = (name) => collection(db, `${basePath}/${name}`);
+    const docRef = (name, id) => doc(db, `${basePath}/${name}`, id);
+
+    return {
+        kind: 'firestore',
+
+        /** Calls onChange(list, pendingIds) on every change; pendingIds are documents with unconfirmed local writes. */
+        subscribe: (name, onChange, onError) =>
+            // includeMetadataChanges: also notify when a local write is confirmed by the server
+            onSnapshot(collectionRef(name), { includeMetadataChanges: true }, (snapshot) => {
+                onChange(
+                    snapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+                    snapshot.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id)
+                );
+            }, onError),
+
+        newId: (name) => doc(collectionRef(name)).id,
+        set: (name, id, item) => setDoc(docRef(name, id), item),
+        update: (name, id, item) => updateDoc(docRef(name, id), item),
+        upsert: (name, id, item) => setDoc(docRef(name, id), item, { merge: true }),
+        remove: (name, id) => deleteDoc(docRef(name, id)),
+
+        /** Delete every document of a collection (the client SDK has no recursive delete). */
+        clear: async (name) => {
+            const snapshot = await getDocs(collectionRef(name));
+            for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+                const batch = writeBatch(db);
+                snapshot.docs.slice(i, i + BATCH_SIZE).forEach(d => batch.delete(d.ref));
+                await batch.commit();
+            }
+        },
+    };
+};
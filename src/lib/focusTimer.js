@@ -0,0 +1,118 @@
+// Drift-free Pomodoro timer state.
+// A running phase is stored as an absolute `endsAt` timestamp (ms since epoch) instead of a
+// counter decremented every second, so throttled background tabs, navigation and reloads
+// never make the timer drift: the remaining time is always `endsAt - now`.
+// All functions are pure and return a new state object.
+
+import { toDateKey } from './dates';
+
+export const defaultFocusSettings = { focusMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, cyclesBeforeLongBreak: 4 };
+
+/** Settings from storage: missing values take the default, others become whole minutes of at least 1. */
+export const normalizeFocusSettings = (stored) => Object.fromEntries(Object.entries(defaultFocusSettings).map(([key, fallback]) => [
+    key, stored && key in stored ? Math.max(1, parseInt(stored[key]) || 1) : fallback,
+]));
+
+export const getPhaseMs = (phase, settings) => {
+    if (phase === 'focus') return settings.focusMinutes * 60000;
+    if (phase === 'longBreak') return settings.longBreakMinutes * 60000;
+    return settings.shortBreakMinutes * 60000;
+};
+
+/**
+ * @typedef {Object} TimerState
+ * @property {'focus'|'shortBreak'|'longBreak'} phase
+ * @property {'idle'|'running'|'paused'} status
+ * @property {number|null} endsAt Absolute end time while running.
+ * @property {number} remainingMs Remaining time while idle or paused.
+ * @property {number} phaseMs Length of the current phase, fixed when it was set up.
+ * @property {number|null} startedAt When the current focus phase first started.
+ * @property {number} completedFocus Focus phases finished in this cycle run.
+ * @property {string} taskId Task linked to the focus session.
+ * @property {string} note Session note.
+ * @property {Array<Object>} unsaved Finished focus sessions not yet written to Firestore.
+ */
+
+/** @returns {TimerState} */
+export const createTimerState = (settings) => ({
+    phase: 'focus',
+    status: 'idle',
+    endsAt: null,
+    remainingMs: getPhaseMs('focus', settings),
+    phaseMs: getPhaseMs('focus', settings),
+    startedAt: null,
+    completedFocus: 0,
+    taskId: '',
+    note: '',
+    unsaved: [],
+});
+
+export const getRemainingMs = (state, now) =>
+    state.status === 'running' ? Math.max(0, state.endsAt - now) : state.remainingMs;
+
+export const startTimer = (state, now) => {
+    if (state.status === 'running') return state;
+    return { ...state, status: 'running', endsAt: now + state.remainingMs, startedAt: state.startedAt ?? now };
+};
+
+export const pauseTimer = (state, now) => {
+    if (state.status !== 'running') return state;
+    return { ...state, status: 'paused', remainingMs: getRemainingMs(state, now), endsAt: null };
+};
+
+// An idle timer at the start of a phase
+const idleAt = (state, phase, settings) => {
+    const phaseMs = getPhaseMs(phase, settings);
+    return { ...state, phase, status: 'idle', endsAt: null, startedAt: null, remainingMs: phaseMs, phaseMs };
+};
+
+export const resetTimer = (state, settings) => idleAt(state, state.phase, settings);
+
+export const switchPhase = (state, phase, settings) => idleAt(state, phase, settings);
+
+/** Apply new settings; an idle timer picks up the new length of its phase immediately. */
+export const applySettings = (state, settings) =>
+    state.status === 'idle' ? { ...state, remainingMs: getPhaseMs(state.phase, settings), phaseMs: getPhaseMs(state.phase, settings) } : state;
+
+const nextPhaseAfter = (state, settings) => {
+    if (state.phase !== 'focus') return 'focus';
+    return (state.completedFocus + 1) % settings.cyclesBeforeLongBreak === 0 ? 'longBreak' : 'shortBreak';
+};
+
+/**
+ * Complete the phase whose end time has passed and start the next one exactly when it ended,
+ * so a throttled background tab keeps the schedule it would have followed in the foreground.
+ * When the next phase would have ended by now as well, nobody was there to go through it
+ * (the tab or laptop slept): the timer stops, idle at the start of that phase, instead of
+ * logging a focus session for every cycle that passed. A finished focus phase is appended
+ * to `unsaved` with the length it actually ran with.
+ */
+export const advanceTimer = (state, settings, now) => {
+    if (state.status !== 'running' || state.endsAt > now) return state;
+    const endedAt = state.endsAt;
+    const phase = nextPhaseAfter(state, settings);
+    let next = state;
+    if (state.phase === 'focus') {
+        // Documents stored before phaseMs existed ran with the current settings
+        const focusMs = state.phaseMs ?? getPhaseMs('focus', settings);
+        const session = {
+            id: `${state.startedAt}-${endedAt}`,
+            startedAt: new Date(state.startedAt ?? endedAt - focusMs).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            date: toDateKey(new Date(endedAt)),
+            durationMinutes: Math.round(focusMs / 60000),
+            taskId: state.taskId || null,
+            note: state.note,
+        };
+        next = { ...state, completedFocus: state.completedFocus + 1, note: '', unsaved: [...state.unsaved, session] };
+    }
+    const phaseMs = getPhaseMs(phase, settings);
+    // A phase without length would end immediately, forever
+    if (!(phaseMs > 0) || endedAt + phaseMs <= now) return idleAt(next, phase, settings);
+    return { ...next, phase, startedAt: endedAt, endsAt: endedAt + phaseMs, phaseMs };
+};
+
+/** Drop sessions that have been written to storage. */
+export const markSessionsSaved = (state, ids) => ({
+    ...state, unsaved: state.unsaved.filter(session => !ids.includes(session.id)),
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { defaultFocusSettings, normalizeFocusSettings, createTimerState, startTimer, applySettings, advanceTimer } from './focusTimer';
+
+const MINUTE = 60000;
+
+describe('normalizeFocusSettings', () => {
+    it('fills in missing values and clamps stored ones to whole minutes of at least 1', () => {
+        expect(normalizeFocusSettings({ focusMinutes: '50', shortBreakMinutes: 0, longBreakMinutes: -5, cyclesBeforeLongBreak: 'x' }))
+            .toEqual({ focusMinutes: 50, shortBreakMinutes: 1, longBreakMinutes: 1, cyclesBeforeLongBreak: 1 });
+        expect(normalizeFocusSettings({})).toEqual(defaultFocusSettings);
+        expect(normalizeFocusSettings(null)).toEqual(defaultFocusSettings);
+    });
+});
+
+describe('advanceTimer', () => {
+    it('starts the next phase when the previous one ended, even if the tab noticed late', () => {
+        const running = startTimer(createTimerState(defaultFocusSettings), 0);
+        const next = advanceTimer(running, defaultFocusSettings, 27 * MINUTE);
+        expect(next).toMatchObject({ phase: 'shortBreak', status: 'running', completedFocus: 1, startedAt: 25 * MINUTE, endsAt: 30 * MINUTE });
+        expect(next.unsaved).toHaveLength(1);
+    });
+
+    it('logs one session and stops after a gap longer than the next phase', () => {
+        const running = startTimer(createTimerState(defaultFocusSettings), 0);
+        const next = advanceTimer(running, defaultFocusSettings, 8 * 60 * MINUTE);
+        expect(next).toMatchObject({ phase: 'shortBreak', status: 'idle', endsAt: null, remainingMs: 5 * MINUTE, completedFocus: 1 });
+        expect(next.unsaved).toHaveLength(1);
+    });
+
+    it('logs the length the focus phase ran with, not the current setting', () => {
+        const running = startTimer(createTimerState(defaultFocusSettings), 0);
+        const changed = { ...defaultFocusSettings, focusMinutes: 50 };
+        const next = advanceTimer(applySettings(running, changed), changed, 25 * MINUTE);
+        expect(next.unsaved[0]).toMatchObject({ durationMinutes: 25, startedAt: new Date(0).toISOString() });
+    });
+
+    it('stops instead of looping forever when the next phase has no length', () => {
+        const settings = { ...defaultFocusSettings, shortBreakMinutes: 0 };
+        const running = startTimer(createTimerState(settings), 0);
+        const next = advanceTimer(running, settings, 26 * MINUTE);
+        expect(next).toMatchObject({ phase: 'shortBreak', status: 'idle', endsAt: null, remainingMs: 0, completedFocus: 1 });
+        expect(next.unsaved).toHaveLength(1);
+    });
+});
@@ -0,0 +1,76 @@
+// Habit streak engine.
+// A habit stores `checkIns`: a sorted list of YYYY-MM-DD day keys (local calendar days).
+// Everything else (checked today, current/longest streak, weekly progress) is derived
+// from that log, so midnight rollovers, unchecking and editing past days need no
+// extra bookkeeping.
+//
+// Weekly target: a habit with target N per week may skip (7 - N) days in every
+// Monday–Sunday week without breaking its streak. Target 7 is a plain daily streak.
+// Today never breaks a streak while it is still unchecked, because the day is not over.
+
+import { addDays, diffDays, getWeekStart } from './dates';
+
+/** Check-in log of a habit, upgrading legacy documents that only stored lastChecked/checkedToday. */
+export const getCheckIns = (habit) => {
+    if (Array.isArray(habit.checkIns)) return habit.checkIns;
+    if (habit.checkedToday && habit.lastChecked) return [habit.lastChecked];
+    return [];
+};
+
+export const isCheckedOn = (checkIns, dateKey) => checkIns.includes(dateKey);
+
+/** Add or remove a check-in for a day, returning a new sorted, de-duplicated log. */
+export const toggleCheckIn = (checkIns, dateKey) => {
+    const next = isCheckedOn(checkIns, dateKey)
+        ? checkIns.filter(key => key !== dateKey)
+        : [...checkIns, dateKey];
+    return [...new Set(next)].sort();
+};
+
+/** Number of check-ins in the Monday–Sunday week containing dateKey. */
+export const countInWeek = (checkIns, dateKey) => {
+    const weekStart = getWeekStart(dateKey);
+    const weekEnd = addDays(weekStart, 6);
+    return checkIns.filter(key => key >= weekStart && key <= weekEnd).length;
+};
+
+const normalizeTarget = (target) => Math.min(7, Math.max(1, parseInt(target, 10) || 7));
+
+/**
+ * Current and longest streak, counted in checked days.
+ * @param {string[]} checkIns Day keys of completed check-ins.
+ * @param {number} target Times per week (1–7).
+ * @param {string} todayKey Today's day key in the user's zone.
+ * @returns {{ current: number, longest: number }}
+ */
+export const computeStreaks = (checkIns, target, todayKey) => {
+    const days = [...new Set(checkIns)].filter(key => key <= todayKey).sort();
+    if (days.length === 0) return { current: 0, longest: 0 };
+
+    const checked = new Set(days);
+    const restAllowance = 7 - normalizeTarget(target);
+    const restUsed = {};
+    let run = 0;
+    let longest = 0;
+
+    const totalDays = diffDays(days[0], todayKey);
+    for (let offset = 0; offset <= totalDays; offset++) {
+        const key = addDays(days[0], offset);
+        if (checked.has(key)) {
+            run += 1;
+            longest = Math.max(longest, run);
+            continue;
+        }
+        // An unchecked today is still pending
+        if (key === todayKey || run === 0) continue;
+
+        const week = getWeekStart(key);
+        if ((restUsed[week] || 0) < restAllowance) {
+            restUsed[week] = (restUsed[week] || 0) + 1;
+        } else {
+            run = 0;
+        }
+    }
+
+    return { current: run, longest };
+};
@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { getCheckIns, isCheckedOn, toggleCheckIn, countInWeek, computeStreaks } from './habitStreak';
+
+const originalTZ = process.env.TZ;
+
+describe('getCheckIns', () => {
+    it('returns the stored log', () => {
+        expect(getCheckIns({ checkIns: ['2025-01-01'] })).toEqual(['2025-01-01']);
+    });
+
+    it('upgrades legacy lastChecked/checkedToday documents', () => {
+        expect(getCheckIns({ checkedToday: true, lastChecked: '2025-01-05' })).toEqual(['2025-01-05']);
+        expect(getCheckIns({ checkedToday: false, lastChecked: '2025-01-05' })).toEqual([]);
+        expect(getCheckIns({})).toEqual([]);
+    });
+});
+
+describe('toggleCheckIn', () => {
+    it('adds a day and keeps the log sorted', () => {
+        expect(toggleCheckIn(['2025-01-03'], '2025-01-01')).toEqual(['2025-01-01', '2025-01-03']);
+    });
+
+    it('removes a checked day', () => {
+        expect(toggleCheckIn(['2025-01-01', '2025-01-02'], '2025-01-02')).toEqual(['2025-01-01']);
+    });
+
+    it('drops duplicates from older logs', () => {
+        expect(toggleCheckIn(['2025-01-01', '2025-01-01'], '2025-01-02')).toEqual(['2025-01-01', '2025-01-02']);
+    });
+
+    it('does not modify the given log', () => {
+        const log = ['2025-01-01'];
+        toggleCheckIn(log, '2025-01-02');
+        expect(log).toEqual(['2025-01-01']);
+    });
+});
+
+describe('countInWeek', () => {
+    it('counts the Monday–Sunday week of the day', () => {
+        const log = ['2025-01-05', '2025-01-06', '2025-01-08', '2025-01-12', '2025-01-13'];
+        expect(countInWeek(log, '2025-01-09')).toBe(3);
+    });
+
+    it('counts a week that spans two months', () => {
+        const log = ['2025-03-30', '2025-03-31', '2025-04-02', '2025-04-06', '2025-04-07'];
+        expect(countInWeek(log, '2025-04-01')).toBe(3);
+    });
+});
+
+describe('computeStreaks', () => {
+    it('is zero without check-ins', () => {
+        expect(computeStreaks([], 7, '2025-01-10')).toEqual({ current: 0, longest: 0 });
+    });
+
+    it('counts consecutive days', () => {
+        expect(computeStreaks(['2025-01-01', '2025-01-02', '2025-01-03'], 7, '2025-01-03')).toEqual({ current: 3, longest: 3 });
+    });
+
+    it('resets after a missed day on a daily habit', () => {
+        const log = ['2025-01-01', '2025-01-02', '2025-01-04'];
+        expect(computeStreaks(log, 7, '2025-01-04')).toEqual({ current: 1, longest: 2 });
+    });
+
+    it('resets when yesterday was missed and today is still open', () => {
+        expect(computeStreaks(['2025-01-01', '2025-01-02'], 7, '2025-01-04')).toEqual({ current: 0, longest: 2 });
+    });
+
+    it('keeps the streak while today is unchecked', () => {
+        expect(computeStreaks(['2025-01-01', '2025-01-02', '2025-01-03'], 7, '2025-01-04')).toEqual({ current: 3, longest: 3 });
+    });
+
+    it('ignores check-ins after today', () => {
+        expect(computeStreaks(['2025-01-01', '2025-01-02', '2025-01-09'], 7, '2025-01-02')).toEqual({ current: 2, longest: 2 });
+    });
+
+    it('allows rest days within the weekly target', () => {
+        // Week of Mon 6 Jan: skip Wednesday and Saturday, target 5 allows two rest days
+        const log = ['2025-01-06', '2025-01-07', '2025-01-09', '2025-01-10', '2025-01-12'];
+        expect(computeStreaks(log, 5, '2025-01-12')).toEqual({ current: 5, longest: 5 });
+    });
+
+    it('breaks once the rest days of a week are used up', () => {
+        const log = ['2025-01-06', '2025-01-07', '2025-01-09', '2025-01-10', '2025-01-12'];
+        expect(computeStreaks(log, 6, '2025-01-12')).toEqual({ current: 1, longest: 4 });
+    });
+
+    it('gives every week its own rest days', () => {
+        // Sunday 12 Jan and Monday 13 Jan missed: one rest day in each week with target 6
+        const log = ['2025-01-09', '2025-01-10', '2025-01-11', '2025-01-14', '2025-01-15'];
+        expect(computeStreaks(log, 6, '2025-01-15')).toEqual({ current: 5, longest: 5 });
+    });
+
+    it('drops back after unchecking today', () => {
+        const log = ['2025-01-01', '2025-01-02', '2025-01-03'];
+        const unchecked = toggleCheckIn(log, '2025-01-03');
+        expect(isCheckedOn(unchecked, '2025-01-03')).toBe(false);
+        expect(computeStreaks(unchecked, 7, '2025-01-03')).toEqual({ current: 2, longest: 2 });
+    });
+
+    it('joins two runs when a missed past day is checked later', () => {
+        const log = ['2025-01-01', '2025-01-02', '2025-01-04', '2025-01-05'];
+        expect(computeStreaks(log, 7, '2025-01-05').current).toBe(2);
+        expect(computeStreaks(toggleCheckIn(log, '2025-01-03'), 7, '2025-01-05')).toEqual({ current: 5, longest: 5 });
+    });
+
+    it('breaks a streak when a past day is unchecked', () => {
+        const log = ['2025-01-01', '2025-01-02', '2025-01-03', '2025-01-04'];
+        expect(computeStreaks(toggleCheckIn(log, '2025-01-02'), 7, '2025-01-04')).toEqual({ current: 2, longest: 2 });
+    });
+
+    it('runs across month and year boundaries', () => {
+        expect(computeStreaks(['2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02'], 7, '2025-02-02').current).toBe(4);
+        expect(computeStreaks(['2024-02-28', '2024-02-29', '2024-03-01'], 7, '2024-03-01').current).toBe(3);
+        expect(computeStreaks(['2024-12-30', '2024-12-31', '2025-01-01'], 7, '2025-01-01').current).toBe(3);
+    });
+
+    it.each([
+        ['America/New_York', ['2025-03-08', '2025-03-09', '2025-03-10'], '2025-03-10'],
+        ['America/New_York', ['2025-11-01', '2025-11-02', '2025-11-03'], '2025-11-03'],
+        ['Europe/Berlin', ['2025-03-29', '2025-03-30', '2025-03-31'], '2025-03-31'],
+        ['Europe/Berlin', ['2025-10-25', '2025-10-26', '2025-10-27'], '2025-10-27'],
+    ])('is not broken by a DST change in %s (%s)', (timeZone, log, today) => {
+        process.env.TZ = timeZone;
+        expect(computeStreaks(log, 7, today)).toEqual({ current: 3, longest: 3 });
+    });
+
+    afterEach(() => {
+        process.env.TZ = originalTZ;
+    });
+});
@@ -0,0 +1,241 @@
+// Minimal RFC 5545 (iCalendar) serializer and parser for exchanging tasks and
+// routine blocks with Google Calendar / Outlook. Pure functions, no network.
+//
+// Tasks are exported as all-day VEVENTs on their deadline (calendar apps ignore
+// VTODO), routine blocks as daily recurring VEVENTs. Planner-specific fields
+// travel in X-GENZ-* properties so a round trip keeps priority and completion.
+
+import { toDateKey } from './dates';
+import { priorityOptions } from './tasks';
+
+const PRODID = '-//GenZ Planner//ID';
+const UID_DOMAIN = 'genz-planner';
+const MAX_LINE_OCTETS = 75;
+
+// Eisenhower priority <-> RFC 5545 PRIORITY (1 = highest, 9 = lowest)
+const PRIORITY_TO_ICS = {
+    'Penting - Mendesak': 1,
+    'Penting - Non-mendesak': 3,
+    'Non-penting - Mendesak': 5,
+    'Non-penting - Non-mendesak': 9,
+};
+
+const priorityFromIcs = (value) => {
+    const level = parseInt(value, 10);
+    if (!level) return null;
+    if (level <= 2) return 'Penting - Mendesak';
+    if (level <= 4) return 'Penting - Non-mendesak';
+    if (level <= 6) return 'Non-penting - Mendesak';
+    return 'Non-penting - Non-mendesak';
+};
+
+// --- Serializer ---
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets (UTF-8), never splitting a multi-byte character
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const formatDate = (dateKey) => dateKey.replace(/-/g, '');
+
+const formatUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDay = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return toDateKey(new Date(year, month - 1, day + 1));
+};
+
+/** UID used for a task when it is exported (imported tasks keep their original UID). */
+export const getTaskUid = (task) => task.icsUid || `task-${task.id}@${UID_DOMAIN}`;
+
+const taskToLines = (task, stamp) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${getTaskUid(task)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(task.deadline)}`,
+        `DTEND;VALUE=DATE:${formatDate(nextDay(task.deadline))}`,
+        `SUMMARY:${escapeText(task.name)}`,
+    ];
+    if (task.category) lines.push(`CATEGORIES:${escapeText(task.category)}`);
+    if (PRIORITY_TO_ICS[task.priority]) lines.push(`PRIORITY:${PRIORITY_TO_ICS[task.priority]}`);
+    if (task.subtasks?.length) {
+        const description = task.subtasks.map(s => `${s.completed ? '[x]' : '[ ]'} ${s.text}`).join('\n');
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (task.priority) lines.push(`X-GENZ-PRIORITY:${escapeText(task.priority)}`);
+    lines.push(`X-GENZ-COMPLETED:${task.completed ? 'TRUE' : 'FALSE'}`);
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+const routineToLines = (routine, stamp, startDateKey) => {
+    const date = formatDate(startDateKey);
+    const time = (value) => `${(value || '00:00').replace(':', '')}00`;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:routine-${routine.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${date}T${time(routine.startTime)}`,
+        `DTEND:${date}T${time(routine.endTime)}`,
+        'RRULE:FREQ=DAILY',
+        `SUMMARY:${escapeText(`${routine.category} Routine`)}`,
+        'CATEGORIES:Routine',
+    ];
+    if (routine.activities?.length) {
+        lines.push(`DESCRIPTION:${escapeText(routine.activities.map(a => `- ${a.text}`).join('\n'))}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Serialize tasks (those with a deadline) and routine blocks into an .ics document.
+ * Routine times are floating local times, starting on `startDateKey`.
+ */
+export const serializeICS = ({ tasks = [], routines = [], now = new Date(), startDateKey = toDateKey(now) } = {}) => {
+    const stamp = formatUtcStamp(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:GenZ Planner',
+        ...tasks.filter(t => t.deadline).flatMap(task => taskToLines(task, stamp)),
+        ...routines.flatMap(routine => routineToLines(routine, stamp, startDateKey)),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// --- Parser ---
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N') ? '\n' : char);
+
+// Split "NAME;PARAM=a;PARAM2="b:c":value" into its parts, honouring quoted params
+const parseContentLine = (line) => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon === -1) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// DATE or DATE-TIME value -> local day key. UTC times ("...Z") are converted to the local day.
+const parseDateValue = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (utc) {
+        return toDateKey(new Date(Date.UTC(+year, month - 1, +day, +hour, +minute, +second)));
+    }
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse an .ics document into plain event objects.
+ * @returns {Array<{ type: string, uid: string|null, summary: string, description: string,
+ *   categories: string[], date: string|null, priority: string|null, completed: boolean, recurring: boolean }>}
+ */
+export const parseICS = (text) => {
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const items = [];
+    const stack = [];
+    let current = null;
+
+    lines.forEach(rawLine => {
+        if (!rawLine.trim()) return;
+        const line = parseContentLine(rawLine);
+        if (!line) return;
+
+        if (line.name === 'BEGIN') {
+            stack.push(line.value.toUpperCase());
+            if (stack.length === 2 && (line.value.toUpperCase() === 'VEVENT' || line.value.toUpperCase() === 'VTODO')) {
+                current = { type: line.value.toUpperCase(), uid: null, summary: '', description: '', categories: [], date: null, priority: null, completed: false, recurring: false };
+            }
+            return;
+        }
+        if (line.name === 'END') {
+            const ended = stack.pop();
+            if (current && stack.length === 1 && ended === current.type) {
+                items.push(current);
+                current = null;
+            }
+            return;
+        }
+        // Ignore properties of nested components such as VALARM
+        if (!current || stack.length !== 2) return;
+
+        switch (line.name) {
+            case 'UID': current.uid = line.value.trim(); break;
+            case 'SUMMARY': current.summary = unescapeText(line.value); break;
+            case 'DESCRIPTION': current.description = unescapeText(line.value); break;
+            case 'CATEGORIES':
+                current.categories.push(...line.value.split(/(?<!\\),/).map(c => unescapeText(c).trim()).filter(Boolean));
+                break;
+            case 'DTSTART': current.date = current.date || parseDateValue(line.value); break;
+            // VTODO deadlines are DUE and take precedence over DTSTART
+            case 'DUE': current.date = parseDateValue(line.value) || current.date; break;
+            case 'PRIORITY': current.priority = current.priority || priorityFromIcs(line.value); break;
+            // Only a known priority overrides PRIORITY; anything else falls back to it
+            case 'X-GENZ-PRIORITY': {
+                const priority = unescapeText(line.value).trim();
+                if (priorityOptions.includes(priority)) current.priority = priority;
+                break;
+            }
+            case 'STATUS': if (line.value.trim().toUpperCase() === 'COMPLETED') current.completed = true; break;
+            case 'X-GENZ-COMPLETED': current.completed = line.value.trim().toUpperCase() === 'TRUE'; break;
+            case 'RRULE': current.recurring = true; break;
+            default: break;
+        }
+    });
+
+    return items;
+};
+
+/** Map a parsed event onto the task shape written by ActionForm. */
+export const icsEventToTask = (event, { defaultCategory = 'Pribadi', defaultPriority = 'Penting - Non-mendesak' } = {}) => ({
+    name: event.summary || '(Tanpa judul)',
+    category: event.categories[0] || defaultCategory,
+    deadline: event.date,
+    priority: event.priority || defaultPriority,
+    subtasks: [],
+    completed: event.completed,
+    icsUid: event.uid,
+});
+
+/** UIDs already present in the planner, so re-importing the same file does not create duplicates. */
+export const getKnownUids = (tasks) => new Set(tasks.map(getTaskUid));
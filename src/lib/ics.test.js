@@ -0,0 +1,164 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { serializeICS, parseICS, icsEventToTask, getKnownUids, getTaskUid } from './ics';
+
+const originalTZ = process.env.TZ;
+const now = new Date(Date.UTC(2025, 0, 15, 8, 30, 0));
+
+const task = (fields = {}) => ({
+    id: 't1',
+    name: 'Revisi bab 2',
+    category: 'Kuliah',
+    priority: 'Penting - Mendesak',
+    deadline: '2025-01-20',
+    subtasks: [],
+    completed: false,
+    ...fields,
+});
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('serializeICS', () => {
+    it('writes a task as an all-day event on its deadline', () => {
+        const ics = serializeICS({ tasks: [task()], now });
+        expect(ics).toContain('DTSTART;VALUE=DATE:20250120\r\n');
+        expect(ics).toContain('DTEND;VALUE=DATE:20250121\r\n');
+        expect(ics).toContain('DTSTAMP:20250115T083000Z\r\n');
+        expect(ics).toContain('UID:task-t1@genz-planner\r\n');
+        expect(ics).toContain('PRIORITY:1\r\n');
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('ends an event on the last day of a month in the next month', () => {
+        expect(serializeICS({ tasks: [task({ deadline: '2025-01-31' })], now })).toContain('DTEND;VALUE=DATE:20250201');
+    });
+
+    it('skips tasks without a deadline', () => {
+        expect(serializeICS({ tasks: [task({ deadline: null })], now })).not.toContain('BEGIN:VEVENT');
+    });
+
+    it('escapes backslashes, semicolons, commas and newlines', () => {
+        const ics = serializeICS({ tasks: [task({ name: 'A; B, C\\D\nE' })], now });
+        expect(ics).toContain('SUMMARY:A\\; B\\, C\\\\D\\nE\r\n');
+    });
+
+    it('folds lines longer than 75 octets without splitting characters', () => {
+        const name = 'Tugas panjang dengan emoji 🎉 '.repeat(6);
+        const ics = serializeICS({ tasks: [task({ name })], now });
+        const encoder = new TextEncoder();
+        ics.split('\r\n').forEach(line => expect(encoder.encode(line).length).toBeLessThanOrEqual(75));
+        expect(ics).toMatch(/\r\n [^\r\n]/);
+        expect(parseICS(ics)[0].summary).toBe(name);
+    });
+
+    it('writes routine blocks as daily floating-time events', () => {
+        const ics = serializeICS({ routines: [{ id: 'r1', category: 'Pagi', startTime: '05:30', endTime: '07:00', activities: [] }], now, startDateKey: '2025-01-15' });
+        expect(ics).toContain('DTSTART:20250115T053000\r\n');
+        expect(ics).toContain('DTEND:20250115T070000\r\n');
+        expect(ics).toContain('RRULE:FREQ=DAILY\r\n');
+    });
+});
+
+describe('parseICS', () => {
+    afterEach(() => {
+        process.env.TZ = originalTZ;
+    });
+
+    it('round-trips the planner fields', () => {
+        const original = task({ name: 'Kirim laporan, final', priority: 'Non-penting - Mendesak', completed: true, subtasks: [{ id: 's', text: 'Cek', completed: true }] });
+        const [event] = parseICS(serializeICS({ tasks: [original], now }));
+        expect(event).toMatchObject({
+            type: 'VEVENT',
+            uid: 'task-t1@genz-planner',
+            summary: 'Kirim laporan, final',
+            description: '[x] Cek',
+            categories: ['Kuliah'],
+            date: '2025-01-20',
+            priority: 'Non-penting - Mendesak',
+            completed: true,
+            recurring: false,
+        });
+    });
+
+    it('unfolds continuation lines starting with a space or a tab', () => {
+        const [event] = parseICS(calendar('BEGIN:VEVENT', 'SUMMARY:Rapat tim', ' mingguan', 'DESCRIPTION:baris', '\tdua', 'DTSTART;VALUE=DATE:20250301', 'END:VEVENT'));
+        expect(event.summary).toBe('Rapat timmingguan');
+        expect(event.description).toBe('barisdua');
+    });
+
+    it('unescapes text values', () => {
+        const [event] = parseICS(calendar('BEGIN:VEVENT', 'SUMMARY:A\\; B\\, C\\\\D\\nE\\NF', 'DTSTART;VALUE=DATE:20250301', 'END:VEVENT'));
+        expect(event.summary).toBe('A; B, C\\D\nE\nF');
+    });
+
+    it('reads an all-day DTSTART as that day', () => {
+        const [event] = parseICS(calendar('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250301', 'END:VEVENT'));
+        expect(event.date).toBe('2025-03-01');
+    });
+
+    it('converts a UTC DTSTART to the local day', () => {
+        process.env.TZ = 'Asia/Jakarta';
+        const [event] = parseICS(calendar('BEGIN:VEVENT', 'DTSTART:20250301T200000Z', 'END:VEVENT'));
+        expect(event.date).toBe('2025-03-02');
+    });
+
+    it('keeps the day of a floating or TZID date-time', () => {
+        const events = parseICS(calendar(
+            'BEGIN:VEVENT', 'DTSTART:20250301T233000', 'END:VEVENT',
+            'BEGIN:VEVENT', 'DTSTART;TZID="Asia/Jakarta":20250302T080000', 'END:VEVENT',
+        ));
+        expect(events.map(e => e.date)).toEqual(['2025-03-01', '2025-03-02']);
+    });
+
+    it('uses DUE as the deadline of a VTODO', () => {
+        const [todo] = parseICS(calendar('BEGIN:VTODO', 'UID:todo-1', 'SUMMARY:Bayar kos', 'DTSTART;VALUE=DATE:20250301', 'DUE;VALUE=DATE:20250305', 'STATUS:COMPLETED', 'PRIORITY:2', 'END:VTODO'));
+        expect(todo).toMatchObject({ type: 'VTODO', uid: 'todo-1', date: '2025-03-05', completed: true, priority: 'Penting - Mendesak' });
+    });
+
+    it('takes X-GENZ-PRIORITY only when it is a known priority', () => {
+        const events = parseICS(calendar(
+            'BEGIN:VEVENT', 'X-GENZ-PRIORITY:Non-penting - Mendesak', 'PRIORITY:1', 'END:VEVENT',
+            'BEGIN:VEVENT', 'X-GENZ-PRIORITY:Sangat penting', 'PRIORITY:1', 'END:VEVENT',
+            'BEGIN:VEVENT', 'PRIORITY:1', 'X-GENZ-PRIORITY:Sangat penting', 'END:VEVENT',
+            'BEGIN:VEVENT', 'X-GENZ-PRIORITY:Sangat penting', 'END:VEVENT',
+        ));
+        expect(events.map(e => e.priority)).toEqual(['Non-penting - Mendesak', 'Penting - Mendesak', 'Penting - Mendesak', null]);
+        expect(icsEventToTask(events[3]).priority).toBe('Penting - Non-mendesak');
+    });
+
+    it('ignores the properties of a nested VALARM', () => {
+        const [event] = parseICS(calendar(
+            'BEGIN:VEVENT', 'UID:ev-1', 'SUMMARY:Ujian', 'DTSTART;VALUE=DATE:20250310',
+            'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Pengingat', 'SUMMARY:Alarm', 'TRIGGER:-PT15M', 'END:VALARM',
+            'CATEGORIES:Kuliah,Penting', 'END:VEVENT',
+        ));
+        expect(event).toMatchObject({ uid: 'ev-1', summary: 'Ujian', description: '', categories: ['Kuliah', 'Penting'] });
+    });
+
+    it('marks events with an RRULE as recurring', () => {
+        const [event] = parseICS(calendar('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250301', 'RRULE:FREQ=WEEKLY', 'END:VEVENT'));
+        expect(event.recurring).toBe(true);
+    });
+});
+
+describe('re-import de-duplication', () => {
+    it('recognises exported tasks by their UID', () => {
+        const tasks = [task()];
+        const [event] = parseICS(serializeICS({ tasks, now }));
+        expect(getKnownUids(tasks).has(event.uid)).toBe(true);
+    });
+
+    it('recognises previously imported events by their original UID', () => {
+        const file = calendar('BEGIN:VEVENT', 'UID:google-123@google.com', 'SUMMARY:Kuliah umum', 'DTSTART;VALUE=DATE:20250401', 'END:VEVENT');
+        const [first] = parseICS(file);
+        const imported = { id: 'new-id', ...icsEventToTask(first) };
+        expect(getTaskUid(imported)).toBe('google-123@google.com');
+
+        const known = getKnownUids([imported]);
+        expect(parseICS(file).filter(event => !known.has(event.uid))).toEqual([]);
+    });
+
+    it('fills in defaults for fields the event does not have', () => {
+        const [event] = parseICS(calendar('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250401', 'END:VEVENT'));
+        expect(icsEventToTask(event)).toMatchObject({ name: '(Tanpa judul)', category: 'Pribadi', priority: 'Penting - Non-mendesak', completed: false, icsUid: null });
+    });
+});
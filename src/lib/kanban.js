@@ -0,0 +1,63 @@
+// Kanban workflow for tasks. A task stores its column in `status`; every category can
+// define its own columns in a `kanbanBoards` document (ID = category name).
+// The done column is tied to `completed`, so the list, matrix and calendar views stay in sync.
+
+import { getCompletionUpdate } from './tasks';
+
+export const DONE_STATUS = 'done';
+
+/** Columns used by categories without their own board. wipLimit null = unlimited. */
+export const defaultKanbanColumns = [
+    { id: 'backlog', label: 'Backlog', wipLimit: null },
+    { id: 'in-progress', label: 'In Progress', wipLimit: 3 },
+    { id: 'review', label: 'Review', wipLimit: null },
+    { id: DONE_STATUS, label: 'Done', wipLimit: null },
+];
+
+/** Columns of a category board, falling back to the defaults. The done column is always last. */
+export const getBoardColumns = (boards, category) => {
+    const board = boards.find(b => b.id === category);
+    const columns = board?.columns?.length ? board.columns : defaultKanbanColumns;
+    const open = columns.filter(c => c.id !== DONE_STATUS);
+    const done = columns.find(c => c.id === DONE_STATUS) || defaultKanbanColumns[defaultKanbanColumns.length - 1];
+    return [...open, done];
+};
+
+/**
+ * Column a task sits in. Completed tasks are always in the done column; an open task whose
+ * status is unknown to the board (or still says done after being unchecked elsewhere)
+ * falls back to the first column.
+ */
+export const getTaskStatus = (task, columns) => {
+    if (task.completed) return DONE_STATUS;
+    const known = columns.some(c => c.id === task.status && c.id !== DONE_STATUS);
+    return known ? task.status : columns[0].id;
+};
+
+/** Firestore update for moving a task to `status`, toggling completion when it enters or leaves done. */
+export const getStatusUpdate = (task, status) => {
+    const isDone = status === DONE_STATUS;
+    return isDone === !!task.completed ? { status } : { status, ...getCompletionUpdate(isDone) };
+};
+
+/** Status of the column `offset` steps away (keyboard moves), or null at the edge of the board. */
+export const getAdjacentStatus = (columns, status, offset) => {
+    const index = columns.findIndex(c => c.id === status);
+    const next = columns[index + offset];
+    return index === -1 || !next ? null : next.id;
+};
+
+/** 'over' when a column holds more tasks than its WIP limit, 'full' at the limit, else 'ok'. */
+export const getWipState = (column, count) => {
+    if (!column.wipLimit) return 'ok';
+    if (count > column.wipLimit) return 'over';
+    return count === column.wipLimit ? 'full' : 'ok';
+};
+
+/** New column with an ID derived from its label, unique within the board. */
+export const createColumn = (columns, label) => {
+    const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'kolom';
+    let id = base;
+    for (let i = 2; columns.some(c => c.id === id); i++) id = `${base}-${i}`;
+    return { id, label: label.trim(), wipLimit: null };
+};
@@ -0,0 +1,112 @@
+// Local-only implementation of the planner's storage interface, used when no Firebase
+// config is available (demos, offline use, tests). Each collection is one JSON object
+// ({ [id]: data }) in localStorage; writes notify subscribers in this tab and, through
+// the `storage` event, in other tabs. Methods mirror createFirestoreStore.
+
+import { CURRENT_SCHEMA_VERSION, loadRecords } from './migrations';
+
+export const LOCAL_USER_ID = 'local';
+
+/**
+ * @param {Storage} storage Any Web Storage implementation (an in-memory one works for tests).
+ * @param {string} prefix Key prefix, one key per collection.
+ */
+export const createLocalStore = (storage = window.localStorage, prefix = 'genz-planner') => {
+    const listeners = new Map(); // collection name -> Set of callbacks
+    const storageKey = (name) => `${prefix}:${name}`;
+
+    const read = (name) => {
+        try {
+            return JSON.parse(storage.getItem(storageKey(name)) || '{}');
+        } catch {
+            return {};
+        }
+    };
+
+    const toList = (docs) => Object.entries(docs).map(([id, data]) => ({ id, ...data }));
+
+    const notify = (name) => {
+        const list = toList(read(name));
+        (listeners.get(name) || []).forEach(listener => listener(list, []));
+    };
+
+    const write = (name, docs) => {
+        storage.setItem(storageKey(name), JSON.stringify(docs));
+        notify(name);
+    };
+
+    if (typeof window !== 'undefined') {
+        window.addEventListener('storage', (e) => {
+            if (e.key?.startsWith(`${prefix}:`)) notify(e.key.slice(prefix.length + 1));
+        });
+    }
+
+    return {
+        kind: 'local',
+
+        subscribe: (name, onChange) => {
+            if (!listeners.has(name)) listeners.set(name, new Set());
+            listeners.get(name).add(onChange);
+            // First snapshot is delivered asynchronously, like onSnapshot
+            Promise.resolve().then(() => {
+                if (listeners.get(name).has(onChange)) onChange(toList(read(name)), []);
+            });
+            return () => listeners.get(name).delete(onChange);
+        },
+
+        newId: () => crypto.randomUUID(),
+
+        set: async (name, id, item) => {
+            write(name, { ...read(name), [id]: item });
+        },
+
+        // Like updateDoc, updating a missing document is an error
+        update: async (name, id, item) => {
+            const docs = read(name);
+            if (!docs[id]) throw new Error(`No document to update: ${name}/${id}`);
+            write(name, { ...docs, [id]: { ...docs[id], ...item } });
+        },
+
+        upsert: async (name, id, item) => {
+            const docs = read(name);
+            write(name, { ...docs, [id]: { ...(docs[id] || {}), ...item } });
+        },
+
+        remove: async (name, id) => {
+            const docs = read(name);
+            delete docs[id];
+            write(name, docs);
+        },
+
+        /** All documents of a collection, without subscribing. */
+        getAll: (name) => toList(read(name)),
+
+        clear: (name) => {
+            storage.removeItem(storageKey(name));
+            notify(name);
+        },
+    };
+};
+
+/** Whether any of the collections holds local documents. */
+export const hasLocalData = (localStore, names) => names.some(name => localStore.getAll(name).length > 0);
+
+/**
+ * Copy every local document into another store, keeping document IDs (so running it twice
+ * does not duplicate anything). Documents are migrated and validated like a collection read,
+ * and each write goes through `enqueue` (the sync queue). Local documents are removed only
+ * after every write succeeded; invalid ones stay local. Returns { moved, skipped }.
+ */
+export const migrateLocalData = async (localStore, target, names, enqueue) => {
+    const batches = names.map(name => ({ name, ...loadRecords(name, localStore.getAll(name)) }));
+    await Promise.all(batches.flatMap(({ name, valid }) => valid.map(({ id, ...data }) =>
+        enqueue({ collection: name, docId: id, op: 'upsert' },
+            () => target.upsert(name, id, { ...data, schemaVersion: CURRENT_SCHEMA_VERSION })))));
+    for (const { name, valid } of batches) {
+        for (const { id } of valid) await localStore.remove(name, id);
+    }
+    return {
+        moved: batches.reduce((sum, { valid }) => sum + valid.length, 0),
+        skipped: batches.reduce((sum, { quarantined }) => sum + quarantined.length, 0),
+    };
+};
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLocalStore, hasLocalData, migrateLocalData } from './localStore';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
+// Minimal in-memory Web Storage
+const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('createLocalStore', () => {
+    it('sets, updates, upserts and removes documents', async () => {
+        const store = createLocalStore(createMemoryStorage());
+        await store.set('habits', 'h1', { name: 'Baca', target: 7 });
+        await store.update('habits', 'h1', { target: 5 });
+        await store.upsert('habits', 'h2', { name: 'Lari' });
+        await store.upsert('habits', 'h2', { target: 3 });
+        expect(store.getAll('habits')).toEqual([
+            { id: 'h1', name: 'Baca', target: 5 },
+            { id: 'h2', name: 'Lari', target: 3 },
+        ]);
+        await store.remove('habits', 'h1');
+        expect(store.getAll('habits').map(d => d.id)).toEqual(['h2']);
+    });
+
+    it('rejects an update of a missing document, like updateDoc', async () => {
+        const store = createLocalStore(createMemoryStorage());
+        await expect(store.update('habits', 'nope', { target: 5 })).rejects.toThrow('No document to update');
+    });
+
+    it('keeps collections apart and clears one at a time', async () => {
+        const store = createLocalStore(createMemoryStorage());
+        await store.set('habits', 'h1', { name: 'Baca' });
+        await store.set('books', 'b1', { title: 'Laut Bercerita' });
+        store.clear('habits');
+        expect(store.getAll('habits')).toEqual([]);
+        expect(store.getAll('books')).toHaveLength(1);
+    });
+
+    it('reads a corrupt collection as empty', () => {
+        const storage = createMemoryStorage();
+        storage.setItem('genz-planner:habits', '{not json');
+        expect(createLocalStore(storage).getAll('habits')).toEqual([]);
+    });
+
+    it('delivers the first snapshot asynchronously, then every write', async () => {
+        const store = createLocalStore(createMemoryStorage());
+        await store.set('habits', 'h1', { name: 'Baca' });
+        const onChange = vi.fn();
+        const unsubscribe = store.subscribe('habits', onChange);
+        expect(onChange).not.toHaveBeenCalled();
+        await flush();
+        expect(onChange).toHaveBeenLastCalledWith([{ id: 'h1', name: 'Baca' }], []);
+        await store.remove('habits', 'h1');
+        expect(onChange).toHaveBeenLastCalledWith([], []);
+        unsubscribe();
+        await store.set('habits', 'h2', { name: 'Lari' });
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('migrateLocalData', () => {
+    const enqueue = (entry, write) => write();
+
+    it('moves valid documents through the queue and removes them locally', async () => {
+        const local = createLocalStore(createMemoryStorage());
+        const target = { upsert: vi.fn(async () => {}) };
+        const queue = vi.fn(enqueue);
+        await local.set('habits', 'h1', { name: 'Baca', checkIns: [] });
+        await local.set('books', 'b1', { title: 'Laut Bercerita' });
+
+        expect(await migrateLocalData(local, target, ['habits', 'books'], queue)).toEqual({ moved: 2, skipped: 0 });
+        expect(queue).toHaveBeenCalledWith({ collection: 'habits', docId: 'h1', op: 'upsert' }, expect.any(Function));
+        expect(target.upsert).toHaveBeenCalledWith('books', 'b1', { title: 'Laut Bercerita', schemaVersion: CURRENT_SCHEMA_VERSION });
+        expect(hasLocalData(local, ['habits', 'books'])).toBe(false);
+    });
+
+    it('upgrades old documents and keeps invalid ones local', async () => {
+        const local = createLocalStore(createMemoryStorage());
+        const target = { upsert: vi.fn(async () => {}) };
+        await local.set('tasks', 't1', { title: 'Skripsi' });
+        await local.set('tasks', 't2', { name: 'Rusak', priority: 'Sangat penting', schemaVersion: CURRENT_SCHEMA_VERSION });
+
+        expect(await migrateLocalData(local, target, ['tasks'], enqueue)).toEqual({ moved: 1, skipped: 1 });
+        expect(target.upsert).toHaveBeenCalledTimes(1);
+        expect(target.upsert.mock.calls[0][2]).toMatchObject({ name: 'Skripsi', priority: 'Penting - Non-mendesak' });
+        expect(local.getAll('tasks').map(d => d.id)).toEqual(['t2']);
+    });
+
+    it('keeps every local document when any write fails', async () => {
+        const local = createLocalStore(createMemoryStorage());
+        const target = { upsert: vi.fn(async (name) => { if (name === 'books') throw new Error('offline'); }) };
+        await local.set('habits', 'h1', { name: 'Baca' });
+        await local.set('books', 'b1', { title: 'Laut Bercerita' });
+
+        await expect(migrateLocalData(local, target, ['habits', 'books'], enqueue)).rejects.toThrow('offline');
+        expect(local.getAll('habits')).toHaveLength(1);
+        expect(local.getAll('books')).toHaveLength(1);
+    });
+});
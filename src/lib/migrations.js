@@ -0,0 +1,93 @@
+// Versioned document migrations. Every document carries `schemaVersion`; documents written
+// before versioning (or by app.js) count as version 0. When a collection is read, each
+// document is upgraded through the migrations it has not seen yet, validated against
+// src/lib/schemas.js, and then either shown, written back upgraded, or quarantined.
+//
+// To change a document shape: append a migration with the next version number. Never edit
+// or reorder a migration that has shipped; documents already upgraded past it will not re-run it.
+
+import { validateRecord } from './schemas';
+import { getCheckIns } from './habitStreak';
+
+/** @typedef {{ version: number, collection: string, description: string, up: (doc: Object) => Object }} Migration */
+
+/** @type {Migration[]} */
+export const migrations = [
+    {
+        version: 1,
+        collection: 'tasks',
+        description: 'Tugas dari app.js: title → name, kategori & prioritas default',
+        up: ({ title, ...task }) => ({
+            ...task,
+            name: task.name || title,
+            category: !task.category || task.category === 'Uncategorized' ? 'Pribadi' : task.category,
+            priority: task.priority || 'Penting - Non-mendesak',
+            deadline: task.deadline || null,
+            subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+            completed: Boolean(task.completed),
+        }),
+    },
+    {
+        version: 1,
+        collection: 'habits',
+        description: 'Kebiasaan lama: lastChecked/checkedToday → checkIns',
+        up: ({ lastChecked, checkedToday, ...habit }) => ({
+            ...habit,
+            checkIns: getCheckIns({ ...habit, lastChecked, checkedToday }),
+            target: habit.target ?? 7,
+        }),
+    },
+    {
+        version: 2,
+        collection: 'tasks',
+        description: 'Tugas versi 1 tanpa prioritas: prioritas default',
+        up: (task) => ({ ...task, priority: task.priority || 'Penting - Non-mendesak' }),
+    },
+];
+
+export const CURRENT_SCHEMA_VERSION = Math.max(0, ...migrations.map(m => m.version));
+
+/**
+ * Upgrade one document to the current version. `changed` tells whether anything ran, i.e.
+ * whether the stored document is out of date and should be written back.
+ */
+export const migrateRecord = (collectionName, record) => {
+    const from = record.schemaVersion || 0;
+    const pending = migrations
+        .filter(m => m.collection === collectionName && m.version > from)
+        .sort((a, b) => a.version - b.version);
+    // Collections without pending migrations are not rewritten just to bump the version
+    if (pending.length === 0) return { record, changed: false };
+    const upgraded = pending.reduce((doc, m) => m.up(doc), record);
+    return { record: { ...upgraded, schemaVersion: CURRENT_SCHEMA_VERSION }, changed: true };
+};
+
+/**
+ * Migrate and validate a freshly read collection.
+ * @param {Array<Object>} docs Documents with their `id`.
+ * @returns {{ valid: Object[], upgraded: Object[], quarantined: Array<{ id: string, record: Object, errors: string[] }> }}
+ *   `valid` is what the views get; `upgraded` is the subset that should be written back;
+ *   `quarantined` documents are kept out of the views (and left untouched in storage).
+ */
+export const loadRecords = (collectionName, docs) => {
+    const valid = [];
+    const upgraded = [];
+    const quarantined = [];
+    docs.forEach(doc => {
+        let result;
+        try {
+            result = migrateRecord(collectionName, doc);
+        } catch (e) {
+            quarantined.push({ id: doc.id, record: doc, errors: [`Migrasi gagal: ${e.message}`] });
+            return;
+        }
+        const errors = validateRecord(collectionName, result.record);
+        if (errors.length > 0) {
+            quarantined.push({ id: doc.id, record: doc, errors });
+            return;
+        }
+        valid.push(result.record);
+        if (result.changed) upgraded.push(result.record);
+    });
+    return { valid, upgraded, quarantined };
+};
@@ -0,0 +1,299 @@
+// Natural-language quick add: "Revisi bab 2 besok jam 9 #Kuliah !penting" or
+// "post IG tiap Senin" becomes a task. Indonesian and English words are both understood.
+//
+// Parsing is a series of passes over the text; every pass removes what it recognised and
+// records a chip for the preview, and whatever is left becomes the task name. Passes run
+// from the most specific pattern to the least ("tiap Senin" before "Senin", "jam 9.30"
+// before "9.30"), so a phrase is only consumed once.
+//
+// Conventions: dates are day-first (25/12), a bare weekday means its next occurrence after
+// today, "Senin depan" / "next Monday" means the Monday of next week, and a date without
+// a year is the next time that date comes around. Pure functions; `today` is injectable.
+
+import { toDateKey, fromDateKey, addDays, addMonths, getWeekStart, getMonthStart, isDateKey } from './dates';
+import { taskCategories } from './tasks';
+import { createRule, getNextOccurrence, describeRule } from './recurrence';
+
+// --- Vocabulary ---
+
+const weekdayWords = {
+    minggu: 0, ahad: 0, senin: 1, selasa: 2, rabu: 3, kamis: 4, jumat: 5, "jum'at": 5, sabtu: 6,
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+    // English abbreviations are only read after a keyword ("every mon", "next fri")
+    sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6,
+};
+const FULL_WEEKDAYS = 'minggu|ahad|senin|selasa|rabu|kamis|jum\'?at|sabtu|sunday|monday|tuesday|wednesday|thursday|friday|saturday';
+const ANY_WEEKDAY = `${FULL_WEEKDAYS}|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat`;
+
+const monthWords = {
+    januari: 1, january: 1, jan: 1,
+    februari: 2, pebruari: 2, february: 2, feb: 2, peb: 2,
+    maret: 3, march: 3, mar: 3,
+    april: 4, apr: 4,
+    mei: 5, may: 5,
+    juni: 6, june: 6, jun: 6,
+    juli: 7, july: 7, jul: 7,
+    agustus: 8, august: 8, agu: 8, agt: 8, ags: 8, aug: 8,
+    september: 9, sept: 9, sep: 9,
+    oktober: 10, october: 10, okt: 10, oct: 10,
+    november: 11, nov: 11, nop: 11,
+    desember: 12, december: 12, des: 12, dec: 12,
+};
+const MONTHS = Object.keys(monthWords).sort((a, b) => b.length - a.length).join('|');
+
+const categoryAliases = {
+    kuliah: 'Kuliah', kampus: 'Kuliah', sekolah: 'Kuliah', study: 'Kuliah', school: 'Kuliah', college: 'Kuliah',
+    kerja: 'Kerja', kantor: 'Kerja', work: 'Kerja', job: 'Kerja', office: 'Kerja',
+    bisnis: 'Bisnis', usaha: 'Bisnis', business: 'Bisnis',
+    konten: 'Konten', content: 'Konten',
+    pribadi: 'Pribadi', personal: 'Pribadi',
+};
+
+// Each flag adds importance and/or urgency; "!penting !mendesak" combines both
+const priorityFlags = {
+    penting: { important: true }, important: { important: true }, high: { important: true },
+    mendesak: { urgent: true }, urgent: { urgent: true }, asap: { urgent: true },
+    darurat: { important: true, urgent: true }, kritis: { important: true, urgent: true }, critical: { important: true, urgent: true },
+    santai: { low: true }, low: { low: true },
+    1: { important: true, urgent: true }, p1: { important: true, urgent: true },
+    2: { important: true }, p2: { important: true },
+    3: { urgent: true }, p3: { urgent: true },
+    4: { low: true }, p4: { low: true },
+};
+
+const toPriority = ({ important, urgent }) =>
+    `${important ? 'Penting' : 'Non-penting'} - ${urgent ? 'Mendesak' : 'Non-mendesak'}`;
+
+// --- Matching helpers ---
+
+// Word boundaries that also work for letters outside ASCII
+const B = '(?<![\\p{L}\\p{N}])';
+const E = '(?![\\p{L}\\p{N}])';
+const pattern = (source) => new RegExp(`${B}(?:${source})${E}`, 'iu');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** Next time a month/day comes around on or after today (year omitted). */
+const nextDate = (today, month, day) => {
+    const year = Number(today.slice(0, 4));
+    const thisYear = `${year}-${pad(month)}-${pad(day)}`;
+    if (isDateKey(thisYear) && thisYear >= today) return thisYear;
+    const nextYear = `${year + 1}-${pad(month)}-${pad(day)}`;
+    return isDateKey(nextYear) ? nextYear : null;
+};
+
+/** First date on or after today that falls on the given day of the month. */
+const nextDayOfMonth = (today, day) => {
+    for (let months = 0; ; months++) {
+        const key = `${addMonths(getMonthStart(today), months).slice(0, 8)}${pad(day)}`;
+        if (isDateKey(key) && key >= today) return key;
+    }
+};
+
+const fullYear = (year) => (year.length === 2 ? 2000 + Number(year) : Number(year));
+
+const explicitDate = (today, year, month, day) => {
+    if (!year) return nextDate(today, month, day);
+    const key = `${fullYear(year)}-${pad(month)}-${pad(day)}`;
+    return isDateKey(key) ? key : null;
+};
+
+/** Next occurrence of a weekday strictly after today. */
+const nextWeekday = (today, weekday) => {
+    const current = fromDateKey(today).getDay();
+    return addDays(today, ((weekday - current + 6) % 7) + 1);
+};
+
+/** The weekday in next week (weeks start on Monday). */
+const weekdayNextWeek = (today, weekday) => addDays(getWeekStart(today), 7 + ((weekday + 6) % 7));
+
+const addUnits = (today, amount, unit) => {
+    if (/^(hari|days?)$/i.test(unit)) return addDays(today, amount);
+    if (/^(minggu|pekan|weeks?)$/i.test(unit)) return addDays(today, amount * 7);
+    return addMonths(today, amount);
+};
+
+const toHour24 = (hour, period) => {
+    const p = (period || '').toLowerCase();
+    if (p === 'pm') return hour < 12 ? hour + 12 : hour;
+    if (p === 'am') return hour === 12 ? 0 : hour;
+    if (p === 'siang') return hour < 11 ? hour + 12 : hour;
+    if (p === 'sore') return hour < 12 ? hour + 12 : hour;
+    if (p === 'malam') {
+        if (hour === 12) return 0;
+        return hour >= 6 && hour < 12 ? hour + 12 : hour;
+    }
+    return hour;
+};
+
+const formatTime = (hour, minute) => (hour < 24 && minute < 60 ? `${pad(hour)}:${pad(minute)}` : null);
+
+// --- Passes ---
+// Each pass: [regex, (match, today, state) => partial result or null to leave the text alone]
+
+const UNIT = 'hari|days?|minggu|pekan|weeks?|bulan|months?';
+const EVERY = 'tiap|setiap|every|each';
+
+const recurrencePasses = [
+    // "tiap bulan tgl 5", "every month on the 5th": the day goes with the rule, not the deadline
+    [pattern(`(?:(?:tiap|setiap)\\s+(?:(\\d+)\\s+)?bulan\\s+(?:pada\\s+)?(?:tanggal|tgl\\.?)|(?:(?:every|each)\\s+(?:(\\d+)\\s+)?months?|monthly)\\s+on\\s+(?:the\\s+)?)\\s*(\\d{1,2})(?:st|nd|rd|th)?`), (m) => {
+        const interval = Number(m[1] || m[2] || 1);
+        const dayOfMonth = Number(m[3]);
+        if (interval < 1 || dayOfMonth < 1 || dayOfMonth > 31) return null;
+        return { recurrence: { freq: 'monthly', interval, monthlyMode: 'date', dayOfMonth } };
+    }],
+    [pattern(`(?:${EVERY})\\s+(\\d+)\\s+(${UNIT})`), (m) => {
+        const interval = Number(m[1]);
+        if (interval < 1) return null;
+        const freq = /^(hari|days?)$/i.test(m[2]) ? 'daily' : /^(bulan|months?)$/i.test(m[2]) ? 'monthly' : 'weekly';
+        return { recurrence: { freq, interval } };
+    }],
+    [pattern(`(?:${EVERY})\\s+(?:hari\\s+kerja|weekdays?)|weekdays`), () => ({ recurrence: { freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] } })],
+    [pattern(`(?:${EVERY})\\s+(?:(hari)\\s+)?((?:${ANY_WEEKDAY})(?:\\s*(?:,|dan|and|&)\\s*(?:hari\\s+)?(?:${ANY_WEEKDAY}))*)`), (m) => {
+        // "tiap minggu" is every week; Sunday alone needs "tiap hari Minggu"
+        if (!m[1] && /^minggu$/i.test(m[2])) return null;
+        const days = m[2].toLowerCase().split(/\s*(?:,|dan|and|&)\s*/).map(word => weekdayWords[word.replace(/^hari\s+/, '')]);
+        return { recurrence: { freq: 'weekly', byWeekday: [...new Set(days)].sort((a, b) => a - b) } };
+    }],
+    [pattern(`(?:tiap|setiap)\\s+hari|every\\s*day|daily`), () => ({ recurrence: { freq: 'daily' } })],
+    [pattern(`(?:tiap|setiap)\\s+(?:minggu|pekan)|every\\s+week|weekly`), () => ({ recurrence: { freq: 'weekly' } })],
+    [pattern(`(?:tiap|setiap)\\s+bulan|every\\s+month|monthly`), () => ({ recurrence: { freq: 'monthly' } })],
+];
+
+// Times come before dates so "jam 9.30" is not read as the date 9/30
+const timePasses = [
+    [pattern(`(?:jam|pukul|pkl|at|@)\\s*(\\d{1,2})(?:[.:](\\d{2}))?(?:\\s*(am|pm|pagi|siang|sore|malam))?`), (m) => {
+        const time = formatTime(toHour24(Number(m[1]), m[3]), Number(m[2] || 0));
+        return time ? { dueTime: time } : null;
+    }],
+    [pattern(`(\\d{1,2})(?:[.:](\\d{2}))?\\s*(am|pm)`), (m) => {
+        const hour = Number(m[1]);
+        const time = hour >= 1 && hour <= 12 ? formatTime(toHour24(hour, m[3]), Number(m[2] || 0)) : null;
+        return time ? { dueTime: time } : null;
+    }],
+    [pattern(`(\\d{1,2}):(\\d{2})`), (m) => {
+        const time = formatTime(Number(m[1]), Number(m[2]));
+        return time ? { dueTime: time } : null;
+    }],
+];
+
+// "mulai besok", "tgl 5/11", "on Dec 25": the lead-in word goes with the date
+const ON = '(?:(?:mulai|starting|tanggal|tgl\\.?|on)\\s+)?';
+
+const datePasses = [
+    [pattern(`${ON}(\\d{4})-(\\d{1,2})-(\\d{1,2})`), (m) => ({ deadline: explicitDate(null, m[1], Number(m[2]), Number(m[3])) })],
+    [pattern(`${ON}(\\d{1,2})/(\\d{1,2})(?:/(\\d{4}|\\d{2}))?`), (m, today) => ({ deadline: explicitDate(today, m[3], Number(m[2]), Number(m[1])) })],
+    [pattern(`${ON}(\\d{1,2})[.-](\\d{1,2})[.-](\\d{4})`), (m) => ({ deadline: explicitDate(null, m[3], Number(m[2]), Number(m[1])) })],
+    [pattern(`${ON}(\\d{1,2})\\s+(${MONTHS})\\.?(?:\\s+(\\d{4}))?`), (m, today) => ({ deadline: explicitDate(today, m[3], monthWords[m[2].toLowerCase()], Number(m[1])) })],
+    [pattern(`${ON}(${MONTHS})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`), (m, today) => ({ deadline: explicitDate(today, m[3], monthWords[m[1].toLowerCase()], Number(m[2])) })],
+    [pattern(`${ON}(?:hari\\s+ini|today|tdy|nanti(?:\\s+(?:malam|sore|siang))?|tonight)`), (m, today) => ({ deadline: today })],
+    [pattern(`${ON}(?:besok\\s+lusa|lusa|day\\s+after\\s+tomorrow)`), (m, today) => ({ deadline: addDays(today, 2) })],
+    [pattern(`${ON}(?:besok|besuk|tomorrow|tmrw?)`), (m, today) => ({ deadline: addDays(today, 1) })],
+    [pattern(`${ON}(?:(?:dalam|in)\\s+(\\d+)\\s+(${UNIT})(?:\\s+lagi)?|(\\d+)\\s+(hari|minggu|pekan|bulan)\\s+lagi)`), (m, today) => ({
+        deadline: addUnits(today, Number(m[1] || m[3]), m[2] || m[4]),
+    })],
+    [pattern(`${ON}(?:(?:minggu|pekan)\\s+depan|next\\s+week)`), (m, today) => ({ deadline: addDays(getWeekStart(today), 7) })],
+    [pattern(`${ON}(?:bulan\\s+depan|next\\s+month)`), (m, today) => ({ deadline: addMonths(today, 1) })],
+    [pattern(`${ON}(?:akhir\\s+(?:pekan|minggu)|(?:this\\s+)?weekend)`), (m, today) => ({
+        deadline: fromDateKey(today).getDay() === 6 ? today : nextWeekday(today, 6),
+    })],
+    [pattern(`${ON}next\\s+(${ANY_WEEKDAY})`), (m, today) => ({ deadline: weekdayNextWeek(today, weekdayWords[m[1].toLowerCase()]) })],
+    [pattern(`${ON}(?:(hari|on|this)\\s+)?(${FULL_WEEKDAYS})(?:\\s+(depan|ini))?`), (m, today) => {
+        // Without "hari", "minggu" is the word for week ("2 minggu"), not Sunday
+        if (/^minggu$/i.test(m[2]) && m[1]?.toLowerCase() !== 'hari') return null;
+        const weekday = weekdayWords[m[2].toLowerCase()];
+        return { deadline: m[3]?.toLowerCase() === 'depan' ? weekdayNextWeek(today, weekday) : nextWeekday(today, weekday) };
+    }],
+    [pattern(`(?:on|this)\\s+(sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)`), (m, today) => ({ deadline: nextWeekday(today, weekdayWords[m[1].toLowerCase()]) })],
+];
+
+const categoryPass = [/(?<![\p{L}\p{N}])#([\p{L}][\p{L}\p{N}_-]*)/u, (m) => {
+    const word = m[1].toLowerCase();
+    const category = taskCategories.find(c => c.toLowerCase() === word) || categoryAliases[word];
+    return category ? { category } : null;
+}];
+
+const priorityPass = [/(?<![\p{L}\p{N}!])(?:!{2,3}|!([\p{L}\p{N}]+))(?![\p{L}\p{N}])/u, (m) => {
+    if (!m[1]) return { flags: { important: true, urgent: true } };
+    const flags = priorityFlags[m[1].toLowerCase()];
+    return flags ? { flags } : null;
+}];
+
+/**
+ * Run one pass repeatedly until it stops matching. Matches that the handler rejects are
+ * masked so they are not retried, and stay in the text.
+ */
+const runPass = (state, [regex, handle], type, today) => {
+    let masked = state.text;
+    for (let m = regex.exec(masked); m; m = regex.exec(masked)) {
+        const result = handle(m, today, state);
+        const hole = ' '.repeat(m[0].length);
+        masked = masked.slice(0, m.index) + hole + masked.slice(m.index + m[0].length);
+        if (!result || Object.values(result).some(value => value === null)) continue;
+        state.text = state.text.slice(0, m.index) + hole + state.text.slice(m.index + m[0].length);
+        state.matches.push({ type, text: m[0].trim(), result });
+        if (type !== 'priority') break; // one date, time, category and rule per task
+    }
+};
+
+/**
+ * Parse a quick-add phrase.
+ * @param {string} input
+ * @param {string} today Day key the relative words are counted from.
+ * @returns {{ name: string, deadline: string|null, dueTime: string|null, category: string|null,
+ *   priority: string|null, recurrence: Object|null, chips: Array<{ type: string, label: string }> }}
+ */
+export const parseQuickAdd = (input, today = toDateKey()) => {
+    const state = { text: ` ${input} `, matches: [] };
+    recurrencePasses.forEach(pass => { if (!state.matches.some(m => m.type === 'recurrence')) runPass(state, pass, 'recurrence', today); });
+    timePasses.forEach(pass => { if (!state.matches.some(m => m.type === 'time')) runPass(state, pass, 'time', today); });
+    datePasses.forEach(pass => { if (!state.matches.some(m => m.type === 'deadline')) runPass(state, pass, 'deadline', today); });
+    runPass(state, categoryPass, 'category', today);
+    runPass(state, priorityPass, 'priority', today);
+
+    const found = (type) => state.matches.find(m => m.type === type)?.result || {};
+    let { deadline = null } = found('deadline');
+    const { dueTime = null } = found('time');
+    const { category = null } = found('category');
+    const flags = state.matches.filter(m => m.type === 'priority').reduce((all, m) => ({ ...all, ...m.result.flags }), {});
+    const priority = Object.keys(flags).length === 0 ? null : toPriority(flags.low ? {} : flags);
+
+    // A rule starts at the given date (or today) and the deadline is its first occurrence
+    let recurrence = null;
+    const ruleParts = found('recurrence').recurrence;
+    if (ruleParts) {
+        const { dayOfMonth, ...parts } = ruleParts;
+        const start = deadline || (dayOfMonth ? nextDayOfMonth(today, dayOfMonth) : today);
+        const rule = { ...createRule(parts.freq, start), ...parts };
+        deadline = getNextOccurrence(rule, addDays(start, -1));
+        recurrence = { ...rule, start: deadline };
+    }
+    // A time without a date is for today
+    if (dueTime && !deadline) deadline = today;
+
+    const name = state.text.replace(/\s+/g, ' ').trim().replace(/^[,;:-]\s*|\s*[,;:-]$/g, '');
+    const chips = [
+        recurrence && { type: 'recurrence', label: describeRule(recurrence) },
+        deadline && { type: 'deadline', label: fromDateKey(deadline).toLocaleDateString('id-ID', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }) },
+        dueTime && { type: 'time', label: dueTime },
+        category && { type: 'category', label: `#${category}` },
+        priority && { type: 'priority', label: priority },
+    ].filter(Boolean);
+
+    return { name, deadline, dueTime, category, priority, recurrence, chips };
+};
+
+/** Task document for a parsed phrase, with defaults for what the phrase did not say. */
+export const quickAddToTask = (parsed, { defaultCategory = 'Pribadi', defaultPriority = 'Penting - Non-mendesak' } = {}) => ({
+    name: parsed.name,
+    category: parsed.category || defaultCategory,
+    priority: parsed.priority || defaultPriority,
+    deadline: parsed.deadline,
+    dueTime: parsed.dueTime,
+    subtasks: [],
+    completed: false,
+    completedAt: null,
+    recurrence: parsed.recurrence,
+    seriesId: parsed.recurrence ? crypto.randomUUID() : null,
+    reminderOffsets: null,
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd, quickAddToTask } from './quickAdd';
+
+// Wednesday
+const TODAY = '2025-01-15';
+const parse = (input) => parseQuickAdd(input, TODAY);
+
+describe('relative days', () => {
+    it.each([
+        ['Bayar listrik hari ini', '2025-01-15'],
+        ['Pay rent today', '2025-01-15'],
+        ['Revisi bab 2 besok', '2025-01-16'],
+        ['Call mom tomorrow', '2025-01-16'],
+        ['Kumpul tugas lusa', '2025-01-17'],
+        ['Dentist day after tomorrow', '2025-01-17'],
+        ['Servis motor dalam 3 hari', '2025-01-18'],
+        ['Renew passport in 2 weeks', '2025-01-29'],
+        ['Bayar cicilan 2 minggu lagi', '2025-01-29'],
+        ['Rapat minggu depan', '2025-01-20'],
+        ['Plan trip next week', '2025-01-20'],
+        ['Evaluasi bulan depan', '2025-02-15'],
+        ['Cuci mobil akhir pekan', '2025-01-18'],
+    ])('%s', (input, deadline) => {
+        expect(parse(input).deadline).toBe(deadline);
+    });
+});
+
+describe('weekdays and dates', () => {
+    it.each([
+        ['Presentasi Jumat', '2025-01-17'],
+        ["Presentasi Jum'at", '2025-01-17'],
+        ['Kelas Rabu', '2025-01-22'],
+        ['Ibadah hari Minggu', '2025-01-19'],
+        ['Futsal Senin depan', '2025-01-20'],
+        ['Standup next Monday', '2025-01-20'],
+        ['Submit report on fri', '2025-01-17'],
+        ['Libur 25/12', '2025-12-25'],
+        ['Bayar pajak 5/1', '2026-01-05'],
+        ['Sidang 3/2/2025', '2025-02-03'],
+        ['Seminar 2025-03-01', '2025-03-01'],
+        ['Upacara 17 Agustus', '2025-08-17'],
+        ['Party Dec 25th', '2025-12-25'],
+        ['Deadline proposal tgl 20/1', '2025-01-20'],
+    ])('%s', (input, deadline) => {
+        expect(parse(input).deadline).toBe(deadline);
+    });
+
+    it('reads a lone "minggu" as the word for week, not Sunday', () => {
+        expect(parse('Liburan minggu')).toMatchObject({ name: 'Liburan minggu', deadline: null });
+    });
+});
+
+describe('times', () => {
+    it.each([
+        ['Meeting besok jam 9', '09:00'],
+        ['Meeting besok jam 9.30', '09:30'],
+        ['Makan malam jam 7 malam', '19:00'],
+        ['Rapat pukul 1 siang', '13:00'],
+        ['Call client 3pm', '15:00'],
+        ['Deploy at 12am', '00:00'],
+        ['Kirim email 14:45', '14:45'],
+    ])('%s', (input, dueTime) => {
+        expect(parse(input).dueTime).toBe(dueTime);
+    });
+
+    it('puts a time without a date on today', () => {
+        expect(parse('Minum obat jam 8 pagi')).toMatchObject({ deadline: TODAY, dueTime: '08:00' });
+    });
+
+    it('ignores impossible times', () => {
+        expect(parse('Tes jam 25')).toMatchObject({ dueTime: null, name: 'Tes jam 25' });
+    });
+});
+
+describe('priorities and categories', () => {
+    it.each([
+        ['Skripsi !penting', 'Penting - Non-mendesak'],
+        ['Bayar tagihan !urgent', 'Non-penting - Mendesak'],
+        ['Server down !penting !mendesak', 'Penting - Mendesak'],
+        ['Server down !!', 'Penting - Mendesak'],
+        ['Laporan !p1', 'Penting - Mendesak'],
+        ['Balas chat !p3', 'Non-penting - Mendesak'],
+        ['Nonton film !santai', 'Non-penting - Non-mendesak'],
+        ['Belanja', null],
+    ])('%s', (input, priority) => {
+        expect(parse(input).priority).toBe(priority);
+    });
+
+    it.each([
+        ['Tugas statistik #Kuliah', 'Kuliah'],
+        ['Weekly sync #work', 'Kerja'],
+        ['Edit video #konten', 'Konten'],
+        ['Belanja #random', null],
+    ])('%s', (input, category) => {
+        expect(parse(input).category).toBe(category);
+    });
+
+    it('leaves unknown tags and flags in the name', () => {
+        expect(parse('Belanja #random !asal').name).toBe('Belanja #random !asal');
+    });
+});
+
+describe('recurrence', () => {
+    it.each([
+        ['Olahraga tiap hari', { freq: 'daily', interval: 1 }, '2025-01-15'],
+        ['Journal every day', { freq: 'daily', interval: 1 }, '2025-01-15'],
+        ['Post IG tiap Senin', { freq: 'weekly', byWeekday: [1] }, '2025-01-20'],
+        ['Gym every mon and thu', { freq: 'weekly', byWeekday: [1, 4] }, '2025-01-16'],
+        ['Ibadah tiap hari Minggu', { freq: 'weekly', byWeekday: [0] }, '2025-01-19'],
+        ['Standup tiap hari kerja', { freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] }, '2025-01-15'],
+        ['Bersih kamar tiap minggu', { freq: 'weekly', interval: 1, byWeekday: [3] }, '2025-01-15'],
+        ['Review every 2 weeks', { freq: 'weekly', interval: 2 }, '2025-01-15'],
+        ['Bayar kos tiap bulan', { freq: 'monthly', interval: 1, monthlyMode: 'date' }, '2025-01-15'],
+        ['Siram tanaman tiap 3 hari', { freq: 'daily', interval: 3 }, '2025-01-15'],
+        ['Bayar kos tiap bulan tgl 5', { freq: 'monthly', interval: 1, monthlyMode: 'date' }, '2025-02-05'],
+        ['Gajian setiap bulan tanggal 25', { freq: 'monthly', interval: 1, monthlyMode: 'date' }, '2025-01-25'],
+        ['Bayar BPJS tiap 3 bulan tgl 10', { freq: 'monthly', interval: 3, monthlyMode: 'date' }, '2025-02-10'],
+        ['Pay rent every month on the 1st', { freq: 'monthly', interval: 1, monthlyMode: 'date' }, '2025-02-01'],
+        ['Invoice monthly on the 15th', { freq: 'monthly', interval: 1, monthlyMode: 'date' }, '2025-01-15'],
+        ['Tutup buku tiap bulan tgl 31', { freq: 'monthly', interval: 1, monthlyMode: 'date' }, '2025-01-31'],
+    ])('%s', (input, rule, deadline) => {
+        const parsed = parse(input);
+        expect(parsed.recurrence).toMatchObject(rule);
+        expect(parsed.recurrence.start).toBe(deadline);
+        expect(parsed.deadline).toBe(deadline);
+    });
+
+    it('reads an impossible day of the month as a plain monthly rule', () => {
+        expect(parse('Bayar kos tiap bulan tgl 32')).toMatchObject({ recurrence: { freq: 'monthly', start: TODAY } });
+    });
+
+    it('starts the rule at a given date', () => {
+        expect(parse('Les piano tiap Senin mulai 3/2')).toMatchObject({ deadline: '2025-02-03', recurrence: { start: '2025-02-03', byWeekday: [1] } });
+    });
+});
+
+describe('name cleanup', () => {
+    it.each([
+        ['Revisi bab 2 besok jam 9 #Kuliah !penting', 'Revisi bab 2'],
+        ['Meeting, besok', 'Meeting'],
+        ['  Bayar   listrik  -  besok ', 'Bayar listrik'],
+        ['post IG tiap Senin jam 19:00', 'post IG'],
+        ['bayar kos tiap bulan tgl 5', 'bayar kos'],
+        ['Pay rent every month on the 1st', 'Pay rent'],
+        ['Beli 2 buku', 'Beli 2 buku'],
+    ])('%s', (input, name) => {
+        expect(parse(input).name).toBe(name);
+    });
+
+    it('lists a chip for every recognised part', () => {
+        expect(parse('Revisi besok jam 9 #Kuliah !penting').chips.map(chip => chip.type))
+            .toEqual(['deadline', 'time', 'category', 'priority']);
+    });
+});
+
+describe('quickAddToTask', () => {
+    it('fills in the defaults and a series for recurring tasks', () => {
+        expect(quickAddToTask(parse('Belanja'))).toMatchObject({
+            name: 'Belanja', category: 'Pribadi', priority: 'Penting - Non-mendesak', deadline: null, recurrence: null, seriesId: null, completed: false,
+        });
+        expect(quickAddToTask(parse('Olahraga tiap hari')).seriesId).toEqual(expect.any(String));
+    });
+});
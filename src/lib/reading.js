@@ -0,0 +1,39 @@
+// Reading progress helpers for the Library page.
+// A book keeps `sessions`: [{ id, date: 'YYYY-MM-DD', fromPage, toPage, minutes }].
+
+import { addDays, diffDays } from './dates';
+
+export const bookStatuses = [
+    { value: 'to-read', label: 'Ingin Dibaca' },
+    { value: 'reading', label: 'Sedang Dibaca' },
+    { value: 'finished', label: 'Selesai' },
+];
+
+/** Status implied by a page position; to-read books stay to-read until a page is logged. */
+export const getStatusForPage = (page, totalPages) => {
+    if (totalPages > 0 && page >= totalPages) return 'finished';
+    return page > 0 ? 'reading' : 'to-read';
+};
+
+/** Sessions sorted oldest first, with the cumulative page reached after each one. */
+export const getProgressHistory = (book) =>
+    [...(book.sessions || [])]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(session => ({ date: session.date, page: session.toPage, pagesRead: Math.max(0, session.toPage - session.fromPage) }));
+
+/**
+ * Average pages per day since the first logged session (today included) and the
+ * projected finish date at that pace. Returns null values when there is no pace yet.
+ */
+export const getReadingEstimate = (book, todayKey) => {
+    const history = getProgressHistory(book);
+    const remaining = Math.max(0, (book.totalPages || 0) - (book.currentPage || 0));
+    if (history.length === 0) return { pagesPerDay: null, finishDate: null, remaining };
+
+    const pagesRead = history.reduce((sum, entry) => sum + entry.pagesRead, 0);
+    const days = diffDays(history[0].date, todayKey) + 1;
+    const pagesPerDay = pagesRead / Math.max(1, days);
+    if (remaining === 0) return { pagesPerDay, finishDate: todayKey, remaining };
+    if (pagesPerDay === 0) return { pagesPerDay, finishDate: null, remaining };
+    return { pagesPerDay, finishDate: addDays(todayKey, Math.ceil(remaining / pagesPerDay)), remaining };
+};
@@ -0,0 +1,185 @@
+// RRULE-style recurrence for tasks. A recurring task stores its rule in `recurrence` and
+// shares a `seriesId` with the other occurrences; only the next open occurrence exists as
+// a document, the following one is generated when it is completed.
+//
+// Because that open occurrence is what the next one is copied from, an edit to "only this
+// occurrence" saves the series' own values in `seriesTemplate` first; generation copies
+// from the template, so the one-off change does not carry over. "This and all future"
+// edits simply drop the template.
+//
+// Rule shape:
+//   { freq: 'daily' | 'weekly' | 'monthly', interval: N, start: 'YYYY-MM-DD',
+//     byWeekday: [0..6] (weekly, 0 = Minggu), monthlyMode: 'date' | 'weekday' (monthly),
+//     until: 'YYYY-MM-DD' | null }
+// "Every N days" is simply freq 'daily' with interval N.
+
+import { addDays, diffDays, fromDateKey, getWeekStart } from './dates';
+
+export const recurrenceFrequencies = [
+    { value: 'daily', label: 'Harian', unit: 'hari' },
+    { value: 'weekly', label: 'Mingguan', unit: 'minggu' },
+    { value: 'monthly', label: 'Bulanan', unit: 'bulan' },
+];
+
+export const weekdayShortNames = ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'];
+
+// Search window for the next occurrence; long enough for "every 12 months" rules
+const MAX_SEARCH_DAYS = 5 * 366;
+
+const daysInMonth = (year, monthIndex) => new Date(year, monthIndex + 1, 0).getDate();
+
+/** Default rule starting on a day key, with the weekly weekday and monthly date taken from it. */
+export const createRule = (freq, startKey) => ({
+    freq,
+    interval: 1,
+    start: startKey,
+    byWeekday: [fromDateKey(startKey).getDay()],
+    monthlyMode: 'date',
+    until: null,
+});
+
+/** Nth weekday of the start date within its month (1..4), or -1 when it falls in the last week. */
+export const getNthWeekday = (key) => {
+    const date = fromDateKey(key);
+    const nth = Math.ceil(date.getDate() / 7);
+    return date.getDate() + 7 > daysInMonth(date.getFullYear(), date.getMonth()) && nth >= 4 ? -1 : nth;
+};
+
+/** Whether a day key is an occurrence of the rule. */
+export const matchesRule = (rule, key) => {
+    if (key < rule.start || (rule.until && key > rule.until)) return false;
+    const interval = Math.max(1, rule.interval || 1);
+    const date = fromDateKey(key);
+
+    if (rule.freq === 'daily') return diffDays(rule.start, key) % interval === 0;
+
+    if (rule.freq === 'weekly') {
+        const weekdays = rule.byWeekday?.length ? rule.byWeekday : [fromDateKey(rule.start).getDay()];
+        const weeks = diffDays(getWeekStart(rule.start), getWeekStart(key)) / 7;
+        return weekdays.includes(date.getDay()) && weeks % interval === 0;
+    }
+
+    if (rule.freq === 'monthly') {
+        const start = fromDateKey(rule.start);
+        const months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+        if (months % interval !== 0) return false;
+        const lastDay = daysInMonth(date.getFullYear(), date.getMonth());
+        if (rule.monthlyMode === 'weekday') {
+            if (date.getDay() !== start.getDay()) return false;
+            const nth = getNthWeekday(rule.start);
+            return nth === -1 ? date.getDate() + 7 > lastDay : Math.ceil(date.getDate() / 7) === nth;
+        }
+        // By date: the 31st becomes the last day of shorter months
+        return date.getDate() === Math.min(start.getDate(), lastDay);
+    }
+
+    return false;
+};
+
+/** First occurrence strictly after `afterKey`, or null when the series has ended. */
+export const getNextOccurrence = (rule, afterKey) => {
+    let key = afterKey < rule.start ? addDays(rule.start, -1) : afterKey;
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+        key = addDays(key, 1);
+        if (rule.until && key > rule.until) return null;
+        if (matchesRule(rule, key)) return key;
+    }
+    return null;
+};
+
+/** Occurrences between two day keys (inclusive), capped at `limit`. */
+export const expandOccurrences = (rule, fromKey, toKey, limit = 100) => {
+    const occurrences = [];
+    let key = getNextOccurrence(rule, addDays(fromKey, -1));
+    while (key && key <= toKey && occurrences.length < limit) {
+        occurrences.push(key);
+        key = getNextOccurrence(rule, key);
+    }
+    return occurrences;
+};
+
+/** Short Indonesian description, e.g. "Setiap 2 minggu: Sen, Kam". */
+export const describeRule = (rule) => {
+    if (!rule) return '';
+    const interval = Math.max(1, rule.interval || 1);
+    const unit = recurrenceFrequencies.find(f => f.value === rule.freq)?.unit || 'hari';
+    let text = interval === 1 ? `Setiap ${unit}` : `Setiap ${interval} ${unit}`;
+    if (rule.freq === 'weekly') {
+        text += `: ${[...(rule.byWeekday || [])].sort().map(d => weekdayShortNames[d]).join(', ')}`;
+    }
+    if (rule.freq === 'monthly') {
+        const start = fromDateKey(rule.start);
+        const nth = getNthWeekday(rule.start);
+        text += rule.monthlyMode === 'weekday'
+            ? `: ${weekdayShortNames[start.getDay()]} ${nth === -1 ? 'terakhir' : `ke-${nth}`}`
+            : `: tanggal ${start.getDate()}`;
+    }
+    if (rule.until) text += ` (sampai ${rule.until})`;
+    return text;
+};
+
+// Fields an occurrence passes on to the next one
+const seriesFields = ['name', 'category', 'priority', 'dueTime', 'reminderOffsets', 'subtasks'];
+
+/**
+ * The series' own values: the saved template when this occurrence was edited on its own,
+ * otherwise the occurrence's current fields. `deadline` is where the schedule stands.
+ */
+export const getSeriesTemplate = (task) => task.seriesTemplate || {
+    ...Object.fromEntries(seriesFields.map(field => [field, task[field] ?? null])),
+    deadline: task.deadline,
+};
+
+/**
+ * Task data for the occurrence after `task`, or null when the task is not recurring or
+ * the series has ended. Completion, Kanban status and subtask checks start fresh.
+ */
+export const getNextOccurrenceTask = (task) => {
+    if (!task.recurrence || !task.deadline) return null;
+    const template = getSeriesTemplate(task);
+    // An occurrence moved to an earlier day must not bring back its original date
+    const after = template.deadline && template.deadline > task.deadline ? template.deadline : task.deadline;
+    const deadline = getNextOccurrence(task.recurrence, after);
+    if (!deadline) return null;
+    return {
+        name: template.name,
+        category: template.category,
+        priority: template.priority,
+        deadline,
+        dueTime: template.dueTime ?? null,
+        recurrence: task.recurrence,
+        seriesId: task.seriesId,
+        seriesTemplate: null,
+        reminderOffsets: template.reminderOffsets ?? null,
+        completed: false,
+        completedAt: null,
+        subtasks: (template.subtasks || []).map(s => ({ ...s, completed: false })),
+    };
+};
+
+/** Open occurrences of the same series due on or after `task` (excluding the task itself). */
+export const getFutureOccurrences = (tasks, task) =>
+    tasks.filter(t => t.id !== task.id && task.seriesId && t.seriesId === task.seriesId && !t.completed && (t.deadline || '') >= (task.deadline || ''));
+
+/**
+ * Task update that schedules the next occurrence when an open occurrence is completed.
+ * The completion is written together with `nextGenerated` before the next occurrence is
+ * added, and neither write is awaited first: writes only settle once the server confirms
+ * them, and an occurrence left unchecked until then could be completed (and copied) again.
+ * `generating` remembers occurrences whose next one is on its way for the same reason, since
+ * `task` may still be the document from before the first click.
+ * @param {{ task: Object|undefined, generating: Set<string>, addTask: (task: Object) => Promise<any>,
+ *   updateTask: (id: string, changes: Object) => Promise<any> }} context
+ */
+export const updateRecurringTask = (id, changes, { task, generating, addTask, updateTask }) => {
+    const next = changes.completed && task && !task.completed && !task.nextGenerated && !generating.has(id)
+        ? getNextOccurrenceTask({ ...task, ...changes })
+        : null;
+    if (!next) return updateTask(id, changes);
+    generating.add(id);
+    const completed = updateTask(id, { ...changes, nextGenerated: true }).catch((error) => {
+        generating.delete(id);
+        throw error;
+    });
+    return Promise.all([completed, addTask(next)]);
+};
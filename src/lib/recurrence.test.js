@@ -0,0 +1,221 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRule, getNthWeekday, matchesRule, getNextOccurrence, expandOccurrences, describeRule, getSeriesTemplate, getNextOccurrenceTask, getFutureOccurrences, updateRecurringTask } from './recurrence';
+
+const rule = (freq, start, fields = {}) => ({ ...createRule(freq, start), ...fields });
+
+describe('createRule', () => {
+    it('takes the weekday from the start date', () => {
+        expect(createRule('weekly', '2025-01-08')).toEqual({
+            freq: 'weekly', interval: 1, start: '2025-01-08', byWeekday: [3], monthlyMode: 'date', until: null,
+        });
+    });
+});
+
+describe('daily', () => {
+    it('repeats every N days from the start', () => {
+        expect(expandOccurrences(rule('daily', '2025-01-30', { interval: 3 }), '2025-01-01', '2025-02-10'))
+            .toEqual(['2025-01-30', '2025-02-02', '2025-02-05', '2025-02-08']);
+    });
+
+    it('has no occurrence before the start', () => {
+        expect(matchesRule(rule('daily', '2025-01-10'), '2025-01-09')).toBe(false);
+        expect(getNextOccurrence(rule('daily', '2025-01-10'), '2024-12-01')).toBe('2025-01-10');
+    });
+});
+
+describe('weekly', () => {
+    it('repeats on several weekdays', () => {
+        expect(expandOccurrences(rule('weekly', '2025-01-06', { byWeekday: [1, 4] }), '2025-01-06', '2025-01-19'))
+            .toEqual(['2025-01-06', '2025-01-09', '2025-01-13', '2025-01-16']);
+    });
+
+    it('skips whole weeks with an interval', () => {
+        expect(expandOccurrences(rule('weekly', '2025-01-06', { interval: 2, byWeekday: [1, 4] }), '2025-01-01', '2025-02-06'))
+            .toEqual(['2025-01-06', '2025-01-09', '2025-01-20', '2025-01-23', '2025-02-03', '2025-02-06']);
+    });
+
+    it('counts interval weeks from the week of the start, not the start day', () => {
+        // Starts on a Thursday; the Monday of that week is before the start, so the first Monday is two weeks later
+        expect(expandOccurrences(rule('weekly', '2025-01-09', { interval: 2, byWeekday: [1, 4] }), '2025-01-01', '2025-01-31'))
+            .toEqual(['2025-01-09', '2025-01-20', '2025-01-23']);
+    });
+
+    it('falls back to the weekday of the start without byWeekday', () => {
+        expect(getNextOccurrence(rule('weekly', '2025-01-08', { byWeekday: [] }), '2025-01-08')).toBe('2025-01-15');
+    });
+});
+
+describe('monthly by date', () => {
+    it('moves the 31st to the last day of shorter months', () => {
+        expect(expandOccurrences(rule('monthly', '2025-01-31'), '2025-01-01', '2025-05-31'))
+            .toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']);
+    });
+
+    it('uses 29 February in a leap year', () => {
+        expect(getNextOccurrence(rule('monthly', '2024-01-31'), '2024-01-31')).toBe('2024-02-29');
+    });
+
+    it('keeps the 31st after a short month', () => {
+        const r = rule('monthly', '2025-01-31');
+        expect(getNextOccurrence(r, '2025-02-28')).toBe('2025-03-31');
+    });
+
+    it('skips months with an interval', () => {
+        expect(expandOccurrences(rule('monthly', '2025-01-15', { interval: 3 }), '2025-01-01', '2025-12-31'))
+            .toEqual(['2025-01-15', '2025-04-15', '2025-07-15', '2025-10-15']);
+    });
+});
+
+describe('monthly by weekday', () => {
+    it('finds the nth weekday of the start', () => {
+        expect(getNthWeekday('2025-01-13')).toBe(2);
+        expect(getNthWeekday('2025-01-27')).toBe(-1);
+        // The 4th Monday that is not the last one of its month
+        expect(getNthWeekday('2025-03-24')).toBe(4);
+    });
+
+    it('repeats on the same nth weekday', () => {
+        expect(expandOccurrences(rule('monthly', '2025-01-13', { monthlyMode: 'weekday' }), '2025-01-01', '2025-03-31'))
+            .toEqual(['2025-01-13', '2025-02-10', '2025-03-10']);
+    });
+
+    it('repeats on the last weekday of the month', () => {
+        expect(expandOccurrences(rule('monthly', '2025-01-27', { monthlyMode: 'weekday' }), '2025-01-01', '2025-06-30'))
+            .toEqual(['2025-01-27', '2025-02-24', '2025-03-31', '2025-04-28', '2025-05-26', '2025-06-30']);
+    });
+});
+
+describe('termination', () => {
+    it('stops after until (inclusive)', () => {
+        const r = rule('daily', '2025-01-01', { until: '2025-01-03' });
+        expect(expandOccurrences(r, '2025-01-01', '2025-01-31')).toEqual(['2025-01-01', '2025-01-02', '2025-01-03']);
+        expect(getNextOccurrence(r, '2025-01-03')).toBeNull();
+    });
+
+    it('ends a weekly series whose next weekday is after until', () => {
+        expect(getNextOccurrence(rule('weekly', '2025-01-06', { until: '2025-01-12' }), '2025-01-06')).toBeNull();
+    });
+
+    it('caps the number of expanded occurrences', () => {
+        expect(expandOccurrences(rule('daily', '2025-01-01'), '2025-01-01', '2025-12-31', 5)).toHaveLength(5);
+    });
+
+    it('generates no next task once the series has ended', () => {
+        const task = { name: 'Kuis', deadline: '2025-01-03', recurrence: rule('daily', '2025-01-01', { until: '2025-01-03' }), seriesId: 's' };
+        expect(getNextOccurrenceTask(task)).toBeNull();
+    });
+});
+
+describe('describeRule', () => {
+    it('describes each kind of rule in Indonesian', () => {
+        expect(describeRule(null)).toBe('');
+        expect(describeRule(rule('daily', '2025-01-01'))).toBe('Setiap hari');
+        expect(describeRule(rule('weekly', '2025-01-06', { interval: 2, byWeekday: [4, 1] }))).toBe('Setiap 2 minggu: Sen, Kam');
+        expect(describeRule(rule('monthly', '2025-01-31', { until: '2025-06-30' }))).toBe('Setiap bulan: tanggal 31 (sampai 2025-06-30)');
+        expect(describeRule(rule('monthly', '2025-01-27', { monthlyMode: 'weekday' }))).toBe('Setiap bulan: Sen terakhir');
+    });
+});
+
+describe('getNextOccurrenceTask', () => {
+    const task = {
+        id: 't1',
+        name: 'Laporan',
+        category: 'Kerja',
+        priority: 'Penting - Mendesak',
+        deadline: '2025-01-31',
+        dueTime: '09:00',
+        recurrence: rule('monthly', '2025-01-31'),
+        seriesId: 'series-1',
+        completed: true,
+        completedAt: '2025-01-31T10:00:00.000Z',
+        status: 'done',
+        subtasks: [{ id: 'a', text: 'Data', completed: true }],
+    };
+
+    it('is null for a task without a rule', () => {
+        expect(getNextOccurrenceTask({ ...task, recurrence: null })).toBeNull();
+    });
+
+    it('copies the series and starts the occurrence fresh', () => {
+        const next = getNextOccurrenceTask(task);
+        expect(next).toMatchObject({ name: 'Laporan', deadline: '2025-02-28', dueTime: '09:00', seriesId: 'series-1', completed: false, completedAt: null });
+        expect(next.subtasks).toEqual([{ id: 'a', text: 'Data', completed: false }]);
+        expect(next).not.toHaveProperty('status');
+        expect(next).not.toHaveProperty('id');
+    });
+
+    it('ignores an edit to only this occurrence', () => {
+        const edited = { ...task, name: 'Laporan (revisi)', dueTime: '15:00', seriesTemplate: getSeriesTemplate(task) };
+        const next = getNextOccurrenceTask(edited);
+        expect(next).toMatchObject({ name: 'Laporan', dueTime: '09:00', deadline: '2025-02-28', seriesTemplate: null });
+    });
+
+    it('keeps the schedule when only this occurrence was moved earlier', () => {
+        const moved = { ...task, deadline: '2025-01-20', seriesTemplate: getSeriesTemplate(task) };
+        expect(getNextOccurrenceTask(moved).deadline).toBe('2025-02-28');
+    });
+
+    it('keeps the first saved template over later one-off edits', () => {
+        const once = { ...task, name: 'Satu kali', seriesTemplate: getSeriesTemplate(task) };
+        const twice = { ...once, name: 'Dua kali', seriesTemplate: getSeriesTemplate(once) };
+        expect(getNextOccurrenceTask(twice).name).toBe('Laporan');
+    });
+
+    it('carries an edit to the whole series over', () => {
+        const edited = { ...task, name: 'Laporan bulanan', priority: 'Penting - Non-mendesak', seriesTemplate: null };
+        expect(getNextOccurrenceTask(edited)).toMatchObject({ name: 'Laporan bulanan', priority: 'Penting - Non-mendesak' });
+    });
+});
+
+describe('getFutureOccurrences', () => {
+    it('returns open occurrences of the same series on or after the task', () => {
+        const tasks = [
+            { id: 'a', seriesId: 's', deadline: '2025-01-06', completed: true },
+            { id: 'b', seriesId: 's', deadline: '2025-01-13', completed: false },
+            { id: 'c', seriesId: 's', deadline: '2025-01-20', completed: false },
+            { id: 'd', seriesId: 'other', deadline: '2025-01-20', completed: false },
+        ];
+        expect(getFutureOccurrences(tasks, tasks[1]).map(t => t.id)).toEqual(['c']);
+    });
+});
+
+describe('updateRecurringTask', () => {
+    const task = { id: 't1', name: 'Laporan', priority: 'Penting - Mendesak', deadline: '2025-01-06', recurrence: rule('weekly', '2025-01-06'), seriesId: 's', completed: false };
+    // Writes that the server has not confirmed yet
+    const pendingWriters = () => ({ addTask: vi.fn(() => new Promise(() => {})), updateTask: vi.fn(() => new Promise(() => {})) });
+
+    it('marks the occurrence done before adding the next one, without waiting for either', () => {
+        const writers = pendingWriters();
+        updateRecurringTask('t1', { completed: true }, { ...writers, task, generating: new Set() });
+        expect(writers.updateTask).toHaveBeenCalledWith('t1', { completed: true, nextGenerated: true });
+        expect(writers.addTask).toHaveBeenCalledWith(expect.objectContaining({ deadline: '2025-01-13', completed: false }));
+        expect(writers.updateTask.mock.invocationCallOrder[0]).toBeLessThan(writers.addTask.mock.invocationCallOrder[0]);
+    });
+
+    it('adds one next occurrence when the same one is completed twice before the write resolves', () => {
+        const writers = pendingWriters();
+        const generating = new Set();
+        // Both clicks still see the task as it was before the first one
+        updateRecurringTask('t1', { completed: true }, { ...writers, task, generating });
+        updateRecurringTask('t1', { completed: true }, { ...writers, task, generating });
+        expect(writers.addTask).toHaveBeenCalledTimes(1);
+        expect(writers.updateTask).toHaveBeenCalledTimes(2);
+    });
+
+    it('tries again after the completion failed', async () => {
+        const addTask = vi.fn(() => Promise.resolve());
+        const updateTask = vi.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue();
+        const generating = new Set();
+        await expect(updateRecurringTask('t1', { completed: true }, { addTask, updateTask, task, generating })).rejects.toThrow('offline');
+        await updateRecurringTask('t1', { completed: true }, { addTask, updateTask, task, generating });
+        expect(addTask).toHaveBeenCalledTimes(2);
+    });
+
+    it('only updates tasks that are not an open occurrence being completed', () => {
+        const writers = pendingWriters();
+        updateRecurringTask('t1', { completed: true }, { ...writers, task: { ...task, nextGenerated: true }, generating: new Set() });
+        updateRecurringTask('t2', { completed: true }, { ...writers, task: undefined, generating: new Set() });
+        expect(writers.addTask).not.toHaveBeenCalled();
+        expect(writers.updateTask).toHaveBeenCalledWith('t1', { completed: true });
+    });
+});
@@ -0,0 +1,150 @@
+// Reminder schedule for tasks, habits, routine blocks and the focus timer. Pure functions:
+// the app asks for the reminders due in a time window and delivers them itself (see
+// useReminders in App.jsx), so everything here is plain data in, plain data out.
+//
+// Times are local. Task deadlines are day keys, so a deadline "moment" is that day at the
+// task's dueTime, or settings.tasks.deadlineTime when it has none. Quiet hours postpone
+// task, habit and routine reminders to the end of the quiet period; focus-timer alerts are
+// never held back, the user started them.
+
+import { fromDateKey, toDateKey, addDays, timeToMinutes } from './dates';
+import { getCheckIns, isCheckedOn } from './habitStreak';
+
+const MINUTE_MS = 60000;
+
+export const defaultReminderSettings = {
+    enabled: false,
+    tasks: { enabled: true, offsets: [1440, 60], deadlineTime: '21:00' },
+    habits: { enabled: true, time: '19:00' },
+    routines: { enabled: true, leadMinutes: 0 },
+    focus: { enabled: true, sound: true },
+    quietHours: { enabled: true, start: '22:00', end: '05:00' },
+};
+
+/** Offsets (minutes before the deadline) a task reminder can use. */
+export const reminderOffsetOptions = [
+    { value: 10080, label: '1 minggu' },
+    { value: 1440, label: '1 hari' },
+    { value: 180, label: '3 jam' },
+    { value: 60, label: '1 jam' },
+    { value: 15, label: '15 menit' },
+];
+
+/** Merge stored settings over the defaults, one level deep, so new options get their default. */
+export const normalizeReminderSettings = (stored = {}) => Object.fromEntries(
+    Object.entries(defaultReminderSettings).map(([key, value]) => [
+        key,
+        typeof value === 'object' ? { ...value, ...(stored[key] || {}) } : (stored[key] ?? value),
+    ])
+);
+
+/** Timestamp of a day key at HH:MM local time. */
+const atTime = (dateKey, time) => fromDateKey(dateKey).getTime() + timeToMinutes(time) * MINUTE_MS;
+
+const minutesOfDay = (ms) => {
+    const date = new Date(ms);
+    return date.getHours() * 60 + date.getMinutes();
+};
+
+/** Whether a moment falls inside quiet hours (which may wrap past midnight, e.g. 22:00-06:00). */
+export const isInQuietHours = (ms, quietHours) => {
+    if (!quietHours?.enabled) return false;
+    const start = timeToMinutes(quietHours.start);
+    const end = timeToMinutes(quietHours.end);
+    const minutes = minutesOfDay(ms);
+    if (start === end) return false;
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+/** Move a moment inside quiet hours to the moment they end. */
+export const applyQuietHours = (ms, quietHours) => {
+    if (!isInQuietHours(ms, quietHours)) return ms;
+    const day = toDateKey(new Date(ms));
+    const endToday = atTime(day, quietHours.end);
+    return endToday > ms ? endToday : atTime(addDays(day, 1), quietHours.end);
+};
+
+const formatOffset = (minutes) => reminderOffsetOptions.find(o => o.value === minutes)?.label
+    || (minutes >= 60 ? `${Math.round(minutes / 60)} jam` : `${minutes} menit`);
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} id Stable ID, used to deliver each reminder once.
+ * @property {'task'|'habit'|'routine'|'focus'} type
+ * @property {number} at Delivery time (ms), after quiet hours.
+ * @property {string} title
+ * @property {string} body
+ * @property {string} url Deep link opened from the notification.
+ */
+
+const taskReminders = (tasks, settings) => tasks
+    .filter(task => !task.completed && task.deadline)
+    .flatMap(task => {
+        const due = atTime(task.deadline, task.dueTime || settings.tasks.deadlineTime);
+        // reminderOffsets on the task overrides the default offsets ([] = no reminders)
+        const offsets = Array.isArray(task.reminderOffsets) ? task.reminderOffsets : settings.tasks.offsets;
+        return offsets.map(offset => ({
+            id: `task:${task.id}:${task.deadline}:${offset}`,
+            type: 'task',
+            at: applyQuietHours(due - offset * MINUTE_MS, settings.quietHours),
+            title: `Deadline ${formatOffset(offset)} lagi`,
+            body: task.name,
+            url: `#/tasks/${encodeURIComponent(task.id)}`,
+        }));
+    });
+
+const habitReminders = (habits, settings, days) => days.flatMap(day => {
+    const open = habits.filter(habit => !isCheckedOn(getCheckIns(habit), day));
+    if (open.length === 0) return [];
+    return [{
+        id: `habit:${day}`,
+        type: 'habit',
+        at: applyQuietHours(atTime(day, settings.habits.time), settings.quietHours),
+        title: `${open.length} kebiasaan belum dicentang hari ini`,
+        body: open.map(habit => habit.name).join(', '),
+        url: '#/habits',
+    }];
+});
+
+const routineReminders = (routines, settings, days) => days.flatMap(day => routines.map(block => ({
+    id: `routine:${block.id}:${day}`,
+    type: 'routine',
+    at: applyQuietHours(atTime(day, block.startTime) - settings.routines.leadMinutes * MINUTE_MS, settings.quietHours),
+    title: settings.routines.leadMinutes > 0
+        ? `Rutinitas ${block.category} mulai ${settings.routines.leadMinutes} menit lagi`
+        : `Waktunya rutinitas ${block.category}`,
+    body: `${block.startTime} - ${block.endTime}${block.activities?.length ? ` · ${block.activities.map(a => a.text).join(', ')}` : ''}`,
+    url: `#/routine/${day}`,
+})));
+
+const focusPhaseLabels = { focus: 'Sesi fokus selesai!', shortBreak: 'Istirahat selesai', longBreak: 'Istirahat panjang selesai' };
+
+const focusReminders = (timer) => timer?.status === 'running' && timer.endsAt ? [{
+    id: `focus:${timer.endsAt}`,
+    type: 'focus',
+    at: timer.endsAt,
+    title: focusPhaseLabels[timer.phase] || 'Timer selesai',
+    body: timer.phase === 'focus' ? 'Saatnya istirahat sebentar.' : 'Siap fokus lagi?',
+    url: '#/focus',
+}] : [];
+
+/**
+ * Every reminder whose delivery time lies in [from, to), sorted by time.
+ * @param {{ tasks: Object[], habits: Object[], routines: Object[], timer: Object }} data
+ * @returns {Reminder[]}
+ */
+export const getReminders = (data, settings, from, to) => {
+    if (!settings.enabled) return [];
+    // Quiet hours can push a reminder up to a day later, so look one day further back
+    const days = [];
+    for (let day = toDateKey(new Date(from - 24 * 60 * MINUTE_MS)); atTime(day, '00:00') < to; day = addDays(day, 1)) days.push(day);
+
+    return [
+        ...(settings.tasks.enabled ? taskReminders(data.tasks || [], settings) : []),
+        ...(settings.habits.enabled ? habitReminders(data.habits || [], settings, days) : []),
+        ...(settings.routines.enabled ? routineReminders(data.routines || [], settings, days) : []),
+        ...(settings.focus.enabled ? focusReminders(data.timer) : []),
+    ]
+        .filter(reminder => reminder.at >= from && reminder.at < to)
+        .sort((a, b) => a.at - b.at);
+};
@@ -0,0 +1,100 @@
+// Hash routing: #/<page>[/<id>][?query]. The page lives in the fragment, so every URL is
+// served by index.html and deep links work on static hosting (Vercel) without rewrites.
+//
+// `id` points at an entity (a task or book to open, a YYYY-MM-DD date) and `query` holds
+// page state such as filters and view modes. Each history entry remembers its scroll
+// position in history.state, so back/forward returns to where the user left off.
+// The router follows the subscribe/getSnapshot contract of React's useSyncExternalStore.
+
+/** @typedef {{ page: string, id: string|null, query: Object<string, string> }} Route */
+
+const decode = (part) => {
+    try {
+        return decodeURIComponent(part);
+    } catch {
+        return part;
+    }
+};
+
+/** @returns {Route} */
+export const parseHash = (hash) => {
+    const [path, search = ''] = hash.replace(/^#\/?/, '').split('?');
+    const [page = '', ...rest] = path.split('/').filter(Boolean).map(decode);
+    return { page, id: rest.join('/') || null, query: Object.fromEntries(new URLSearchParams(search)) };
+};
+
+/** Hash for a route; empty query values are left out. */
+export const buildHash = ({ page, id = null, query = {} }) => {
+    const search = new URLSearchParams(
+        Object.entries(query).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    ).toString();
+    return `#/${page}${id ? `/${encodeURIComponent(id)}` : ''}${search ? `?${search}` : ''}`;
+};
+
+const SCROLL_SAVE_DELAY_MS = 150;
+
+/**
+ * @param {Window} win
+ * @returns Router whose snapshot is the current Route plus `action` ('push', 'replace' or
+ *   'pop' for back/forward and typed URLs) and the `scrollY` saved for that entry.
+ */
+export const createHashRouter = (win = window) => {
+    const listeners = new Set();
+    let snapshot = null;
+    let scrollTimer = null;
+
+    const update = (action) => {
+        const hash = win.location.hash;
+        if (snapshot && snapshot.hash === hash) return;
+        snapshot = { ...parseHash(hash), hash, action, scrollY: win.history.state?.scrollY ?? null };
+        listeners.forEach(listener => listener());
+    };
+
+    const saveScroll = () => {
+        clearTimeout(scrollTimer);
+        win.history.replaceState({ ...win.history.state, scrollY: win.scrollY }, '');
+    };
+
+    // The browser's own restoration runs before the page re-renders, so it is done by hand
+    win.history.scrollRestoration = 'manual';
+    win.addEventListener('hashchange', () => update('pop'));
+    win.addEventListener('scroll', () => {
+        clearTimeout(scrollTimer);
+        scrollTimer = setTimeout(saveScroll, SCROLL_SAVE_DELAY_MS);
+    }, { passive: true });
+    update('pop');
+
+    const navigate = (route, { replace = false } = {}) => {
+        const hash = buildHash(route);
+        if (hash === win.location.hash) return;
+        if (replace) {
+            clearTimeout(scrollTimer);
+            win.history.replaceState(win.history.state, '', hash);
+        } else {
+            saveScroll();
+            // Opening an entity keeps the page where it is; a new page starts at the top.
+            // inApp: this entry can be left with history.back() without leaving the app
+            const samePage = parseHash(win.location.hash).page === route.page;
+            win.history.pushState({ inApp: true, scrollY: samePage ? win.scrollY : 0 }, '', hash);
+        }
+        update(replace ? 'replace' : 'push');
+    };
+
+    return {
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /** @returns {Route & { hash: string, action: string, scrollY: number|null }} */
+        getSnapshot: () => snapshot,
+
+        navigate,
+
+        /** Close an entity view (e.g. a modal): go back if the app opened it, otherwise replace. */
+        back: (fallback) => {
+            if (win.history.state?.inApp) win.history.back();
+            else navigate(fallback, { replace: true });
+        },
+    };
+};
@@ -0,0 +1,134 @@
+// Document schemas for every per-user collection. Only the fields the app reads are
+// described; unknown fields are allowed so older and newer documents still validate.
+//
+// Field spec: { type, required?, nullable?, oneOf?, min?, max? } where type is one of
+// string, number, boolean, array, object, dateKey (YYYY-MM-DD), time (HH:MM) or
+// timestamp (ISO string, Date or Firestore Timestamp).
+//
+// Documents are validated when read (after src/lib/migrations.js upgraded them) and before
+// every write; see useFirestoreCollection.
+
+import { priorityOptions } from './tasks';
+import { bookStatuses } from './reading';
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^\d{2}:\d{2}$/;
+
+export const schemas = {
+    tasks: {
+        name: { type: 'string', required: true },
+        category: { type: 'string' },
+        priority: { type: 'string', required: true, oneOf: priorityOptions },
+        deadline: { type: 'dateKey', nullable: true },
+        dueTime: { type: 'time', nullable: true },
+        completed: { type: 'boolean' },
+        completedAt: { type: 'timestamp', nullable: true },
+        subtasks: { type: 'array' },
+        status: { type: 'string', nullable: true },
+        recurrence: { type: 'object', nullable: true },
+        seriesId: { type: 'string', nullable: true },
+        seriesTemplate: { type: 'object', nullable: true },
+        reminderOffsets: { type: 'array', nullable: true },
+    },
+    habits: {
+        name: { type: 'string', required: true },
+        category: { type: 'string' },
+        target: { type: 'number', min: 1, max: 7 },
+        checkIns: { type: 'array' },
+    },
+    routines: {
+        category: { type: 'string', required: true },
+        startTime: { type: 'time', required: true },
+        endTime: { type: 'time', required: true },
+        order: { type: 'number' },
+        activities: { type: 'array' },
+    },
+    books: {
+        title: { type: 'string', required: true },
+        author: { type: 'string' },
+        totalPages: { type: 'number', min: 0 },
+        currentPage: { type: 'number', min: 0 },
+        status: { type: 'string', oneOf: bookStatuses.map(s => s.value) },
+        sessions: { type: 'array' },
+        highlights: { type: 'array' },
+        reflections: { type: 'array' },
+    },
+    focusSessions: {
+        startedAt: { type: 'timestamp', required: true },
+        endedAt: { type: 'timestamp' },
+        date: { type: 'dateKey' },
+        durationMinutes: { type: 'number', required: true, min: 0 },
+        taskId: { type: 'string', nullable: true },
+    },
+    reflections: {
+        date: { type: 'dateKey' },
+        mood: { type: 'string' },
+        content: { type: 'string' },
+        updatedAt: { type: 'timestamp' },
+    },
+    routineLogs: {
+        date: { type: 'dateKey', required: true },
+        checked: { type: 'object' },
+    },
+    kanbanBoards: {
+        category: { type: 'string', required: true },
+        columns: { type: 'array', required: true },
+    },
+};
+
+const isTimestamp = (value) =>
+    value instanceof Date
+    || typeof value?.toDate === 'function'
+    || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+
+const checkType = (type, value) => {
+    switch (type) {
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && !Array.isArray(value);
+        case 'dateKey': return typeof value === 'string' && DATE_KEY.test(value);
+        case 'time': return typeof value === 'string' && TIME.test(value);
+        case 'timestamp': return isTimestamp(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+};
+
+/**
+ * Validate one document against its collection schema. With `partial` (updates and merges)
+ * only the fields present are checked, so missing required fields are not reported.
+ * @returns {string[]} Human-readable (Indonesian) problems; empty when the document is valid.
+ */
+export const validateRecord = (collectionName, record, { partial = false } = {}) => {
+    const schema = schemas[collectionName];
+    if (!schema) return [`Koleksi "${collectionName}" tidak dikenal`];
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return ['Data bukan objek'];
+
+    const errors = [];
+    Object.entries(schema).forEach(([field, spec]) => {
+        const value = record[field];
+        if (value === undefined || value === '') {
+            if (spec.required && !(partial && value === undefined)) errors.push(`Kolom "${field}" wajib diisi`);
+            return;
+        }
+        if (value === null) {
+            if (!spec.nullable) errors.push(`Kolom "${field}" tidak boleh kosong`);
+            return;
+        }
+        if (!checkType(spec.type, value)) {
+            errors.push(`Kolom "${field}" harus bertipe ${spec.type}`);
+            return;
+        }
+        if (spec.oneOf && !spec.oneOf.includes(value)) errors.push(`Kolom "${field}" bernilai tidak dikenal: "${value}"`);
+        if (spec.min !== undefined && value < spec.min) errors.push(`Kolom "${field}" minimal ${spec.min}`);
+        if (spec.max !== undefined && value > spec.max) errors.push(`Kolom "${field}" maksimal ${spec.max}`);
+    });
+    return errors;
+};
+
+/** Throw when a document about to be written does not match its schema (code 'invalid-document'). */
+export const assertValidRecord = (collectionName, record, options) => {
+    const errors = validateRecord(collectionName, record, options);
+    if (errors.length > 0) {
+        throw Object.assign(new Error(`Invalid ${collectionName} document: ${errors.join('; ')}`), { code: 'invalid-document', errors });
+    }
+};
@@ -0,0 +1,85 @@
+// In-memory queue of writes that have not been confirmed by the server yet.
+// Firestore's persistent cache already applies writes locally and replays them after a
+// reload; this queue adds what the UI needs on top: a per-document pending/failed state,
+// automatic retries through the injected backoff helper, and a manual "retry failed" action.
+// The store follows the subscribe/getSnapshot contract of React's useSyncExternalStore.
+
+/**
+ * @typedef {Object} QueuedWrite
+ * @property {string} key Unique queue key.
+ * @property {string} collection Collection name (tasks, habits, ...).
+ * @property {string} docId Target document ID.
+ * @property {'add'|'update'|'upsert'|'delete'|'migrate'} op
+ * @property {'pending'|'failed'} status
+ * @property {string|null} error Last error message for failed writes.
+ */
+
+/** @param {(fn: () => Promise<any>) => Promise<any>} retry Backoff helper, e.g. withRetry. */
+export const createSyncQueue = (retry) => {
+    let entries = [];
+    const writes = new Map(); // key -> write function, kept out of the snapshot
+    const listeners = new Set();
+
+    const setEntries = (next) => {
+        entries = next;
+        listeners.forEach(listener => listener());
+    };
+
+    const updateEntry = (key, changes) => setEntries(entries.map(e => e.key === key ? { ...e, ...changes } : e));
+
+    const run = async (key) => {
+        updateEntry(key, { status: 'pending', error: null });
+        try {
+            const result = await retry(writes.get(key));
+            writes.delete(key);
+            setEntries(entries.filter(e => e.key !== key));
+            return result;
+        } catch (error) {
+            updateEntry(key, { status: 'failed', error: error.message || String(error) });
+            throw error;
+        }
+    };
+
+    return {
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /** @returns {QueuedWrite[]} */
+        getSnapshot: () => entries,
+
+        /** Queue a write and run it; the returned promise settles like the write itself. */
+        enqueue: ({ collection, docId, op }, write) => {
+            const key = crypto.randomUUID();
+            writes.set(key, write);
+            setEntries([...entries, { key, collection, docId, op, status: 'pending', error: null }]);
+            return run(key);
+        },
+
+        /** Run every failed write again; failures stay in the queue. */
+        retryFailed: () => Promise.allSettled(entries.filter(e => e.status === 'failed').map(e => run(e.key))),
+
+        /** Give up on a failed write. */
+        dismiss: (key) => {
+            writes.delete(key);
+            setEntries(entries.filter(e => e.key !== key));
+        },
+    };
+};
+
+/** Sync state per document ID for one collection: 'failed' wins over 'pending'. */
+export const getDocSyncStatus = (entries, collection, pendingDocIds = []) => {
+    const status = Object.fromEntries(pendingDocIds.map(id => [id, 'pending']));
+    entries.filter(e => e.collection === collection).forEach(e => {
+        if (status[e.docId] !== 'failed') status[e.docId] = e.status;
+    });
+    return status;
+};
+
+/** Overall indicator state: offline, failed, syncing or synced. */
+export const getOverallSyncState = (entries, online) => {
+    if (!online) return 'offline';
+    if (entries.some(e => e.status === 'failed')) return 'failed';
+    return entries.length > 0 ? 'syncing' : 'synced';
+};
@@ -0,0 +1,53 @@
+// Task helpers shared by the Dashboard, TaskManager and other task views.
+
+import { toDateKey } from './dates';
+
+// Eisenhower quadrants, most important first. The order doubles as the priority rank.
+export const priorityOptions = ['Penting - Mendesak', 'Penting - Non-mendesak', 'Non-penting - Mendesak', 'Non-penting - Non-mendesak'];
+
+export const taskCategories = ['Kuliah', 'Kerja', 'Bisnis', 'Konten', 'Pribadi'];
+
+// Completion toggle payload; completedAt lets Analytics place the task on the day it was finished
+export const getCompletionUpdate = (completed) => ({
+    completed,
+    completedAt: completed ? new Date().toISOString() : null,
+});
+
+/** 0 (Penting - Mendesak) .. 3; an unknown priority ranks with the quadrant getQuadrant puts it in. */
+export const getPriorityRank = (priority) => priorityOptions.indexOf(getQuadrant({ priority }));
+
+/** Comparator: priority quadrant first, then earliest deadline (tasks without one last), then name. */
+export const compareByPriorityThenDeadline = (a, b) =>
+    getPriorityRank(a.priority) - getPriorityRank(b.priority)
+    || (a.deadline || '9999-12-31').localeCompare(b.deadline || '9999-12-31')
+    || (a.name || '').localeCompare(b.name || '');
+
+/** Day a completed task was finished (completedAt, falling back to its deadline). */
+export const getCompletedDay = (task) => {
+    if (!task.completed) return null;
+    return task.completedAt ? toDateKey(new Date(task.completedAt)) : (task.deadline || null);
+};
+
+/**
+ * Today's agenda: open tasks due today or overdue, plus tasks already finished today.
+ * Completed tasks from earlier days are left out so the progress resets every day.
+ */
+export const getTodayTasks = (tasks, todayKey) =>
+    tasks.filter(task => {
+        if (task.completed) return getCompletedDay(task) === todayKey && !!task.deadline && task.deadline <= todayKey;
+        return !!task.deadline && task.deadline <= todayKey;
+    });
+
+/**
+ * Quadrant a task belongs to. Tasks with a missing or unknown priority land in
+ * "Penting - Non-mendesak", the priority new and migrated tasks get by default.
+ */
+export const getQuadrant = (task) => priorityOptions.includes(task.priority) ? task.priority : 'Penting - Non-mendesak';
+
+/** Tasks grouped per Eisenhower quadrant (open tasks first, each group sorted by deadline). */
+export const groupTasksByQuadrant = (tasks) => {
+    const groups = Object.fromEntries(priorityOptions.map(priority => [priority, []]));
+    tasks.forEach(task => groups[getQuadrant(task)].push(task));
+    Object.values(groups).forEach(group => group.sort((a, b) => Number(!!a.completed) - Number(!!b.completed) || compareByPriorityThenDeadline(a, b)));
+    return groups;
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { getQuadrant, getPriorityRank, compareByPriorityThenDeadline, groupTasksByQuadrant } from './tasks';
+
+describe('getQuadrant', () => {
+    it('uses the priority of the task', () => {
+        expect(getQuadrant({ priority: 'Non-penting - Mendesak' })).toBe('Non-penting - Mendesak');
+    });
+
+    it('puts tasks with a missing or unknown priority in Penting - Non-mendesak', () => {
+        expect(getQuadrant({})).toBe('Penting - Non-mendesak');
+        expect(getQuadrant({ priority: 'Sangat penting' })).toBe('Penting - Non-mendesak');
+    });
+});
+
+describe('getPriorityRank', () => {
+    it('ranks a missing or unknown priority with Penting - Non-mendesak', () => {
+        expect(getPriorityRank(undefined)).toBe(getPriorityRank('Penting - Non-mendesak'));
+        expect(getPriorityRank('Sangat penting')).toBe(1);
+        const sorted = [
+            { name: 'A', priority: 'Non-penting - Mendesak' },
+            { name: 'B', priority: 'Sangat penting' },
+            { name: 'C', priority: 'Penting - Mendesak' },
+        ].sort(compareByPriorityThenDeadline);
+        expect(sorted.map(t => t.name)).toEqual(['C', 'B', 'A']);
+    });
+});
+
+describe('groupTasksByQuadrant', () => {
+    it('groups every task and puts open tasks first, by deadline', () => {
+        const groups = groupTasksByQuadrant([
+            { name: 'A', priority: 'Penting - Mendesak', deadline: '2025-01-03', completed: true },
+            { name: 'B', priority: 'Penting - Mendesak', deadline: '2025-01-05' },
+            { name: 'C', priority: 'Penting - Mendesak', deadline: '2025-01-04' },
+            { name: 'D' },
+        ]);
+        expect(groups['Penting - Mendesak'].map(t => t.name)).toEqual(['C', 'B', 'A']);
+        expect(groups['Penting - Non-mendesak'].map(t => t.name)).toEqual(['D']);
+        expect(groups['Non-penting - Mendesak']).toEqual([]);
+    });
+});
@@ -1,7 +1,47 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable PWA: the built shell (JS, CSS, fonts, icons) is precached by a Workbox
+    // service worker. registerType 'prompt' lets the app ask before switching to a new build.
+    VitePWA({
+      registerType: 'prompt',
+      includeAssets: ['favicon.svg', 'apple-touch-icon-180x180.png'],
+      manifest: {
+        name: 'GenZ Planner',
+        short_name: 'GenZ Planner',
+        description: 'Planner harian untuk tugas, kebiasaan, rutinitas, fokus dan refleksi.',
+        lang: 'id',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        orientation: 'portrait',
+        theme_color: '#4f46e5',
+        background_color: '#e0e7ff',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-icon-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,woff2}'],
+        navigateFallback: 'index.html',
+        // Firebase Hosting reserves /__/ (auth handler); never answer it with the app shell
+        navigateFallbackDenylist: [/^\/__\//],
+        cleanupOutdatedCaches: true,
+        // Reminder notification clicks (see src/lib/reminders.js)
+        importScripts: ['sw-notifications.js'],
+      },
+    }),
+  ],
+  // Unit tests for the pure modules in src/lib (npm test)
+  test: {
+    include: ['src/**/*.test.js'],
+    environment: 'node',
+  },
 })